@@ -1,22 +1,32 @@
 const API = {
-    async request(endpoint, method = 'GET', body = null) {
+    async request(endpoint, method = 'GET', body = null, headers = {}) {
         const url = `${Config.API_BASE_URL}${endpoint}`;
         const options = {
             method,
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...headers
             }
         };
 
         if (body) {
-            options.body = JSON.stringify(body);
+            // Une chaîne (ex : fichier CSV) part telle quelle, avec son propre Content-Type
+            options.body = typeof body === 'string' ? body : JSON.stringify(body);
         }
 
         try {
             const response = await fetch(url, options);
             if (!response.ok) {
-                throw new Error(`HTTP Error: ${response.status}`);
+                // Le serveur renvoie { error: "message lisible", code, params } quand il le peut
+                const payload = await response.json().catch(() => ({}));
+                const error = new Error(this.errorMessage(payload.code, payload.params, payload.error || `HTTP Error: ${response.status}`));
+                error.status = response.status;
+                error.code = payload.code;
+                // Compte suspendu / banni pendant la session : page dédiée
+                if (payload.code === 'ACCOUNT_BLOCKED') window.location.href = '/banned';
+                throw error;
             }
+            if (response.status === 204) return null;
             return await response.json();
         } catch (error) {
             console.error(`API Request Failed: ${url}`, error);
@@ -24,6 +34,31 @@ const API = {
         }
     },
 
+    // Message d'erreur dans la langue du joueur : traduction du code renvoyé par
+    // le serveur (clés error.<CODE>), sinon `fallback` (le message du serveur)
+    errorMessage(code, params = {}, fallback = '') {
+        const key = `error.${code}`;
+        if (!code || typeof I18n === 'undefined' || !I18n.exists(key)) return fallback;
+        const values = { ...params };
+        if (values.date) values.date = I18n.formatDate(values.date);
+        // Champ du formulaire article : son libellé (INVALID_FIELD)
+        if (values.field && I18n.exists(`admin.item.${values.field}`)) values.field = I18n.t(`admin.item.${values.field}`);
+        return I18n.t(key, values);
+    },
+
+    // Erreur passée dans l'URL par une redirection du serveur : `name` (message),
+    // `<name>Code` et `<name>Params` (voir errorQuery dans server/auth.js)
+    errorFromQuery(query, name) {
+        let params = {};
+        try {
+            params = JSON.parse(query.get(`${name}Params`) || '{}');
+        } catch (e) {
+            // Paramètres illisibles : message du serveur
+            return query.get(name);
+        }
+        return this.errorMessage(query.get(`${name}Code`), params, query.get(name));
+    },
+
     // Mock function to simulate backend calls for now
     async mockRequest(data, delay = 500) {
         return new Promise(resolve => {
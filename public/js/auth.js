@@ -1,6 +1,29 @@
 const Auth = {
     init() {
         this.bindEvents();
+        this.showLoginResult();
+    },
+
+    // Retour de /auth/email/verify : confirmation du lien magique, ou échec
+    // (le serveur passe la raison dans l'URL)
+    async showLoginResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('login');
+        if (!result) return;
+        await I18n.ready;
+
+        if (result === 'confirm') {
+            const token = params.get('token');
+            window.history.replaceState(null, '', window.location.pathname);
+            if (token && confirm(I18n.t('login.confirmLink'))) this.confirmEmailLogin(token);
+            return;
+        }
+        if (result === 'expired') {
+            alert(I18n.t('login.linkExpired'));
+        } else if (params.has('reason')) {
+            alert(API.errorFromQuery(params, 'reason'));
+        }
+        window.history.replaceState(null, '', window.location.pathname);
     },
 
     bindEvents() {
@@ -39,15 +62,29 @@ const Auth = {
         alert('Redirection vers Google OAuth...');
     },
 
+    // Le token du lien magique n'est consommé qu'ici, en POST : un scanner qui
+    // ouvre le lien sans cliquer ne le grille pas
+    confirmEmailLogin(token) {
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = '/auth/email/verify';
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'token';
+        input.value = token;
+        form.appendChild(input);
+        document.body.appendChild(form);
+        form.submit();
+    },
+
+    // Envoie un lien de connexion à usage unique : la session s'ouvre au clic dans l'email
     async loginWithEmail(email) {
         console.log(`Attempting login for: ${email}`);
         try {
-            // Simulate API call
-            // const response = await API.request(Config.ENDPOINTS.LOGIN, 'POST', { email });
-            alert(`Login simulé pour ${email}. Redirection vers l'app...`);
-            window.location.href = 'app.html';
+            await API.request(Config.ENDPOINTS.LOGIN, 'POST', { email });
+            alert(I18n.t('login.linkSent'));
         } catch (error) {
-            alert('Erreur de connexion.');
+            alert(error.message || I18n.t('login.failed'));
         }
     }
 };
@@ -4,13 +4,27 @@ const Config = {
         LOGIN: '/login',
         AUTH_GOOGLE: '/auth/google',
         AUTH_DISCORD: '/auth/discord',
+        USER: '/user',
         USER_PROFILE: '/user/profile',
         QUESTS: '/quests',
+        DAILY_BONUS: '/daily-bonus',
+        OFFERWALLS: '/offerwalls',
         SHOP: '/shop',
+        WITHDRAWALS: '/withdrawals',
+        CODES: '/codes',
         HISTORY: '/history',
+        REFERRALS: '/referrals',
         LEADERBOARD: '/leaderboard',
+        SEASON: '/season',
         ADMIN_WITHDRAWALS: '/admin/withdrawals',
-        GEMINI: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent'
-    },
-    GEMINI_API_KEY: "" // To be injected or handled via backend proxy in production
+        ADMIN_AUDIT: '/admin/audit',
+        ADMIN_CODES: '/admin/codes',
+        ADMIN_SHOP: '/admin/shop',
+        ADMIN_TICKETS: '/admin/tickets',
+        ADMIN_USERS: '/admin/users',
+        TICKETS: '/tickets',
+        SUPPORT_CHAT: '/support/chat',
+        EVENTS: '/events',
+        NOTIFICATIONS: '/notifications'
+    }
 };
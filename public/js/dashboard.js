@@ -1,78 +1,489 @@
-// --- 1. MOCK DATABASE (Backend Simulation) ---
+// --- 1. ÉTAT CLIENT (rempli depuis l'API) ---
+// Chaque route charge ses données via API avant d'afficher sa vue (voir Routes) ;
+// `user` est rempli au chargement par le compte connecté (voir loadUser)
 const DB = {
     user: {
-        username: "NeonHunter_99",
-        pixels: 1250,
-        xp: 450,
-        level: 3,
-        rank: "CHASSEUR DE PRIMES",
-        nextLevelXp: 1000
+        username: "",
+        pixels: 0,
+        xp: 0,
+        level: 1,
+        rank: "",
+        levelXp: 0,
+        nextLevelXp: 1000,
+        perks: [],
+        permissions: [],
+        identities: []
     },
-    activeQuests: [
-        { id: 1, title: "Regarder 3 Pubs Vidéo", progress: 1, total: 3, reward: 150, icon: "fa-eye", color: "text-neon-blue" },
-        { id: 2, title: "Installer 'Rise of Kingdoms'", progress: 0, total: 1, reward: 2500, icon: "fa-download", color: "text-toxic-green" },
-        { id: 3, title: "Parrainer 1 Ami", progress: 0, total: 1, reward: 500, icon: "fa-user-plus", color: "text-neon-purple" }
-    ],
-    shopItems: [
-        { id: 1, name: "1,000 V-Bucks", price: 1800, image: "fa-fort-awesome", type: "Fortnite", color: "text-purple-400" },
-        { id: 2, name: "Carte Roblox 10€", price: 2200, image: "fa-cube", type: "Roblox", color: "text-gray-300" },
-        { id: 3, name: "Skin Mystère", price: 500, image: "fa-mask", type: "Random", color: "text-alert-red" },
-        { id: 4, name: "Paysafecard 20€", price: 4500, image: "fa-credit-card", type: "Cash", color: "text-yellow-400" },
-        { id: 5, name: "Nitro Discord 1 Mois", price: 1900, image: "fa-discord", type: "Discord", color: "text-indigo-400" }
-    ],
-    history: [
-        { date: "19 Nov", action: "Quête: Raid Shadow Legends", amount: "+ 1200", status: "Validé", type: "in" },
-        { date: "18 Nov", action: "Bonus Connexion", amount: "+ 50", status: "Validé", type: "in" },
-        { date: "15 Nov", action: "Retrait: 1000 V-Bucks", amount: "- 1800", status: "En cours (J-2)", type: "out" },
-        { date: "10 Nov", action: "Parrainage: KevinDu93", amount: "+ 500", status: "Validé", type: "in" }
-    ],
-    leaderboard: [
-        { rank: 1, name: "SlayerGod", pixels: 154000 },
-        { rank: 2, name: "LaraCraft", pixels: 98000 },
-        { rank: 3, name: "NoobMaster", pixels: 87500 },
-        { rank: 4, name: "NeonHunter_99", pixels: 12500 },
-        { rank: 5, name: "EzWin", pixels: 5000 }
-    ],
-    // New Data for Admin Panel
-    adminWithdrawals: [
-        { id: 101, user: "Kevdu93", item: "1000 V-Bucks", status: "Pending", risk: "Low" },
-        { id: 102, user: "BotMasterX", item: "Paysafecard 50€", status: "Flagged", risk: "High (VPN Detected)" },
-        { id: 103, user: "Sophie_Gamer", item: "Carte Roblox", status: "Pending", risk: "Low" }
-    ],
+    // Quêtes actives et progression (GET /api/quests)
+    quests: [],
+    // Série et calendrier du bonus quotidien (GET /api/daily-bonus)
+    dailyBonus: null,
+    notifications: { items: [], unread: 0 },
+    currentView: null, // vue affichée (rafraîchissements en direct)
+    currentPath: null, // adresse affichée (#tickets/12...)
+    // Catalogue (GET /api/shop) et retraits du joueur (GET /api/withdrawals)
+    shopItems: [],
+    shopFilter: '',
+    withdrawals: { items: [], next: null, verified: false, firstHoldDays: 7 },
+    // Codes cadeaux livrés (GET /api/codes)
+    codes: [],
+    // Lien, palier et filleuls (GET /api/referrals)
+    referrals: { link: '', signupBonus: 0, tier: { name: '', rate: 0 }, nextTier: null, validated: 0, rejected: 0, earnings: 0, referees: [] },
+    // Page courante du grand livre (GET /api/history) et filtres actifs
+    history: { items: [], page: 1, pages: 1, total: 0 },
+    historyFilters: { page: 1, type: '', direction: '' },
+    // Murs partenaires (GET /api/offerwalls) et onglet affiché
+    offerwalls: { country: null, walls: [] },
+    activeWall: null,
+    // Hall of Fame (GET /api/leaderboard) : fenêtre affichée et saison en cours
+    leaderboard: { window: 'weekly', period: {}, season: null, prizes: [], totalPlayers: 0, items: [], me: null },
+    leaderboardWindow: 'weekly',
+    season: { current: null, next: null },
+    // Admin Panel (chargé depuis /api/admin)
+    adminWithdrawals: { items: [], counts: {} },
+    adminWithdrawalFilter: '',
+    adminAudit: [],
+    adminStock: { threshold: 0, items: [] },
+    adminShop: [],
+    adminTab: 'withdrawals',
+    adminEditingItem: null, // id de l'article en cours d'édition, 'new' ou null
+    adminTickets: { items: [], counts: {}, staff: [], categories: {}, slaHours: 24 },
+    adminTicketFilter: '',
+    adminTicketsMine: false,
+    adminTicket: null, // Ticket ouvert dans le panel (fil complet + réponses types)
+    adminUsers: { items: [], statuses: {} },
+    adminUserSearch: { q: '', status: '' },
+    adminSanctionUserId: null, // Joueur dont le formulaire de sanction est ouvert
+    // Tickets support du joueur (GET /api/tickets) et fil affiché
+    tickets: { items: [], categories: {}, slaHours: 24 },
+    ticketTransactions: [], // Derniers mouvements, pour lier un ticket à une transaction
+    ticketDraft: { subject: '', attachChat: false },
+    openTicket: null,
     chatHistory: []
 };
 
-// --- GEMINI API HELPERS ---
-async function callGemini(prompt, systemInstruction = "") {
-    if (!Config.GEMINI_API_KEY) {
-        alert("API Key manquant. L'IA ne peut pas répondre.");
-        return "Désolé, je suis en maintenance technique.";
-    }
+// Méthodes de connexion que le joueur peut lier à son compte
+const LINKABLE_PROVIDERS = [
+    { id: 'discord', name: 'Discord', icon: 'fa-discord', color: 'text-indigo-400' },
+    { id: 'google', name: 'Google', icon: 'fa-google', color: 'text-red-400' }
+];
+
+// Types de mouvements du grand livre (libellés : history.type.<type>)
+const HISTORY_TYPES = ['offer', 'chargeback', 'quest', 'referral', 'login_bonus', 'withdrawal', 'refund', 'admin_adjustment', 'leaderboard', 'forfeit'];
+
+const HISTORY_STATUSES = {
+    completed: 'bg-toxic-green/20 text-toxic-green',
+    pending: 'bg-yellow-500/20 text-yellow-500',
+    failed: 'bg-alert-red/20 text-alert-red'
+};
+
+// Onglets du Hall of Fame (la saison n'apparaît que si une saison est en cours)
+const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'season', 'alltime'];
+
+// Statuts d'un retrait (libellés : withdrawal.status.<statut>)
+const WITHDRAWAL_STATUSES = ['pending', 'in_review', 'approved', 'rejected', 'delivered'];
+
+const RISK_LEVELS = {
+    low: 'text-green-500',
+    medium: 'text-yellow-500',
+    high: 'text-red-500'
+};
+
+// Score de risque fraude d'un retrait + les signaux qui l'expliquent
+function riskCell(risk) {
+    if (!risk) return '<span class="text-gray-500">—</span>';
+    return `
+        <span class="font-bold ${RISK_LEVELS[risk.level]}">${I18n.t(`risk.level.${risk.level}`)} (${risk.score})</span>
+        ${risk.signals.map(signal => `
+            <p class="text-[10px] text-gray-400 mt-1" title="${escapeHtml(signal.detail)}"><span class="text-gray-300">+${signal.points}</span> ${signal.label} : ${escapeHtml(signal.detail)}</p>
+        `).join('')}
+    `;
+}
+
+const TICKET_STATUSES = {
+    open: 'bg-yellow-500/20 text-yellow-500',
+    answered: 'bg-blue-500/20 text-blue-400',
+    resolved: 'bg-toxic-green/20 text-toxic-green',
+    closed: 'bg-gray-500/20 text-gray-400'
+};
+
+// Catégorie de ticket : traduite côté client, sinon le libellé envoyé par le serveur
+function ticketCategoryLabel(category, categories) {
+    const key = `ticket.category.${category}`;
+    return I18n.exists(key) ? I18n.t(key) : categories[category];
+}
+
+// Temps restant avant l'échéance de réponse (SLA) d'un ticket
+function formatSla(ticket) {
+    if (!ticket.slaDueAt) return '—';
+    const minutes = Math.round((Date.parse(ticket.slaDueAt) - Date.now()) / 60000);
+    const duration = m => `${Math.floor(Math.abs(m) / 60)}h${String(Math.abs(m) % 60).padStart(2, '0')}`;
+    return minutes < 0
+        ? `<span class="text-red-500 font-bold">${I18n.t('ticket.sla.overdue', { duration: duration(minutes) })}</span>`
+        : `<span class="${minutes < 120 ? 'text-yellow-500' : 'text-gray-300'}">${duration(minutes)}</span>`;
+}
+
+function ticketStatusBadge(status) {
+    return `<span class="px-2 py-1 rounded text-[10px] font-bold uppercase ${TICKET_STATUSES[status]}">${I18n.t(`ticket.status.${status}`)}</span>`;
+}
+
+const ACCOUNT_STATUSES = {
+    active: 'bg-toxic-green/20 text-toxic-green',
+    restricted_withdrawals: 'bg-yellow-500/20 text-yellow-500',
+    suspended: 'bg-orange-500/20 text-orange-400',
+    banned: 'bg-alert-red/20 text-alert-red'
+};
 
-    const url = `${Config.ENDPOINTS.GEMINI}?key=${Config.GEMINI_API_KEY}`;
+// Statut d'un compte (sanction en cours, avec raison et échéance au survol)
+function accountStatusBadge(account) {
+    const until = account.until ? ` ${I18n.t('account.until', { date: I18n.formatDateTime(account.until) })}` : '';
+    const title = account.reason ? `${account.reason}${until}` : '';
+    return `<span title="${escapeHtml(title)}" class="px-2 py-1 rounded text-[10px] font-bold uppercase ${ACCOUNT_STATUSES[account.status]}">${I18n.t(`account.status.${account.status}`)}</span>`;
+}
 
-    const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
-        systemInstruction: { parts: [{ text: systemInstruction }] }
+// Fil de messages d'un ticket (vu par le joueur ou par l'équipe)
+function ticketThread(messages, { staffView = false } = {}) {
+    const author = msg => {
+        if (msg.from === 'staff') return staffView && msg.author ? escapeHtml(msg.author) : I18n.t('ticket.author.staff');
+        return I18n.t(staffView ? 'ticket.author.player' : 'ticket.author.me');
     };
+    return messages.map(msg => `
+        <div class="flex ${msg.from === (staffView ? 'staff' : 'player') ? 'justify-end' : ''}">
+            <div class="max-w-[85%] p-3 rounded-lg text-sm whitespace-pre-wrap ${msg.from === 'staff' ? 'bg-blue-900/30 border border-blue-700/50' : 'bg-black/40 border border-gray-700'}">
+                <p class="text-[10px] text-gray-500 mb-1">${author(msg)} · ${I18n.formatDateTime(msg.at)}</p>
+                <p class="text-gray-200">${escapeHtml(msg.text)}</p>
+            </div>
+        </div>
+    `).join('');
+}
 
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+// Texte venu d'un joueur -> HTML inerte, aussi bien dans un élément que dans
+// une valeur d'attribut entre guillemets (d'où l'échappement de " et ')
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
 
-        if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
+// Avancement (%) dans le niveau en cours
+function levelProgress() {
+    if (!DB.user.nextLevelXp) return 100;
+    return ((DB.user.xp - DB.user.levelXp) / (DB.user.nextLevelXp - DB.user.levelXp)) * 100;
+}
 
-        const data = await response.json();
-        return data.candidates?.[0]?.content?.parts?.[0]?.text || "Je n'ai pas de réponse pour le moment.";
-    } catch (error) {
-        console.error("Gemini Error:", error);
-        return "Erreur de connexion au serveur IA.";
+// Titre d'une quête : traduit par identifiant, sinon celui envoyé par le serveur
+function questTitle(quest) {
+    const key = `quest.title.${quest.id}`;
+    return I18n.exists(key) ? I18n.t(key) : quest.title;
+}
+
+function nextPerk() {
+    return DB.user.perks.find(perk => !perk.unlocked) || null;
+}
+
+// Cases du calendrier du bonus quotidien
+const DAILY_BONUS_DAYS = {
+    claimed: { icon: 'fa-check', style: 'border-toxic-green/50 bg-toxic-green/10 text-toxic-green' },
+    frozen: { icon: 'fa-snowflake', style: 'border-neon-blue/50 bg-neon-blue/10 text-neon-blue' },
+    missed: { icon: 'fa-xmark', style: 'border-alert-red/30 bg-alert-red/5 text-alert-red opacity-60' },
+    available: { icon: 'fa-gift', style: 'border-yellow-400 bg-yellow-400/10 text-yellow-400 animate-pulse' },
+    upcoming: { icon: 'fa-lock', style: 'border-white/10 bg-white/5 text-gray-500' },
+    none: { icon: 'fa-minus', style: 'border-white/5 text-gray-600' }
+};
+
+// Widget "BONUS QUOTIDIEN" : série, gels et calendrier sur 7 jours
+function dailyBonusWidget() {
+    const bonus = DB.dailyBonus;
+    if (!bonus) return '';
+    const dayLabel = day => I18n.formatDate(`${day}T12:00:00Z`, { weekday: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `
+        <div class="glass p-6 rounded-2xl mb-8">
+            <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+                <div>
+                    <h3 class="font-gaming text-xl flex items-center gap-2"><i class="fa-solid fa-calendar-check text-yellow-400"></i> ${I18n.t('bonus.title')}</h3>
+                    <p class="text-xs text-gray-400 mt-1">
+                        <i class="fa-solid fa-fire text-orange-500"></i> ${I18n.t('bonus.streak')} <b class="text-white">${I18n.t('bonus.days', { count: bonus.streak })}</b>
+                        ${bonus.maxFreezes ? ` · <i class="fa-solid fa-snowflake text-neon-blue"></i> ${I18n.t('bonus.freezes')} <b class="text-white">${bonus.freezes}/${bonus.maxFreezes}</b> <span class="text-gray-500">${I18n.t('bonus.freezes.hint', { every: bonus.freezeEvery })}</span>` : ''}
+                    </p>
+                </div>
+                ${bonus.restricted
+            ? `<span class="text-xs text-alert-red"><i class="fa-solid fa-ban"></i> ${I18n.t('bonus.restricted')}</span>`
+            : bonus.claimedToday
+                ? `<span class="text-xs text-gray-400">${I18n.t('bonus.comeBack', { amount: `<b class="text-neon-purple">+${I18n.formatPixels(bonus.nextAmount)}</b>` })}</span>`
+                : `<button onclick="claimDailyBonus()" class="bg-yellow-400 text-black font-bold font-gaming px-6 py-2 rounded hover:bg-white transition-colors">${I18n.t('bonus.claim', { amount: bonus.nextAmount })}</button>`}
+            </div>
+            <div class="grid grid-cols-7 gap-2">
+                ${bonus.calendar.map(entry => `
+                    <div class="rounded-lg border p-2 text-center ${DAILY_BONUS_DAYS[entry.status].style} ${entry.day === bonus.today ? 'ring-1 ring-white/40' : ''}">
+                        <p class="text-[10px] uppercase text-gray-400">${entry.day === bonus.today ? I18n.t('bonus.today') : dayLabel(entry.day)}</p>
+                        <i class="fa-solid ${DAILY_BONUS_DAYS[entry.status].icon} my-2"></i>
+                        <p class="text-xs font-bold">${entry.amount === null ? '—' : entry.skipped ? '0' : `+${I18n.formatNumber(entry.amount)}`}</p>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Contenu de la carte "PROCHAIN RETRAIT" selon l'état du compte
+function nextWithdrawalCard() {
+    const next = DB.withdrawals.next;
+    if (next) {
+        const onHold = next.holdUntil && new Date(next.holdUntil) > new Date();
+        const daysLeft = onHold ? Math.ceil((new Date(next.holdUntil) - new Date()) / 86400000) : 0;
+        return `
+                <p class="text-xl font-bold text-white truncate">${escapeHtml(next.itemName)}</p>
+                <p class="text-xs text-yellow-500 mt-2"><i class="fa-solid fa-hourglass-half"></i> ${I18n.t(`withdrawal.status.${next.status}`)}
+                    ${onHold ? I18n.t('withdrawal.next.hold', { date: I18n.formatDate(next.holdUntil), days: daysLeft }) : I18n.t('withdrawal.next.processing')}</p>
+        `;
+    }
+    if (DB.withdrawals.verified) {
+        return `
+                <p class="text-3xl font-bold text-white">${I18n.t('withdrawal.next.speedRun')}</p>
+                <p class="text-xs text-toxic-green mt-2"><i class="fa-solid fa-check-circle"></i> ${I18n.t('withdrawal.next.verified')}</p>
+        `;
     }
+    return `
+                <p class="text-3xl font-bold text-white">${I18n.t('withdrawal.next.holdDays', { days: DB.withdrawals.firstHoldDays })}</p>
+                <p class="text-xs text-gray-400 mt-2"><i class="fa-solid fa-shield-halved"></i> ${I18n.t('withdrawal.next.firstCheck')}</p>
+    `;
+}
+
+// Valeur ISO -> champ <input type="datetime-local"> (heure locale)
+function toDateTimeLocal(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Formulaire de création / édition d'un article du catalogue (onglet admin "Catalogue")
+function shopItemForm(item) {
+    const field = (name, value, attrs = '') => `
+        <label class="block text-xs text-gray-400">${I18n.t(`admin.item.${name}`)}
+            <input name="${name}" value="${escapeHtml(value)}" ${attrs} class="mt-1 w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm text-white">
+        </label>`;
+    return `
+        <form onsubmit="saveShopItem(event)" class="mt-6 bg-panel rounded-lg border border-gray-700 p-6">
+            <h3 class="font-bold text-white mb-4">${item.id ? I18n.t('admin.item.edit', { name: escapeHtml(item.name) }) : I18n.t('admin.item.new')}</h3>
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                ${field('name', item.name, 'required maxlength="80"')}
+                ${field('type', item.type, 'required maxlength="30"')}
+                ${field('icon', item.icon, 'placeholder="fa-gift"')}
+                ${field('color', item.color, 'placeholder="text-white"')}
+                ${field('price', item.price, 'type="number" min="1" required')}
+                ${field('salePrice', item.salePrice, 'type="number" min="1"')}
+                ${field('saleStartsAt', toDateTimeLocal(item.saleStartsAt), 'type="datetime-local"')}
+                ${field('saleEndsAt', toDateTimeLocal(item.saleEndsAt), 'type="datetime-local"')}
+                ${field('stock', item.stock, 'type="number" min="0"')}
+                ${field('purchaseLimit', item.purchaseLimit, 'type="number" min="1"')}
+                ${field('minLevel', item.minLevel || 1, 'type="number" min="1"')}
+                ${field('countries', (item.countries || ['*']).join(','))}
+                <label class="flex items-center gap-2 text-sm text-white mt-5">
+                    <input type="checkbox" name="enabled" ${item.enabled === false ? '' : 'checked'}> ${I18n.t('admin.item.enabled')}
+                </label>
+            </div>
+            <div class="flex justify-end gap-2 mt-6">
+                <button type="button" onclick="editShopItem(null)" class="text-xs bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600">${I18n.t('common.cancel')}</button>
+                <button type="submit" class="text-xs bg-green-600 text-white px-4 py-2 rounded hover:bg-green-500 font-bold">${I18n.t('common.save')}</button>
+            </div>
+        </form>
+    `;
+}
+
+// Onglet "Tickets" du panel admin : file triée par échéance SLA + ticket ouvert
+function adminTicketsPanel() {
+    const board = DB.adminTickets;
+    const ticket = DB.adminTicket;
+    const breached = board.items.filter(t => t.slaBreached).length;
+    return `
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+            <div class="bg-panel p-4 rounded-lg border border-gray-700">
+                <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.tickets.toHandle')}</p>
+                <p class="text-2xl font-bold text-yellow-500">${board.counts.open || 0}</p>
+            </div>
+            <div class="bg-panel p-4 rounded-lg border border-gray-700">
+                <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.tickets.waitingPlayer')}</p>
+                <p class="text-2xl font-bold text-blue-500">${board.counts.answered || 0}</p>
+            </div>
+            <div class="bg-panel p-4 rounded-lg border border-gray-700">
+                <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.tickets.slaBreached', { hours: board.slaHours })}</p>
+                <p class="text-2xl font-bold ${breached ? 'text-red-500' : 'text-green-500'}">${breached}</p>
+            </div>
+        </div>
+
+        <div class="bg-panel rounded-lg border border-gray-700 overflow-hidden">
+            <div class="p-4 border-b border-gray-700 flex justify-between items-center gap-4">
+                <h3 class="font-bold text-white">${I18n.t('admin.tickets.queue')}</h3>
+                <div class="flex items-center gap-2">
+                    <label class="text-xs text-gray-400 flex items-center gap-1">
+                        <input type="checkbox" ${DB.adminTicketsMine ? 'checked' : ''} onchange="filterAdminTickets('mine', this.checked)"> ${I18n.t('admin.tickets.mine')}
+                    </label>
+                    <select onchange="filterAdminTickets('status', this.value)" class="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white">
+                        <option value="">${I18n.t('admin.tickets.active')}</option>
+                        ${Object.keys(TICKET_STATUSES).map(status => `
+                            <option value="${status}" ${DB.adminTicketFilter === status ? 'selected' : ''}>${I18n.t(`ticket.status.${status}`)}</option>
+                        `).join('')}
+                    </select>
+                    <button onclick="refreshView()" class="text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600"><i class="fa-solid fa-rotate"></i> ${I18n.t('common.refresh')}</button>
+                </div>
+            </div>
+            <table class="w-full text-left text-sm text-gray-300">
+                <thead class="bg-gray-800 text-xs uppercase font-bold text-gray-400">
+                    <tr>
+                        <th class="p-4">ID</th>
+                        <th class="p-4">${I18n.t('admin.col.player')}</th>
+                        <th class="p-4">${I18n.t('admin.col.subject')}</th>
+                        <th class="p-4">${I18n.t('admin.col.status')}</th>
+                        <th class="p-4">SLA</th>
+                        <th class="p-4">${I18n.t('admin.col.assignee')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-700">
+                    ${board.items.length === 0 ? `<tr><td colspan="6" class="p-6 text-center text-gray-500">${I18n.t('admin.tickets.empty')}</td></tr>` : ''}
+                    ${board.items.map(t => `
+                        <tr onclick="openAdminTicket(${t.id})" class="cursor-pointer hover:bg-gray-700/50 transition-colors ${ticket && ticket.id === t.id ? 'bg-gray-700/50' : ''}">
+                            <td class="p-4 font-mono text-xs text-gray-500">#${t.id}</td>
+                            <td class="p-4 font-bold text-white">${t.user ? escapeHtml(t.user.username) : '?'}</td>
+                            <td class="p-4">${escapeHtml(t.subject)} <span class="text-xs text-gray-500">· ${ticketCategoryLabel(t.category, board.categories)}</span></td>
+                            <td class="p-4">${ticketStatusBadge(t.status)}</td>
+                            <td class="p-4 text-xs">${formatSla(t)}</td>
+                            <td class="p-4 text-xs">${t.assignee ? escapeHtml(t.assignee.username) : '<span class="text-gray-500">—</span>'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+
+        ${ticket ? `
+        <div class="mt-8 bg-panel rounded-lg border border-gray-700 p-6">
+            <div class="flex flex-wrap justify-between items-start gap-4 mb-4">
+                <div>
+                    <h3 class="font-bold text-white">#${ticket.id} ${escapeHtml(ticket.subject)}</h3>
+                    <p class="text-xs text-gray-500">${ticket.user ? `${escapeHtml(ticket.user.username)} (${ticket.user.email ? escapeHtml(ticket.user.email) : I18n.t('admin.tickets.noEmail')}) ${ticket.user.account.status !== 'active' ? accountStatusBadge(ticket.user.account) : ''}` : '?'} · ${ticketCategoryLabel(ticket.category, board.categories)} · ${I18n.t('admin.tickets.openedAt', { date: I18n.formatDateTime(ticket.createdAt) })}</p>
+                    ${ticket.transaction ? `<p class="text-xs text-gray-400 mt-1">${I18n.t('admin.tickets.transaction', { id: ticket.transaction.id, label: escapeHtml(ticket.transaction.label), amount: ticket.transaction.amount, status: I18n.t(`history.status.${ticket.transaction.status}`), date: I18n.formatDateTime(ticket.transaction.date) })}</p>` : ''}
+                </div>
+                <div class="flex items-center gap-2">
+                    <select onchange="assignTicket(${ticket.id}, this.value)" class="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white">
+                        <option value="">${I18n.t('admin.tickets.unassigned')}</option>
+                        ${board.staff.map(member => `<option value="${member.id}" ${ticket.assignee && ticket.assignee.id === member.id ? 'selected' : ''}>${escapeHtml(member.username)}</option>`).join('')}
+                    </select>
+                    ${['open', 'answered'].includes(ticket.status) ? `
+                        <button onclick="setTicketStatus(${ticket.id}, 'resolved')" class="bg-green-600 hover:bg-green-500 text-white px-3 py-1 rounded text-xs font-bold">${I18n.t('admin.tickets.resolve')}</button>
+                        <button onclick="setTicketStatus(${ticket.id}, 'closed')" class="bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded text-xs font-bold">${I18n.t('admin.tickets.close')}</button>
+                    ` : `
+                        <button onclick="setTicketStatus(${ticket.id}, 'open')" class="bg-yellow-600 hover:bg-yellow-500 text-white px-3 py-1 rounded text-xs font-bold">${I18n.t('admin.tickets.reopen')}</button>
+                    `}
+                </div>
+            </div>
+
+            ${ticket.conversation.length ? `
+                <details class="mb-4 text-xs">
+                    <summary class="cursor-pointer text-blue-400">${I18n.t('admin.tickets.conversation', { count: ticket.conversation.length })}</summary>
+                    <div class="mt-2 space-y-2 max-h-64 overflow-y-auto p-3 bg-black/30 rounded">
+                        ${ticket.conversation.map(msg => `<p><b class="${msg.role === 'user' ? 'text-white' : 'text-blue-400'}">${I18n.t(msg.role === 'user' ? 'ticket.author.player' : 'chat.assistant')} :</b> <span class="text-gray-400 whitespace-pre-wrap">${escapeHtml(msg.text)}</span></p>`).join('')}
+                    </div>
+                </details>
+            ` : ''}
+
+            <div class="space-y-3 mb-4">${ticketThread(ticket.messages, { staffView: true })}</div>
+
+            ${ticket.status !== 'closed' ? `
+                <form onsubmit="replyAdminTicket(event, ${ticket.id})">
+                    <select onchange="if (this.value) document.getElementById('admin-ticket-reply').value = DB.adminTicket.canned.find(c => c.id === this.value).text" class="mb-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white">
+                        <option value="">${I18n.t('admin.tickets.canned')}</option>
+                        ${ticket.canned.map(canned => `<option value="${canned.id}">${canned.title}</option>`).join('')}
+                    </select>
+                    <textarea id="admin-ticket-reply" name="text" required class="w-full h-32 bg-black/50 border border-gray-600 rounded p-3 text-sm text-white outline-none focus:border-gray-400"></textarea>
+                    <div class="flex justify-end gap-2 mt-2">
+                        <button type="submit" name="status" value="answered" class="text-xs bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded font-bold">${I18n.t('admin.tickets.reply')}</button>
+                        <button type="submit" name="status" value="resolved" class="text-xs bg-green-600 hover:bg-green-500 text-white px-4 py-2 rounded font-bold">${I18n.t('admin.tickets.replyResolve')}</button>
+                    </div>
+                </form>
+            ` : ''}
+        </div>
+        ` : ''}
+    `;
+}
+
+// Onglet "Joueurs" du panel admin : recherche + sanctions (ban, suspension, confiscation)
+function adminUsersPanel() {
+    const board = DB.adminUsers;
+    const target = board.items.find(u => u.id === DB.adminSanctionUserId);
+    const canForfeit = DB.user.permissions.includes('balances.adjust');
+    return `
+        <div class="bg-panel rounded-lg border border-gray-700 overflow-hidden">
+            <form onsubmit="searchAdminUsers(event)" class="p-4 border-b border-gray-700 flex justify-between items-center gap-4">
+                <h3 class="font-bold text-white">${I18n.t('admin.users.title')}</h3>
+                <div class="flex items-center gap-2">
+                    <input name="q" value="${escapeHtml(DB.adminUserSearch.q)}" placeholder="${I18n.t('admin.users.search')}" class="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white">
+                    <select name="status" class="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white">
+                        <option value="">${I18n.t('admin.users.allStatuses')}</option>
+                        ${Object.keys(ACCOUNT_STATUSES).map(status => `
+                            <option value="${status}" ${DB.adminUserSearch.status === status ? 'selected' : ''}>${I18n.t(`account.status.${status}`)}</option>
+                        `).join('')}
+                    </select>
+                    <button type="submit" class="text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600"><i class="fa-solid fa-magnifying-glass"></i> ${I18n.t('admin.users.searchButton')}</button>
+                </div>
+            </form>
+            <table class="w-full text-left text-sm text-gray-300">
+                <thead class="bg-gray-800 text-xs uppercase font-bold text-gray-400">
+                    <tr>
+                        <th class="p-4">ID</th>
+                        <th class="p-4">${I18n.t('admin.col.player')}</th>
+                        <th class="p-4">${I18n.t('admin.col.balance')}</th>
+                        <th class="p-4">${I18n.t('admin.col.status')}</th>
+                        <th class="p-4 text-right">${I18n.t('admin.col.actions')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-700">
+                    ${board.items.length === 0 ? `<tr><td colspan="5" class="p-6 text-center text-gray-500">${I18n.t('admin.users.empty')}</td></tr>` : ''}
+                    ${board.items.map(u => `
+                        <tr class="hover:bg-gray-700/50 transition-colors">
+                            <td class="p-4 font-mono text-xs text-gray-500">#${u.id}</td>
+                            <td class="p-4"><span class="font-bold text-white">${escapeHtml(u.username)}</span> <span class="text-xs text-gray-500">${escapeHtml(u.email || '')} · ${u.role}</span></td>
+                            <td class="p-4 font-mono">${I18n.formatPixels(u.pixels)}</td>
+                            <td class="p-4">${accountStatusBadge(u.account)}</td>
+                            <td class="p-4 text-right space-x-2">
+                                ${u.role === 'player' ? `
+                                    <button onclick="editSanction(${u.id})" class="bg-red-600 hover:bg-red-500 text-white px-3 py-1 rounded text-xs font-bold"><i class="fa-solid fa-gavel"></i> ${I18n.t('admin.users.sanction')}</button>
+                                    ${u.account.status !== 'active' ? `<button onclick="unbanUser(${u.id})" class="bg-green-600 hover:bg-green-500 text-white px-3 py-1 rounded text-xs font-bold">${I18n.t('admin.users.lift')}</button>` : ''}
+                                    ${canForfeit && u.account.status === 'banned' && u.pixels > 0 ? `<button onclick="forfeitBalance(${u.id})" class="bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded text-xs font-bold">${I18n.t('admin.users.forfeit')}</button>` : ''}
+                                ` : `<span class="text-xs text-gray-500">${I18n.t('admin.users.staff')}</span>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+
+        ${target ? `
+        <form onsubmit="banUser(event, ${target.id})" class="mt-6 bg-panel rounded-lg border border-red-700/50 p-6">
+            <h3 class="font-bold text-white mb-4"><i class="fa-solid fa-gavel text-red-500"></i> ${I18n.t('admin.users.sanctionTitle', { name: escapeHtml(target.username) })}</h3>
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <label class="block text-xs text-gray-400">${I18n.t('admin.users.sanctionType')}
+                    <select name="status" class="mt-1 w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm text-white">
+                        ${['restricted_withdrawals', 'suspended', 'banned'].map(status => `<option value="${status}">${I18n.t(`account.status.${status}`)}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="block text-xs text-gray-400">${I18n.t('admin.users.days')}
+                    <input name="days" type="number" min="1" class="mt-1 w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm text-white">
+                </label>
+                <label class="block text-xs text-gray-400 md:col-span-2">${I18n.t('admin.users.reason')}
+                    <input name="reason" required maxlength="500" class="mt-1 w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm text-white">
+                </label>
+            </div>
+            <div class="flex justify-end gap-2 mt-6">
+                <button type="button" onclick="editSanction(null)" class="text-xs bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600">${I18n.t('common.cancel')}</button>
+                <button type="submit" class="text-xs bg-red-600 text-white px-4 py-2 rounded hover:bg-red-500 font-bold">${I18n.t('admin.users.apply')}</button>
+            </div>
+        </form>
+        ` : ''}
+    `;
 }
 
+// Articles des CGU (textes : legal.<section>.title / legal.<section>.body)
+const LEGAL_SECTIONS = ['preamble', 'purpose', 'eligibility', 'pixels', 'offerwalls', 'shop', 'ip', 'liability', 'privacy', 'law'];
+const LEGAL_UPDATED_AT = '2025-11-28T12:00:00Z';
+
 // --- 2. VIEW COMPONENTS (HTML Generators) ---
 
 const Views = {
@@ -80,81 +491,150 @@ const Views = {
         <div class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
             <div class="glass p-6 rounded-2xl border-l-4 border-neon-purple relative overflow-hidden group">
                 <div class="absolute right-0 top-0 p-4 opacity-10 group-hover:opacity-20 transition-opacity"><i class="fa-solid fa-wallet text-6xl"></i></div>
-                <h3 class="text-gray-400 text-sm font-gaming mb-1">SOLDE ACTUEL</h3>
-                <p class="text-3xl font-bold text-white">${DB.user.pixels} <span class="text-sm text-neon-purple">Px</span></p>
-                <button onclick="router('loot')" class="mt-4 text-xs bg-neon-purple/20 text-neon-purple px-3 py-1 rounded hover:bg-neon-purple hover:text-white transition-colors">DÉPENSER</button>
+                <h3 class="text-gray-400 text-sm font-gaming mb-1">${I18n.t('dashboard.balance')}</h3>
+                <p class="text-3xl font-bold text-white">${I18n.formatNumber(DB.user.pixels)} <span class="text-sm text-neon-purple">Px</span></p>
+                <button onclick="router('loot')" class="mt-4 text-xs bg-neon-purple/20 text-neon-purple px-3 py-1 rounded hover:bg-neon-purple hover:text-white transition-colors">${I18n.t('dashboard.spend')}</button>
             </div>
             <div class="glass p-6 rounded-2xl border-l-4 border-neon-blue relative overflow-hidden">
                 <div class="absolute right-0 top-0 p-4 opacity-10"><i class="fa-solid fa-bolt text-6xl"></i></div>
-                <h3 class="text-gray-400 text-sm font-gaming mb-1">NIVEAU ${DB.user.level}</h3>
-                <p class="text-3xl font-bold text-white">${DB.user.xp} <span class="text-sm text-gray-500">/ ${DB.user.nextLevelXp} XP</span></p>
+                <h3 class="text-gray-400 text-sm font-gaming mb-1">${I18n.t('dashboard.level', { level: DB.user.level })}</h3>
+                <p class="text-3xl font-bold text-white">${I18n.formatNumber(DB.user.xp)} <span class="text-sm text-gray-500">/ ${DB.user.nextLevelXp ? I18n.formatNumber(DB.user.nextLevelXp) : 'MAX'} XP</span></p>
                 <div class="w-full h-2 bg-gray-700 rounded-full mt-4 overflow-hidden">
-                    <div class="h-full bg-neon-blue" style="width: ${(DB.user.xp / DB.user.nextLevelXp) * 100}%"></div>
+                    <div class="h-full bg-neon-blue" style="width: ${levelProgress()}%"></div>
                 </div>
+                ${nextPerk() ? `<p class="text-xs text-gray-500 mt-2"><i class="fa-solid fa-unlock"></i> ${I18n.t('dashboard.nextPerk', { level: nextPerk().level, perk: nextPerk().label })}</p>` : ''}
             </div>
             <div class="glass p-6 rounded-2xl border-l-4 border-toxic-green relative overflow-hidden">
                 <div class="absolute right-0 top-0 p-4 opacity-10"><i class="fa-solid fa-clock text-6xl"></i></div>
-                <h3 class="text-gray-400 text-sm font-gaming mb-1">PROCHAIN RETRAIT</h3>
-                <p class="text-3xl font-bold text-white">Speed Run</p>
-                <p class="text-xs text-toxic-green mt-2"><i class="fa-solid fa-check-circle"></i> Mode vérifié actif (24h)</p>
+                <h3 class="text-gray-400 text-sm font-gaming mb-1">${I18n.t('dashboard.nextWithdrawal')}</h3>
+                ${nextWithdrawalCard()}
             </div>
         </div>
 
-        <h3 class="font-gaming text-xl mb-4 flex items-center gap-2"><i class="fa-solid fa-fire text-orange-500"></i> QUÊTES ACTIVES</h3>
+        ${dailyBonusWidget()}
+
+        <h3 class="font-gaming text-xl mb-4 flex items-center gap-2"><i class="fa-solid fa-fire text-orange-500"></i> ${I18n.t('dashboard.quests')}</h3>
         <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
-            ${DB.activeQuests.map(quest => `
-                <div class="bg-void-light p-4 rounded-xl border border-white/5 flex items-center gap-4 hover:border-white/20 transition-colors">
+            ${DB.quests.map(quest => `
+                <div class="bg-void-light p-4 rounded-xl border ${quest.completed ? 'border-toxic-green/40 opacity-70' : 'border-white/5 hover:border-white/20'} flex items-center gap-4 transition-colors">
                     <div class="w-12 h-12 bg-white/5 rounded-lg flex items-center justify-center text-2xl ${quest.color}">
                         <i class="fa-solid ${quest.icon}"></i>
                     </div>
                     <div class="flex-1">
                         <div class="flex justify-between mb-1">
-                            <span class="font-bold text-sm">${quest.title}</span>
-                            <span class="text-xs text-neon-purple font-gaming">+${quest.reward} Px</span>
+                            <span class="font-bold text-sm">${questTitle(quest)}</span>
+                            <span class="text-xs text-neon-purple font-gaming">+${I18n.formatPixels(quest.reward)}</span>
                         </div>
                         <div class="w-full h-2 bg-black rounded-full">
-                            <div class="h-full bg-gradient-to-r from-neon-purple to-neon-blue" style="width: ${(quest.progress / quest.total) * 100}%"></div>
+                            <div class="h-full bg-gradient-to-r from-neon-purple to-neon-blue" style="width: ${(quest.progress / quest.target) * 100}%"></div>
+                        </div>
+                        <div class="flex justify-between text-[10px] text-gray-500 mt-1">
+                            <span>${I18n.t(`quest.repeat.${quest.repeat}`)}${quest.resetsAt ? ` · ${I18n.t('quest.reset', { date: I18n.formatDate(quest.resetsAt, { weekday: 'short', hour: '2-digit', minute: '2-digit' }) })}` : ''}</span>
+                            <span>${quest.completed ? `<span class="text-toxic-green">${I18n.t('quest.completed')}</span>` : `${I18n.formatNumber(quest.progress)} / ${I18n.formatNumber(quest.target)}`}</span>
                         </div>
-                        <div class="text-right text-[10px] text-gray-500 mt-1">${quest.progress} / ${quest.total}</div>
                     </div>
-                    <button class="bg-white/10 hover:bg-white/20 p-2 rounded-lg text-white transition-colors"><i class="fa-solid fa-play"></i></button>
+                    ${quest.completed
+            ? '<div class="p-2 text-toxic-green"><i class="fa-solid fa-check"></i></div>'
+            : quest.view ? `<button onclick="router('${quest.view}')" class="bg-white/10 hover:bg-white/20 p-2 rounded-lg text-white transition-colors"><i class="fa-solid fa-play"></i></button>` : ''}
                 </div>
             `).join('')}
         </div>
+
+        <h3 class="font-gaming text-xl mt-8 mb-4 flex items-center gap-2"><i class="fa-solid fa-link text-neon-blue"></i> ${I18n.t('dashboard.linked')}</h3>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            ${LINKABLE_PROVIDERS.map(provider => {
+        const identity = DB.user.identities.find(i => i.provider === provider.id);
+        return `
+                <div class="bg-void-light p-4 rounded-xl border border-white/5 flex items-center gap-4">
+                    <div class="w-12 h-12 bg-white/5 rounded-lg flex items-center justify-center text-2xl ${provider.color}">
+                        <i class="fa-brands ${provider.icon}"></i>
+                    </div>
+                    <div class="flex-1">
+                        <span class="font-bold text-sm">${provider.name}</span>
+                        <p class="text-[10px] text-gray-500">${identity ? I18n.t('dashboard.linkedAt', { date: I18n.formatDate(identity.linkedAt) }) : I18n.t('dashboard.notLinked')}</p>
+                    </div>
+                    ${identity
+                ? `<button onclick="unlinkProvider('${provider.id}')" class="text-xs bg-white/10 hover:bg-alert-red/20 hover:text-alert-red px-3 py-1 rounded transition-colors">${I18n.t('dashboard.unlink')}</button>`
+                : `<a href="/auth/link/${provider.id}" class="text-xs bg-neon-blue/20 text-neon-blue hover:bg-neon-blue hover:text-black px-3 py-1 rounded transition-colors">${I18n.t('dashboard.link')}</a>`}
+                </div>
+                `;
+    }).join('')}
+        </div>
     `,
 
-    earn: () => `
+    earn: () => {
+        const walls = DB.offerwalls.walls;
+        const wall = walls.find(w => w.id === DB.activeWall);
+
+        if (!wall) {
+            return `
         <div class="flex flex-col items-center justify-center h-[60vh] text-center">
             <div class="w-24 h-24 bg-neon-blue/10 rounded-full flex items-center justify-center mb-6 animate-pulse">
                 <i class="fa-solid fa-satellite-dish text-4xl text-neon-blue"></i>
             </div>
-            <h2 class="font-gaming text-3xl font-bold mb-4">MUR D'OFFRES</h2>
-            <p class="text-gray-400 max-w-md mb-8">Connecte-toi aux satellites partenaires pour recevoir des missions. (Simulation: Ici s'afficheraient les iFrames AdGate/OfferToro).</p>
-            <button class="bg-neon-blue text-black font-bold font-gaming px-8 py-3 rounded hover:bg-white transition-colors">
-                SCANNER LES FRÉQUENCES
+            <h2 class="font-gaming text-3xl font-bold mb-4">${I18n.t('earn.title')}</h2>
+            <p class="text-gray-400 max-w-md mb-8">${I18n.t('earn.none')}</p>
+            <button onclick="router('earn')" class="bg-neon-blue text-black font-bold font-gaming px-8 py-3 rounded hover:bg-white transition-colors">
+                ${I18n.t('earn.scan')}
             </button>
         </div>
-    `,
+            `;
+        }
+
+        return `
+        <div class="flex flex-wrap gap-2 mb-4">
+            ${walls.map(w => `
+                <button onclick="selectWall('${w.id}')" class="px-4 py-2 rounded-lg font-gaming text-xs transition-colors ${w.id === wall.id ? 'bg-neon-blue text-black' : 'bg-white/5 text-gray-400 hover:text-white'} ${w.available ? '' : 'opacity-50'}">
+                    ${w.name} ${w.available ? '' : '<i class="fa-solid fa-ban ml-1"></i>'}
+                </button>
+            `).join('')}
+        </div>
+
+        ${wall.available ? `
+            <div class="glass rounded-xl overflow-hidden">
+                <iframe src="${wall.url}" class="w-full h-[75vh] bg-white" frameborder="0" loading="lazy" title="${wall.name}"></iframe>
+            </div>
+            <p class="text-[10px] text-gray-500 mt-2"><i class="fa-solid fa-circle-info"></i> ${I18n.t('earn.credited', { wall: wall.name })}</p>
+        ` : `
+            <div class="glass rounded-xl p-12 text-center">
+                <i class="fa-solid fa-satellite-dish text-4xl text-gray-600 mb-4"></i>
+                <p class="text-gray-300 mb-2">${I18n.t(`earn.unavailable.${wall.reason}`)}</p>
+                <p class="text-xs text-gray-500">${DB.offerwalls.country ? I18n.t('earn.country', { country: DB.offerwalls.country }) : ''}</p>
+            </div>
+        `}
+        `;
+    },
 
     loot: () => `
+        <div class="flex flex-wrap gap-2 mb-6">
+            ${['', ...new Set(DB.shopItems.map(item => item.type))].map(type => `
+                <button onclick="filterShop('${type}')" class="px-4 py-1 rounded-full text-xs font-bold uppercase transition-colors ${DB.shopFilter === type ? 'bg-neon-purple text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}">${type || I18n.t('shop.all')}</button>
+            `).join('')}
+        </div>
         <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            ${DB.shopItems.map(item => {
-        const isLocked = DB.user.pixels < item.price;
+            ${DB.shopItems.filter(item => !DB.shopFilter || item.type === DB.shopFilter).map(item => {
+        const limitReached = item.purchaseLimit !== null && item.purchased >= item.purchaseLimit;
+        const levelLocked = DB.user.level < item.minLevel;
+        const isLocked = item.outOfStock || limitReached || levelLocked || DB.user.pixels < item.price;
         return `
                 <div class="bg-void-light rounded-xl overflow-hidden border border-white/5 group relative ${isLocked ? 'locked-item' : 'hover:border-neon-purple transition-all hover:-translate-y-1'}">
                     <div class="h-32 bg-gradient-to-br from-gray-800 to-gray-900 flex items-center justify-center relative">
-                        <i class="fa-brands ${item.image} text-5xl ${item.color}"></i>
-                        ${isLocked ? '<div class="absolute inset-0 bg-black/60 flex items-center justify-center"><i class="fa-solid fa-lock text-3xl text-gray-400"></i></div>' : ''}
+                        <i class="fa-brands ${item.icon} text-5xl ${item.color}"></i>
+                        ${item.originalPrice ? `<span class="absolute top-2 left-2 bg-alert-red text-white text-[10px] font-bold px-2 py-1 rounded">${I18n.t('shop.sale')}${item.saleEndsAt ? ` · ${I18n.t('shop.saleUntil', { date: I18n.formatDate(item.saleEndsAt) })}` : ''}</span>` : ''}
+                        ${item.outOfStock ? `<div class="absolute inset-0 bg-black/60 flex items-center justify-center"><span class="font-gaming text-sm text-alert-red border border-alert-red px-3 py-1 rounded rotate-[-8deg]">${I18n.t('shop.outOfStock')}</span></div>` : ''}
+                        ${!item.outOfStock && isLocked ? '<div class="absolute inset-0 bg-black/60 flex items-center justify-center"><i class="fa-solid fa-lock text-3xl text-gray-400"></i></div>' : ''}
                     </div>
                     <div class="p-4">
                         <div class="flex justify-between items-start mb-2">
-                            <h4 class="font-bold font-gaming text-white">${item.name}</h4>
+                            <h4 class="font-bold font-gaming text-white">${escapeHtml(item.name)}</h4>
                             <span class="text-[10px] bg-white/10 px-2 py-1 rounded uppercase text-gray-400">${item.type}</span>
                         </div>
                         <div class="flex items-center justify-between mt-4">
-                            <span class="text-yellow-400 font-bold font-gaming text-lg">${item.price} Px</span>
-                            <button class="${isLocked ? 'bg-gray-700 cursor-not-allowed' : 'bg-neon-purple hover:bg-neon-blue'} text-white px-4 py-2 rounded font-bold text-xs transition-colors">
-                                ${isLocked ? 'MANQUE XP' : 'ACHETER'}
+                            <span class="text-yellow-400 font-bold font-gaming text-lg">
+                                ${item.originalPrice ? `<span class="line-through text-gray-500 text-sm mr-1">${I18n.formatNumber(item.originalPrice)}</span>` : ''}${I18n.formatPixels(item.price)}
+                            </span>
+                            <button ${isLocked ? 'disabled' : `onclick="redeemItem(${item.id})"`} class="${isLocked ? 'bg-gray-700 cursor-not-allowed' : 'bg-neon-purple hover:bg-neon-blue'} text-white px-4 py-2 rounded font-bold text-xs transition-colors">
+                                ${I18n.t(item.outOfStock ? 'shop.soldOut' : limitReached ? 'shop.limitReached' : levelLocked ? 'shop.levelRequired' : isLocked ? 'shop.notEnough' : 'shop.buy', { level: item.minLevel })}
                             </button>
                         </div>
                     </div>
@@ -165,60 +645,190 @@ const Views = {
     `,
 
     inventory: () => `
+        <!-- Mes codes : récompenses livrées (CGU 5.2) -->
+        <div class="glass rounded-xl p-6 mb-8">
+            <h3 class="font-gaming text-white mb-4"><i class="fa-solid fa-key text-yellow-400 mr-2"></i>${I18n.t('inventory.codes')}</h3>
+            ${DB.codes.length === 0 ? `<p class="text-sm text-gray-500">${I18n.t('inventory.noCodes')}</p>` : ''}
+            <div class="space-y-2">
+                ${DB.codes.map(code => `
+                    <div class="flex flex-wrap items-center justify-between gap-3 bg-white/5 rounded-lg p-3">
+                        <div>
+                            <p class="text-sm font-bold text-white">${code.itemName ? escapeHtml(code.itemName) : I18n.t('inventory.reward')}</p>
+                            <p class="text-[10px] text-gray-500">${I18n.t('inventory.deliveredAt', { date: I18n.formatDate(code.deliveredAt) })}</p>
+                        </div>
+                        <div class="flex items-center gap-2">
+                            <code class="font-mono text-sm text-toxic-green bg-black/40 px-3 py-1 rounded select-all">${escapeHtml(code.code)}</code>
+                            <button onclick="copyCode(${code.id})" class="text-xs bg-white/10 hover:bg-white/20 text-white px-3 py-1 rounded"><i class="fa-solid fa-copy"></i></button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+
+        <div class="flex flex-wrap gap-3 mb-4">
+            <select onchange="filterHistory('type', this.value)" class="bg-void-light border border-white/10 rounded px-3 py-2 text-sm text-white">
+                <option value="">${I18n.t('history.allTypes')}</option>
+                ${HISTORY_TYPES.map(type => `
+                    <option value="${type}" ${DB.historyFilters.type === type ? 'selected' : ''}>${I18n.t(`history.type.${type}`)}</option>
+                `).join('')}
+            </select>
+            <select onchange="filterHistory('direction', this.value)" class="bg-void-light border border-white/10 rounded px-3 py-2 text-sm text-white">
+                <option value="">${I18n.t('history.allDirections')}</option>
+                <option value="in" ${DB.historyFilters.direction === 'in' ? 'selected' : ''}>${I18n.t('history.in')}</option>
+                <option value="out" ${DB.historyFilters.direction === 'out' ? 'selected' : ''}>${I18n.t('history.out')}</option>
+            </select>
+        </div>
+
         <div class="glass rounded-xl overflow-hidden">
             <table class="w-full text-left">
                 <thead class="bg-white/5 text-xs font-gaming text-gray-400 uppercase">
                     <tr>
-                        <th class="p-4">Date</th>
-                        <th class="p-4">Action</th>
-                        <th class="p-4 text-right">Montant</th>
-                        <th class="p-4 text-center">Statut</th>
+                        <th class="p-4">${I18n.t('history.col.date')}</th>
+                        <th class="p-4">${I18n.t('history.col.action')}</th>
+                        <th class="p-4 text-right">${I18n.t('history.col.amount')}</th>
+                        <th class="p-4 text-center">${I18n.t('history.col.status')}</th>
                     </tr>
                 </thead>
                 <tbody class="text-sm text-gray-300 divide-y divide-white/5">
-                    ${DB.history.map(row => `
+                    ${DB.history.items.map(row => `
                         <tr class="hover:bg-white/5 transition-colors">
-                            <td class="p-4">${row.date}</td>
-                            <td class="p-4 font-medium text-white">${row.action}</td>
-                            <td class="p-4 text-right font-bold ${row.type === 'in' ? 'text-toxic-green' : 'text-alert-red'}">
-                                ${row.amount}
+                            <td class="p-4">${I18n.formatDate(row.date, { day: 'numeric', month: 'short' })}</td>
+                            <td class="p-4 font-medium text-white">${escapeHtml(row.label)}</td>
+                            <td class="p-4 text-right font-bold ${row.amount > 0 ? 'text-toxic-green' : 'text-alert-red'}">
+                                ${row.amount > 0 ? '+' : '-'} ${I18n.formatNumber(Math.abs(row.amount))}
                             </td>
                             <td class="p-4 text-center">
-                                <span class="px-2 py-1 rounded text-[10px] font-bold uppercase ${row.status.includes('Validé') ? 'bg-toxic-green/20 text-toxic-green' : 'bg-yellow-500/20 text-yellow-500'}">
-                                    ${row.status}
+                                <span class="px-2 py-1 rounded text-[10px] font-bold uppercase ${HISTORY_STATUSES[row.status]}">
+                                    ${I18n.t(`history.status.${row.status}`)}
                                 </span>
                             </td>
                         </tr>
                     `).join('')}
+                    ${DB.history.items.length === 0 ? `<tr><td colspan="4" class="p-8 text-center text-gray-500">${I18n.t('history.empty')}</td></tr>` : ''}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="flex justify-between items-center mt-4 text-xs text-gray-400">
+            <span>${I18n.t('history.total', { count: DB.history.total })}</span>
+            <div class="flex items-center gap-2">
+                <button onclick="filterHistory('page', ${DB.history.page - 1})" ${DB.history.page <= 1 ? 'disabled' : ''} class="bg-white/5 hover:bg-white/10 px-3 py-1 rounded disabled:opacity-30"><i class="fa-solid fa-chevron-left"></i></button>
+                <span>${I18n.t('history.page', { page: DB.history.page, pages: DB.history.pages })}</span>
+                <button onclick="filterHistory('page', ${DB.history.page + 1})" ${DB.history.page >= DB.history.pages ? 'disabled' : ''} class="bg-white/5 hover:bg-white/10 px-3 py-1 rounded disabled:opacity-30"><i class="fa-solid fa-chevron-right"></i></button>
+            </div>
+        </div>
+    `,
+
+    referral: () => `
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+            <div class="glass p-6 rounded-2xl lg:col-span-2">
+                <h3 class="text-gray-400 text-sm font-gaming mb-2">${I18n.t('referral.link')}</h3>
+                <div class="flex flex-wrap gap-2">
+                    <input readonly value="${DB.referrals.link}" class="flex-1 min-w-0 bg-black/40 border border-white/10 rounded px-3 py-2 text-sm text-white font-mono">
+                    <button onclick="copyReferralLink()" class="bg-neon-purple hover:bg-neon-blue text-white px-4 py-2 rounded font-bold text-xs transition-colors"><i class="fa-solid fa-copy"></i> ${I18n.t('referral.copy')}</button>
+                </div>
+                <p class="text-xs text-gray-500 mt-3">${I18n.t('referral.rules', { bonus: DB.referrals.signupBonus, rate: I18n.formatPercent(DB.referrals.tier.rate) })}</p>
+            </div>
+            <div class="glass p-6 rounded-2xl border-l-4 border-yellow-400">
+                <h3 class="text-gray-400 text-sm font-gaming mb-1">${I18n.t('referral.tier', { tier: DB.referrals.tier.name })}</h3>
+                <p class="text-3xl font-bold text-white">${I18n.formatPercent(DB.referrals.tier.rate)} <span class="text-sm text-gray-500">${I18n.t('referral.commission')}</span></p>
+                <p class="text-xs text-gray-500 mt-2">
+                    ${DB.referrals.nextTier
+            ? I18n.t('referral.nextTier', { count: DB.referrals.nextTier.remaining, tier: DB.referrals.nextTier.name, rate: I18n.formatPercent(DB.referrals.nextTier.rate) })
+            : I18n.t('referral.maxTier')}
+                </p>
+            </div>
+        </div>
+
+        <div class="grid grid-cols-3 gap-4 mb-8 text-center">
+            <div class="bg-void-light p-4 rounded-xl border border-white/5">
+                <p class="text-2xl font-bold text-toxic-green">${DB.referrals.validated}</p>
+                <p class="text-xs text-gray-500 uppercase">${I18n.t('referral.validated')}</p>
+            </div>
+            <div class="bg-void-light p-4 rounded-xl border border-white/5">
+                <p class="text-2xl font-bold text-yellow-400">${I18n.formatPixels(DB.referrals.earnings)}</p>
+                <p class="text-xs text-gray-500 uppercase">${I18n.t('referral.earnings')}</p>
+            </div>
+            <div class="bg-void-light p-4 rounded-xl border border-white/5">
+                <p class="text-2xl font-bold text-alert-red">${DB.referrals.rejected}</p>
+                <p class="text-xs text-gray-500 uppercase">${I18n.t('referral.rejected')}</p>
+            </div>
+        </div>
+
+        <div class="glass rounded-xl overflow-hidden">
+            <table class="w-full text-left">
+                <thead class="bg-white/5 text-xs font-gaming text-gray-400 uppercase">
+                    <tr>
+                        <th class="p-4">${I18n.t('referral.col.referee')}</th>
+                        <th class="p-4">${I18n.t('referral.col.joined')}</th>
+                        <th class="p-4 text-center">${I18n.t('referral.col.status')}</th>
+                        <th class="p-4 text-right">${I18n.t('referral.col.earned')}</th>
+                    </tr>
+                </thead>
+                <tbody class="text-sm text-gray-300 divide-y divide-white/5">
+                    ${DB.referrals.referees.map(referee => `
+                        <tr>
+                            <td class="p-4 font-mono text-white">${escapeHtml(referee.name)}</td>
+                            <td class="p-4">${I18n.formatDate(referee.joinedAt)}</td>
+                            <td class="p-4 text-center">
+                                ${referee.status === 'validated'
+                ? `<span class="px-2 py-1 rounded text-[10px] font-bold uppercase bg-green-900/30 text-green-500">${I18n.t('referral.status.validated')}</span>`
+                : `<span class="px-2 py-1 rounded text-[10px] font-bold uppercase bg-red-900/30 text-red-500" title="${I18n.t('referral.status.rejectedHint')}">${I18n.t('referral.status.rejected')}</span>`}
+                            </td>
+                            <td class="p-4 text-right font-bold text-toxic-green">+ ${I18n.formatNumber(referee.earned)}</td>
+                        </tr>
+                    `).join('')}
+                    ${DB.referrals.referees.length === 0 ? `<tr><td colspan="4" class="p-8 text-center text-gray-500">${I18n.t('referral.empty')}</td></tr>` : ''}
                 </tbody>
             </table>
         </div>
     `,
 
-    leaderboard: () => `
+    leaderboard: () => {
+        const board = DB.leaderboard;
+        const row = entry => `
+            <div class="grid grid-cols-12 gap-4 p-4 items-center rounded hover:bg-white/5 transition-colors ${entry.isMe ? 'bg-neon-purple/20 border border-neon-purple/50' : ''}">
+                <div class="col-span-2 text-center font-bold text-lg ${entry.rank && entry.rank <= 3 ? 'text-yellow-400' : 'text-gray-400'}">${entry.rank ? `#${entry.rank}` : '—'}</div>
+                <div class="col-span-6 flex items-center gap-3">
+                    <div class="w-8 h-8 rounded-full bg-gray-700 flex items-center justify-center text-xs overflow-hidden">
+                        ${entry.avatar ? `<img src="${escapeHtml(entry.avatar)}" class="w-full h-full object-cover">` : '<i class="fa-solid fa-user"></i>'}
+                    </div>
+                    <span class="font-bold text-white">${escapeHtml(entry.name)}</span>
+                    <span class="text-[10px] text-gray-500">${I18n.t('leaderboard.level', { level: entry.level })}</span>
+                    ${entry.rank === 1 ? '<i class="fa-solid fa-crown text-yellow-400"></i>' : ''}
+                    ${entry.prize ? `<span class="px-2 py-0.5 rounded text-[10px] font-bold bg-yellow-500/20 text-yellow-400">+${I18n.formatPixels(entry.prize)}</span>` : ''}
+                </div>
+                <div class="col-span-4 text-right font-gaming text-neon-blue">${I18n.formatNumber(entry.score)}</div>
+            </div>
+        `;
+
+        return `
+        <div class="flex flex-wrap gap-2 mb-4">
+            ${LEADERBOARD_WINDOWS.filter(window => window !== 'season' || DB.season.current).map(window => `
+                <button onclick="selectLeaderboardWindow('${window}')" class="px-4 py-1 rounded-full text-xs font-bold uppercase transition-colors ${DB.leaderboardWindow === window ? 'bg-neon-purple text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}">${window === 'season' ? DB.season.current.name : I18n.t(`leaderboard.window.${window}`)}</button>
+            `).join('')}
+        </div>
+        <p class="text-xs text-gray-500 mb-4">
+            ${board.period.to ? I18n.t('leaderboard.closesAt', { date: I18n.formatDateTime(board.period.to) }) : I18n.t('leaderboard.sinceLaunch')}
+            ${board.prizes.length ? ` · ${I18n.t('leaderboard.prizes', { list: board.prizes.slice(0, 3).map((prize, i) => `#${i + 1} ${I18n.formatPixels(prize)}`).join(', ') })}${board.prizes.length > 3 ? ` ${I18n.t('leaderboard.prizesUpTo', { rank: board.prizes.length })}` : ''}` : ''}
+        </p>
         <div class="glass rounded-xl p-1">
             <div class="grid grid-cols-12 gap-4 p-4 text-xs font-gaming text-gray-500 border-b border-white/5 uppercase">
-                <div class="col-span-2 text-center">Rang</div>
-                <div class="col-span-7">Joueur</div>
-                <div class="col-span-3 text-right">Score (XP)</div>
+                <div class="col-span-2 text-center">${I18n.t('leaderboard.col.rank')}</div>
+                <div class="col-span-6">${I18n.t('leaderboard.col.player')}</div>
+                <div class="col-span-4 text-right">${I18n.t('leaderboard.col.score')}</div>
             </div>
             <div class="space-y-1 mt-1">
-                ${DB.leaderboard.map(user => `
-                    <div class="grid grid-cols-12 gap-4 p-4 items-center rounded hover:bg-white/5 transition-colors ${user.name === DB.user.username ? 'bg-neon-purple/20 border border-neon-purple/50' : ''}">
-                        <div class="col-span-2 text-center font-bold text-lg ${user.rank <= 3 ? 'text-yellow-400' : 'text-gray-400'}">#${user.rank}</div>
-                        <div class="col-span-7 flex items-center gap-3">
-                            <div class="w-8 h-8 rounded-full bg-gray-700 flex items-center justify-center text-xs">
-                                <i class="fa-solid fa-user"></i>
-                            </div>
-                            <span class="font-bold text-white">${user.name}</span>
-                            ${user.rank === 1 ? '<i class="fa-solid fa-crown text-yellow-400"></i>' : ''}
-                        </div>
-                        <div class="col-span-3 text-right font-gaming text-neon-blue">${user.pixels.toLocaleString()}</div>
-                    </div>
-                `).join('')}
+                ${board.items.map(row).join('')}
+                ${board.items.length === 0 ? `<p class="p-8 text-center text-gray-500">${I18n.t('leaderboard.empty')}</p>` : ''}
             </div>
+            ${board.me && !board.items.some(entry => entry.isMe) ? `
+                <div class="border-t border-white/10 mt-1 pt-1">${row(board.me)}</div>
+                <p class="text-[10px] text-gray-500 text-center pb-2">${I18n.t(board.me.rank ? 'leaderboard.outOf' : 'leaderboard.unranked', { count: board.totalPlayers })}</p>
+            ` : ''}
         </div>
-    `,
+        `;
+    },
 
     // --- NEW: TRUST ZONE CHATBOT ---
     aiSupport: () => `
@@ -230,11 +840,11 @@ const Views = {
                         <i class="fa-solid fa-headset text-white text-lg"></i>
                     </div>
                     <div>
-                        <h3 class="text-white font-bold">Assistant Support</h3>
-                        <p class="text-xs text-gray-400">Intelligence Artificielle • <span class="text-green-400">En ligne</span></p>
+                        <h3 class="text-white font-bold">${I18n.t('chat.title')}</h3>
+                        <p class="text-xs text-gray-400">${I18n.t('chat.subtitle')} • <span class="text-green-400">${I18n.t('chat.online')}</span></p>
                     </div>
                 </div>
-                <button onclick="DB.chatHistory = []; router('aiSupport')" class="text-xs text-gray-500 hover:text-white transition-colors bg-gray-700 px-3 py-1 rounded">Effacer la conversation</button>
+                <button onclick="clearChat()" class="text-xs text-gray-500 hover:text-white transition-colors bg-gray-700 px-3 py-1 rounded">${I18n.t('chat.clear')}</button>
             </div>
 
             <!-- Chat Area -->
@@ -243,13 +853,13 @@ const Views = {
                 <div class="flex gap-4">
                     <div class="w-8 h-8 bg-blue-600/20 text-blue-500 rounded-full flex-shrink-0 flex items-center justify-center mt-1 border border-blue-600/30"><i class="fa-solid fa-robot"></i></div>
                     <div class="chat-trust-bot p-4 text-sm max-w-[85%] leading-relaxed">
-                        <p>Bonjour <strong>${DB.user.username}</strong>. Je suis l'assistant virtuel de LootQuest. Je peux vous aider concernant :</p>
+                        <p>${I18n.t('chat.welcome', { name: `<strong>${escapeHtml(DB.user.username)}</strong>` })}</p>
                         <ul class="list-disc list-inside mt-2 text-gray-400">
-                            <li>Les délais de paiement</li>
-                            <li>Les problèmes avec une offre</li>
-                            <li>La sécurisation de votre compte</li>
+                            <li>${I18n.t('chat.topic.payouts')}</li>
+                            <li>${I18n.t('chat.topic.offers')}</li>
+                            <li>${I18n.t('chat.topic.security')}</li>
                         </ul>
-                        <p class="mt-2">Comment puis-je vous aider aujourd'hui ?</p>
+                        <p class="mt-2">${I18n.t('chat.howCanIHelp')}</p>
                     </div>
                 </div>
 
@@ -261,6 +871,7 @@ const Views = {
                         </div>
                         <div class="${msg.role === 'user' ? 'chat-trust-user' : 'chat-trust-bot'} p-4 text-sm max-w-[85%] leading-relaxed">
                             ${marked.parse(msg.text)}
+                            ${msg.suggestTicket ? ticketSuggestion() : ''}
                         </div>
                     </div>
                 `).join('')}
@@ -269,7 +880,7 @@ const Views = {
             <!-- Input -->
             <div class="p-4 bg-gray-800 border-t border-gray-700">
                 <form id="chat-form" class="flex gap-2" onsubmit="handleChatSubmit(event, 'trust')">
-                    <input id="chat-input" type="text" placeholder="Posez votre question ici..." class="flex-1 bg-gray-900 border border-gray-600 rounded-lg px-4 py-3 text-sm text-white focus:outline-none focus:border-blue-500 transition-colors" autocomplete="off">
+                    <input id="chat-input" type="text" placeholder="${I18n.t('chat.placeholder')}" class="flex-1 bg-gray-900 border border-gray-600 rounded-lg px-4 py-3 text-sm text-white focus:outline-none focus:border-blue-500 transition-colors" autocomplete="off">
                     <button type="submit" class="bg-blue-600 hover:bg-blue-500 text-white font-bold px-6 rounded-lg transition-colors shadow-lg">
                         <i class="fa-solid fa-paper-plane"></i>
                     </button>
@@ -280,181 +891,195 @@ const Views = {
 
     support: () => `
         <div class="max-w-3xl mx-auto font-sans">
-            <h2 class="text-2xl font-bold mb-2 text-white">Centre d'Aide</h2>
-            <p class="text-gray-400 mb-8 text-sm">Une question ? Notre équipe de modération répond sous 24h.</p>
+            <h2 class="text-2xl font-bold mb-2 text-white">${I18n.t('support.title')}</h2>
+            <p class="text-gray-400 mb-8 text-sm">${I18n.t('support.subtitle')}</p>
 
             <div class="bg-panel rounded-lg p-6 mb-8 border border-gray-700">
-                <h3 class="font-bold text-lg mb-4 text-white">Questions Fréquentes</h3>
+                <h3 class="font-bold text-lg mb-4 text-white">${I18n.t('support.faq')}</h3>
                 <div class="space-y-4">
                     <details class="group">
                         <summary class="flex justify-between items-center cursor-pointer list-none p-3 bg-black/30 rounded text-sm font-medium text-gray-200 hover:bg-black/50">
-                            <span>Combien de temps pour recevoir mon code ?</span>
+                            <span>${I18n.t('support.faq.delay.q')}</span>
                             <span class="transition group-open:rotate-180"><i class="fa-solid fa-chevron-down"></i></span>
                         </summary>
                         <div class="text-gray-400 text-sm p-3 mt-1 leading-relaxed">
-                            Pour des raisons de sécurité, votre <strong>premier retrait</strong> prend 7 jours (vérification manuelle). Une fois votre compte validé, les retraits suivants sont traités en 24h à 48h ouvrées.
+                            ${I18n.t('support.faq.delay.a')}
                         </div>
                     </details>
                     <details class="group">
                         <summary class="flex justify-between items-center cursor-pointer list-none p-3 bg-black/30 rounded text-sm font-medium text-gray-200 hover:bg-black/50">
-                            <span>Pourquoi mon offre n'a pas validé mes Pixels ?</span>
+                            <span>${I18n.t('support.faq.offer.q')}</span>
                             <span class="transition group-open:rotate-180"><i class="fa-solid fa-chevron-down"></i></span>
                         </summary>
                         <div class="text-gray-400 text-sm p-3 mt-1 leading-relaxed">
-                            Cela arrive parfois. Assurez-vous de : 1) Ne pas avoir utilisé de VPN, 2) Ne pas avoir installé l'app auparavant, 3) Avoir attendu 24h. Si le problème persiste, contactez le support de l'Offerwall (Tapjoy/AdGate) directement.
+                            ${I18n.t('support.faq.offer.a')}
                         </div>
                     </details>
                 </div>
             </div>
 
-            <form class="bg-panel rounded-lg p-6 border border-gray-700" onsubmit="event.preventDefault(); alert('Message envoyé au support !');">
-                <h3 class="font-bold text-lg mb-4 text-white">Contact Direct</h3>
+            <!-- Mes tickets -->
+            <div class="bg-panel rounded-lg p-6 mb-8 border border-gray-700">
+                <h3 class="font-bold text-lg mb-4 text-white">${I18n.t('support.tickets')}</h3>
+                ${DB.tickets.items.length === 0 ? `<p class="text-sm text-gray-500">${I18n.t('support.noTickets')}</p>` : ''}
+                <div class="space-y-2">
+                    ${DB.tickets.items.map(ticket => `
+                        <button onclick="openTicket(${ticket.id})" class="w-full flex justify-between items-center gap-4 p-3 rounded text-left text-sm transition-colors ${DB.openTicket && DB.openTicket.id === ticket.id ? 'bg-white/10' : 'bg-black/30 hover:bg-black/50'}">
+                            <span class="text-gray-200">
+                                ${ticket.unread ? `<i class="fa-solid fa-circle text-[8px] text-blue-400 mr-1" title="${I18n.t('support.newReply')}"></i>` : ''}
+                                <span class="text-gray-500 font-mono text-xs">#${ticket.id}</span> ${escapeHtml(ticket.subject)}
+                                <span class="text-xs text-gray-500">· ${ticketCategoryLabel(ticket.category, DB.tickets.categories)}</span>
+                            </span>
+                            ${ticketStatusBadge(ticket.status)}
+                        </button>
+                    `).join('')}
+                </div>
+
+                ${DB.openTicket ? `
+                    <div class="mt-6 border-t border-gray-700 pt-4">
+                        <div class="flex justify-between items-center mb-3">
+                            <h4 class="font-bold text-white">#${DB.openTicket.id} ${escapeHtml(DB.openTicket.subject)}</h4>
+                            ${ticketStatusBadge(DB.openTicket.status)}
+                        </div>
+                        ${DB.openTicket.transaction ? `<p class="text-xs text-gray-500 mb-3">${I18n.t('support.linkedTransaction', { id: DB.openTicket.transaction.id, label: escapeHtml(DB.openTicket.transaction.label), amount: `${DB.openTicket.transaction.amount > 0 ? '+' : ''}${I18n.formatPixels(DB.openTicket.transaction.amount)}` })}</p>` : ''}
+                        <div class="space-y-3 mb-4">${ticketThread(DB.openTicket.messages)}</div>
+                        ${DB.openTicket.status !== 'closed' ? `
+                            <form onsubmit="replyTicket(event)" class="flex gap-2">
+                                <textarea name="text" required placeholder="${I18n.t('support.replyPlaceholder')}" class="flex-1 h-20 bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white"></textarea>
+                                <button class="bg-white text-black font-bold px-4 rounded text-sm hover:bg-gray-200 transition-colors"><i class="fa-solid fa-paper-plane"></i></button>
+                            </form>
+                        ` : `<p class="text-xs text-gray-500">${I18n.t('support.closed')}</p>`}
+                    </div>
+                ` : ''}
+            </div>
+
+            <form class="bg-panel rounded-lg p-6 border border-gray-700" onsubmit="submitTicket(event)">
+                <h3 class="font-bold text-lg mb-4 text-white">${I18n.t('support.contact')}</h3>
                 <div class="grid grid-cols-2 gap-4 mb-4">
-                    <input type="text" placeholder="Sujet" class="col-span-2 bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white">
-                    <textarea placeholder="Description du problème..." class="col-span-2 h-32 bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white"></textarea>
+                    <select name="category" class="bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white">
+                        ${Object.keys(DB.tickets.categories).map(id => `<option value="${id}">${ticketCategoryLabel(id, DB.tickets.categories)}</option>`).join('')}
+                    </select>
+                    <select name="transactionId" class="bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white">
+                        <option value="">${I18n.t('support.noTransaction')}</option>
+                        ${DB.ticketTransactions.map(tx => `<option value="${tx.id}">${I18n.formatDate(tx.date)} — ${escapeHtml(tx.label)} (${tx.amount > 0 ? '+' : ''}${I18n.formatPixels(tx.amount)})</option>`).join('')}
+                    </select>
+                    <input id="ticket-subject" name="subject" type="text" required placeholder="${I18n.t('support.subject')}" value="${escapeHtml(DB.ticketDraft.subject)}" class="col-span-2 bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white">
+                    <textarea id="ticket-description" name="message" required placeholder="${I18n.t('support.description')}" class="col-span-2 h-32 bg-black/50 border border-gray-600 rounded p-3 text-sm focus:border-gray-400 outline-none text-white"></textarea>
+                    <label class="col-span-2 flex items-center gap-2 text-xs text-gray-400">
+                        <input type="checkbox" name="attachChat" ${DB.ticketDraft.attachChat ? 'checked' : ''}> ${I18n.t('support.attachChat')}
+                    </label>
                 </div>
-                <button class="bg-white text-black font-bold py-2 px-6 rounded text-sm hover:bg-gray-200 transition-colors">Envoyer le ticket</button>
+                <button class="bg-white text-black font-bold py-2 px-6 rounded text-sm hover:bg-gray-200 transition-colors">${I18n.t('support.send')}</button>
+                <p class="text-xs text-gray-500 mt-3">${I18n.t('support.sla', { hours: DB.tickets.slaHours })}</p>
             </form>
         </div>
     `,
 
     legal: () => `
         <div class="max-w-4xl mx-auto font-sans text-gray-300 bg-panel p-8 rounded-lg border border-gray-700">
-            <h1 class="text-3xl font-bold text-white mb-2 border-b border-gray-600 pb-4">Conditions Générales d'Utilisation (CGU)</h1>
-            <p class="text-xs text-gray-500 mb-6">Dernière mise à jour : 28 Novembre 2025</p>
+            <h1 class="text-3xl font-bold text-white mb-2 border-b border-gray-600 pb-4">${I18n.t('legal.title')}</h1>
+            <p class="text-xs text-gray-500 mb-6">${I18n.t('legal.updated', { date: I18n.formatDate(LEGAL_UPDATED_AT, { day: 'numeric', month: 'long', year: 'numeric' }) })}</p>
             
             <div class="space-y-6 text-sm leading-relaxed">
+                ${LEGAL_SECTIONS.map(section => `
                 <section>
-                    <h3 class="text-white font-bold text-lg mb-2">PRÉAMBULE</h3>
-                    <p>Les présentes Conditions Générales d'Utilisation (ci-après "CGU") régissent l'utilisation de la plateforme "LootQuest" (ci-après le "Site"), éditée par [NOM DE TA SOCIÉTÉ OU TON NOM], (ci-après "l'Éditeur"). En accédant au Site, en créant un compte ou en utilisant les services offerts, l'Utilisateur accepte sans réserve les présentes CGU.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 1 : OBJET ET SERVICES</h3>
-                    <p>LootQuest est une plateforme de récompenses publicitaires agissant en tant qu'intermédiaire entre des régies publicitaires tierces (Offerwalls) et des utilisateurs finaux. Le service permet aux Utilisateurs de réaliser des actions numériques (sondages, visionnage de vidéos, tests d'applications) en échange d'une monnaie virtuelle interne dénommée "Pixels", échangeable contre des biens numériques.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 2 : ÉLIGIBILITÉ ET ACCÈS</h3>
-                    <p class="mb-2"><strong>2.1. Âge requis.</strong> L'utilisation du Site est réservée aux personnes âgées d'au moins 13 ans. Les mineurs de moins de 18 ans doivent obtenir l'autorisation préalable de leurs représentants légaux pour utiliser le Site. L'Éditeur se réserve le droit de demander toute preuve de cette autorisation.</p>
-                    <p><strong>2.2. Unicité du compte.</strong> L'accès est strictement limité à un (1) compte par personne physique et par foyer (adresse IP). La création de comptes multiples (multi-accounting) pour cumuler des récompenses est strictement interdite et entraînera la suspension immédiate et définitive de tous les comptes associés.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 3 : LA MONNAIE VIRTUELLE "PIXELS"</h3>
-                    <p class="mb-2"><strong>3.1. Nature juridique.</strong> Les "Pixels" constituent une unité de compte virtuelle propre au Site. Ils ne possèdent aucune valeur monétaire réelle, ne sont ni une monnaie électronique ni un instrument financier, et ne peuvent jamais être échangés contre de l'argent fiduciaire (Euros, Dollars, etc.).</p>
-                    <p class="mb-2"><strong>3.2. Propriété.</strong> L'Utilisateur ne possède aucun droit de propriété sur les Pixels. Ils représentent une licence limitée, révocable et non transférable d'accès à des récompenses. L'Éditeur se réserve le droit de modifier la valeur d'échange des Pixels à tout moment sans préavis.</p>
-                    <p><strong>3.3. Expiration.</strong> Les comptes inactifs pendant une période de six (6) mois consécutifs pourront voir leur solde de Pixels remis à zéro.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 4 : OBTENTION DES RÉCOMPENSES (OFFERWALLS)</h3>
-                    <p class="mb-2"><strong>4.1. Rôle d'intermédiaire.</strong> Les missions (quêtes) sont fournies par des partenaires tiers (AdGate, TapJoy, etc.). LootQuest n'a aucun contrôle sur la validation de ces offres. Si un partenaire refuse de valider une action (non-respect des critères, tracking défaillant), LootQuest ne pourra être tenu de créditer les Pixels.</p>
-                    <p class="mb-2"><strong>4.2. Dispositifs Anti-Fraude.</strong> Il est formellement interdit d'utiliser les méthodes suivantes pour compléter des offres :</p>
-                    <ul class="list-disc list-inside ml-4 mb-2 text-gray-400">
-                        <li>VPN, Proxy ou VPS pour masquer son adresse IP ou sa géolocalisation.</li>
-                        <li>Émulateurs Android/iOS (type Bluestacks, Nox) pour simuler un appareil mobile.</li>
-                        <li>Scripts d'automatisation ou bots.</li>
-                        <li>Bloqueurs de publicités (AdBlock) empêchant le tracking.</li>
-                    </ul>
-                    <p>Toute détection de ces outils par nos systèmes de sécurité entraînera un bannissement automatique ("Ban Hammer") et la perte irrévocable du solde.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 5 : BOUTIQUE ET RETRAITS</h3>
-                    <p class="mb-2"><strong>5.1. Délais de traitement.</strong> Afin de garantir la sécurité des transactions et de lutter contre la fraude :</p>
-                    <ul class="list-disc list-inside ml-4 mb-2 text-gray-400">
-                        <li>Le premier retrait effectué par un nouvel Utilisateur est soumis à une période de vérification manuelle de sept (7) jours calendaires.</li>
-                        <li>Les retraits suivants sont généralement traités sous 24 à 48 heures ouvrées, sous réserve de disponibilité des stocks.</li>
-                    </ul>
-                    <p class="mb-2"><strong>5.2. Livraison.</strong> Les récompenses sont livrées sous forme de codes numériques envoyés à l'adresse email associée au compte ou via la messagerie interne du Site. LootQuest ne saurait être tenu responsable en cas d'erreur de saisie de l'adresse email par l'Utilisateur.</p>
-                    <p><strong>5.3. Politique de remboursement.</strong> Compte tenu de la nature numérique des récompenses (cartes cadeaux, codes de jeux), aucun remboursement ni échange ne sera effectué une fois le code révélé ou envoyé à l'Utilisateur.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 6 : PROPRIÉTÉ INTELLECTUELLE</h3>
-                    <p class="mb-2"><strong>6.1. Contenu du Site.</strong> Tous les éléments du Site (charte graphique, code source, logos LootQuest) sont la propriété exclusive de l'Éditeur.</p>
-                    <p><strong>6.2. Marques Tierces.</strong> Les marques citées (Roblox, Fortnite, PlayStation, etc.) appartiennent à leurs propriétaires respectifs. LootQuest n'est ni affilié, ni sponsorisé, ni soutenu par ces entités. L'utilisation de ces marques sert uniquement à décrire les récompenses disponibles, conformément aux pratiques d'usage loyal.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 7 : RESPONSABILITÉ</h3>
-                    <p class="mb-2">L'Éditeur est tenu à une obligation de moyens. Sa responsabilité ne saurait être engagée en cas de :</p>
-                    <ul class="list-disc list-inside ml-4 text-gray-400">
-                        <li>Dysfonctionnement des réseaux internet ou des serveurs partenaires.</li>
-                        <li>Interruption temporaire du service pour maintenance.</li>
-                        <li>Pertes de données résultant d'une intrusion frauduleuse (piratage) malgré les mesures de sécurité mises en place.</li>
-                    </ul>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 8 : PROTECTION DES DONNÉES (RGPD)</h3>
-                    <p>Conformément au Règlement Général sur la Protection des Données, l'Utilisateur dispose d'un droit d'accès, de modification et de suppression de ses données. Les données collectées (Email, IP) sont strictement nécessaires à l'exécution du service (lutte anti-fraude et livraison des commandes) et ne sont pas revendues à des tiers commerciaux.</p>
-                </section>
-
-                <section>
-                    <h3 class="text-white font-bold text-lg mb-2">ARTICLE 9 : LOI APPLICABLE ET JURIDICTION</h3>
-                    <p>Les présentes CGU sont soumises au droit français. En cas de litige, et à défaut d'accord amiable, compétence exclusive est attribuée aux tribunaux compétents du ressort du siège social de l'Éditeur.</p>
+                    <h3 class="text-white font-bold text-lg mb-2">${I18n.t(`legal.${section}.title`)}</h3>
+                    ${I18n.t(`legal.${section}.body`)}
                 </section>
+                `).join('')}
             </div>
         </div>
     `,
 
     // --- NEW: ADMIN PANEL ---
-    admin: () => `
+    admin: () => {
+        const canEditCatalog = DB.user.permissions.includes('catalog.edit');
+        return `
         <div class="max-w-6xl mx-auto font-sans">
             <h2 class="text-3xl font-bold mb-6 text-red-500 font-gaming flex items-center gap-2"><i class="fa-solid fa-lock"></i> ADMIN PANEL</h2>
-            
+
+            <!-- Tabs -->
+            <div class="flex gap-2 mb-6">
+                ${[['withdrawals', 'fa-money-bill-transfer'], ['tickets', 'fa-ticket'], ['users', 'fa-users'], ['catalog', 'fa-store']].map(([tab, icon]) => `
+                    <button onclick="selectAdminTab('${tab}')" class="px-4 py-2 rounded text-sm font-bold transition-colors ${DB.adminTab === tab ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}"><i class="fa-solid ${icon}"></i> ${I18n.t(`admin.tab.${tab}`, { count: DB.adminTickets.counts.open || 0 })}</button>
+                `).join('')}
+            </div>
+
+            <!-- Low stock alerts -->
+            ${DB.adminStock.items.filter(s => s.low).map(s => `
+                <div class="mb-3 p-3 rounded-lg border border-yellow-600/50 bg-yellow-900/20 text-yellow-400 text-sm">
+                    <i class="fa-solid fa-triangle-exclamation"></i> ${I18n.t('admin.stock.low', { name: `<b>${escapeHtml(s.name)}</b>`, count: s.available, threshold: DB.adminStock.threshold })}
+                </div>
+            `).join('')}
+
+            ${DB.adminTab === 'withdrawals' ? `
             <!-- KPI Cards -->
             <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
                 <div class="bg-panel p-4 rounded-lg border border-gray-700">
-                    <p class="text-gray-400 text-xs uppercase">Utilisateurs Totaux</p>
-                    <p class="text-2xl font-bold text-white">12,450</p>
+                    <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.withdrawals.pending')}</p>
+                    <p class="text-2xl font-bold text-yellow-500">${DB.adminWithdrawals.counts.pending}</p>
                 </div>
                 <div class="bg-panel p-4 rounded-lg border border-gray-700">
-                    <p class="text-gray-400 text-xs uppercase">En attente de retrait</p>
-                    <p class="text-2xl font-bold text-yellow-500">${DB.adminWithdrawals.length}</p>
+                    <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.withdrawals.inReview')}</p>
+                    <p class="text-2xl font-bold text-blue-500">${DB.adminWithdrawals.counts.in_review}</p>
                 </div>
                 <div class="bg-panel p-4 rounded-lg border border-gray-700">
-                    <p class="text-gray-400 text-xs uppercase">Revenus Pubs (24h)</p>
-                    <p class="text-2xl font-bold text-green-500">$142.50</p>
+                    <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.withdrawals.toDeliver')}</p>
+                    <p class="text-2xl font-bold text-green-500">${DB.adminWithdrawals.counts.approved}</p>
                 </div>
                  <div class="bg-panel p-4 rounded-lg border border-gray-700">
-                    <p class="text-gray-400 text-xs uppercase">Marge Nette</p>
-                    <p class="text-2xl font-bold text-blue-500">42%</p>
+                    <p class="text-gray-400 text-xs uppercase">${I18n.t('admin.withdrawals.rejected')}</p>
+                    <p class="text-2xl font-bold text-red-500">${DB.adminWithdrawals.counts.rejected}</p>
                 </div>
             </div>
 
             <!-- Withdrawal Queue Table -->
             <div class="bg-panel rounded-lg border border-gray-700 overflow-hidden">
-                <div class="p-4 border-b border-gray-700 flex justify-between items-center">
-                    <h3 class="font-bold text-white">File d'attente : Paiements</h3>
-                    <button class="text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600"><i class="fa-solid fa-rotate"></i> Actualiser</button>
+                <div class="p-4 border-b border-gray-700 flex justify-between items-center gap-4">
+                    <h3 class="font-bold text-white">${I18n.t('admin.withdrawals.queue')}</h3>
+                    <div class="flex items-center gap-2">
+                        <select onchange="filterAdminWithdrawals(this.value)" class="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs text-white">
+                            <option value="">${I18n.t('admin.withdrawals.open')}</option>
+                            ${WITHDRAWAL_STATUSES.map(status => `
+                                <option value="${status}" ${DB.adminWithdrawalFilter === status ? 'selected' : ''}>${I18n.t(`withdrawal.status.${status}`)}</option>
+                            `).join('')}
+                        </select>
+                        <button onclick="refreshView()" class="text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600"><i class="fa-solid fa-rotate"></i> ${I18n.t('common.refresh')}</button>
+                    </div>
                 </div>
                 <table class="w-full text-left text-sm text-gray-300">
                     <thead class="bg-gray-800 text-xs uppercase font-bold text-gray-400">
                         <tr>
                             <th class="p-4">ID</th>
-                            <th class="p-4">Utilisateur</th>
-                            <th class="p-4">Récompense</th>
-                            <th class="p-4">Risque Fraude</th>
-                            <th class="p-4 text-right">Actions</th>
+                            <th class="p-4">${I18n.t('admin.col.user')}</th>
+                            <th class="p-4">${I18n.t('admin.col.reward')}</th>
+                            <th class="p-4">${I18n.t('admin.col.status')}</th>
+                            <th class="p-4">${I18n.t('admin.col.risk')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.col.actions')}</th>
                         </tr>
                     </thead>
                     <tbody class="divide-y divide-gray-700">
-                        ${DB.adminWithdrawals.map(item => `
+                        ${DB.adminWithdrawals.items.length === 0 ? `
+                            <tr><td colspan="6" class="p-6 text-center text-gray-500">${I18n.t('admin.withdrawals.empty')}</td></tr>
+                        ` : ''}
+                        ${DB.adminWithdrawals.items.map(item => `
                             <tr class="hover:bg-gray-700/50 transition-colors">
                                 <td class="p-4 font-mono text-xs text-gray-500">#${item.id}</td>
-                                <td class="p-4 font-bold text-white">${item.user}</td>
-                                <td class="p-4 text-neon-purple">${item.item}</td>
-                                <td class="p-4">
-                                    <span class="px-2 py-1 rounded text-[10px] font-bold uppercase ${item.risk.includes('High') ? 'bg-red-900/30 text-red-500' : 'bg-green-900/30 text-green-500'}">
-                                        ${item.risk}
-                                    </span>
+                                <td class="p-4 font-bold text-white">${item.user ? escapeHtml(item.user.username) : '?'} ${item.user && item.user.account.status !== 'active' ? accountStatusBadge(item.user.account) : ''}</td>
+                                <td class="p-4 text-neon-purple">${escapeHtml(item.itemName)} <span class="text-gray-500 text-xs">(${I18n.formatPixels(item.price)})</span></td>
+                                <td class="p-4 text-xs">
+                                    ${I18n.t(`withdrawal.status.${item.status}`)}
+                                    ${item.holdUntil && Date.parse(item.holdUntil) > Date.now() ? `<br><span class="text-yellow-500">${I18n.t('admin.withdrawals.hold', { date: I18n.formatDate(item.holdUntil) })}</span>` : ''}
                                 </td>
-                                <td class="p-4 text-right space-x-2">
-                                    <button onclick="alert('Paiement #${item.id} Approuvé ! Email envoyé.')" class="bg-green-600 hover:bg-green-500 text-white px-3 py-1 rounded text-xs font-bold transition-colors"><i class="fa-solid fa-check"></i> Payer</button>
-                                    <button onclick="alert('Paiement #${item.id} Refusé. Points remboursés.')" class="bg-red-600 hover:bg-red-500 text-white px-3 py-1 rounded text-xs font-bold transition-colors"><i class="fa-solid fa-xmark"></i> Rejeter</button>
+                                <td class="p-4 text-xs max-w-xs">${riskCell(item.risk)}</td>
+                                <td class="p-4 text-right space-x-2 whitespace-nowrap">
+                                    ${['pending', 'in_review'].includes(item.status) ? `
+                                        <button onclick="adminWithdrawalAction(${item.id}, 'approve')" class="bg-green-600 hover:bg-green-500 text-white px-3 py-1 rounded text-xs font-bold transition-colors"><i class="fa-solid fa-check"></i> ${I18n.t('admin.withdrawals.approve')}</button>
+                                        <button onclick="adminWithdrawalAction(${item.id}, 'reject')" class="bg-red-600 hover:bg-red-500 text-white px-3 py-1 rounded text-xs font-bold transition-colors"><i class="fa-solid fa-xmark"></i> ${I18n.t('admin.withdrawals.reject')}</button>
+                                    ` : ''}
+                                    ${item.status === 'approved' ? `
+                                        <button onclick="adminWithdrawalAction(${item.id}, 'deliver')" class="bg-blue-600 hover:bg-blue-500 text-white px-3 py-1 rounded text-xs font-bold transition-colors"><i class="fa-solid fa-paper-plane"></i> ${I18n.t('admin.withdrawals.deliver')}</button>
+                                    ` : ''}
                                 </td>
                             </tr>
                         `).join('')}
@@ -462,32 +1087,337 @@ const Views = {
                 </table>
             </div>
             
-            <!-- Logs -->
-            <div class="mt-8 bg-panel rounded-lg border border-gray-700 p-6">
-                 <h3 class="font-bold text-white mb-4">Logs Système (Sécurité)</h3>
-                 <div class="font-mono text-xs text-gray-400 space-y-2">
-                    <p><span class="text-blue-400">[10:42:12]</span> User 'BotMasterX' flagged for Multi-Account (IP: 192.168.1.1).</p>
-                    <p><span class="text-blue-400">[10:38:05]</span> Postback received from AdGateMedia ($2.40).</p>
-                    <p><span class="text-blue-400">[10:15:00]</span> System Backup completed.</p>
-                 </div>
+            ` : ''}
+
+            ${DB.adminTab === 'tickets' ? adminTicketsPanel() : ''}
+            ${DB.adminTab === 'users' ? adminUsersPanel() : ''}
+
+            ${DB.adminTab === 'catalog' ? `
+            <!-- Catalog editor -->
+            <div class="bg-panel rounded-lg border border-gray-700 overflow-hidden">
+                <div class="p-4 border-b border-gray-700 flex justify-between items-center">
+                    <h3 class="font-bold text-white">${I18n.t('admin.catalog.title')}</h3>
+                    ${canEditCatalog ? `<button onclick="editShopItem('new')" class="text-xs bg-green-600 hover:bg-green-500 text-white px-3 py-1 rounded font-bold"><i class="fa-solid fa-plus"></i> ${I18n.t('admin.item.new')}</button>` : ''}
+                </div>
+                <table class="w-full text-left text-sm text-gray-300">
+                    <thead class="bg-gray-800 text-xs uppercase font-bold text-gray-400">
+                        <tr>
+                            <th class="p-4">${I18n.t('admin.col.item')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.col.price')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.col.stock')}</th>
+                            <th class="p-4">${I18n.t('admin.col.countries')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.col.limit')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.col.actions')}</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-700">
+                        ${DB.adminShop.map(item => `
+                            <tr class="${item.enabled ? '' : 'opacity-50'}">
+                                <td class="p-4">
+                                    <span class="font-bold text-white"><i class="fa-brands ${item.icon} ${item.color} mr-1"></i> ${escapeHtml(item.name)}</span>
+                                    <span class="ml-2 text-[10px] bg-white/10 px-2 py-0.5 rounded uppercase text-gray-400">${item.type}</span>
+                                    ${item.enabled ? '' : `<span class="ml-2 text-[10px] text-red-400 uppercase">${I18n.t('admin.catalog.disabled')}</span>`}
+                                </td>
+                                <td class="p-4 text-right">
+                                    ${item.currentPrice !== item.price ? `<span class="line-through text-gray-500 mr-1">${I18n.formatNumber(item.price)}</span><span class="text-green-400 font-bold">${I18n.formatPixels(item.currentPrice)}</span>` : I18n.formatPixels(item.price)}
+                                </td>
+                                <td class="p-4 text-right">${item.availableStock ?? '∞'}${item.stock === null ? '' : ` <span class="text-gray-500 text-xs">/ ${item.stock}</span>`}</td>
+                                <td class="p-4 text-xs">${item.countries.includes('*') ? I18n.t('admin.catalog.allCountries') : item.countries.join(', ')}</td>
+                                <td class="p-4 text-right">${item.purchaseLimit || '∞'}</td>
+                                <td class="p-4 text-right space-x-2 whitespace-nowrap">
+                                    ${canEditCatalog ? `
+                                        <button onclick="editShopItem(${item.id})" class="text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600"><i class="fa-solid fa-pen"></i></button>
+                                        <button onclick="toggleShopItem(${item.id})" class="text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600"><i class="fa-solid ${item.enabled ? 'fa-eye-slash' : 'fa-eye'}"></i></button>
+                                        <button onclick="deleteShopItem(${item.id})" class="text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-500"><i class="fa-solid fa-trash"></i></button>
+                                    ` : '—'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>
-        </div>
-    `
-};
 
-// --- 3. ROUTER & LOGIC ---
+            ${DB.adminEditingItem ? shopItemForm(DB.adminEditingItem === 'new' ? {} : DB.adminShop.find(i => i.id === DB.adminEditingItem)) : ''}
 
-function router(viewName) {
-    const appViews = document.getElementById('app-views');
+            <!-- Gift code stock -->
+            <div class="mt-8 bg-panel rounded-lg border border-gray-700 overflow-hidden">
+                <div class="p-4 border-b border-gray-700">
+                    <h3 class="font-bold text-white">${I18n.t('admin.stock.title')}</h3>
+                </div>
+                <table class="w-full text-left text-sm text-gray-300">
+                    <thead class="bg-gray-800 text-xs uppercase font-bold text-gray-400">
+                        <tr>
+                            <th class="p-4">${I18n.t('admin.col.item')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.stock.available')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.stock.reserved')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.stock.delivered')}</th>
+                            <th class="p-4 text-right">${I18n.t('admin.stock.import')}</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-700">
+                        ${DB.adminStock.items.map(s => `
+                            <tr>
+                                <td class="p-4 font-bold text-white">${escapeHtml(s.name)}</td>
+                                <td class="p-4 text-right ${s.low ? 'text-yellow-500 font-bold' : ''}">${s.available}</td>
+                                <td class="p-4 text-right">${s.reserved}</td>
+                                <td class="p-4 text-right">${s.delivered}</td>
+                                <td class="p-4 text-right">
+                                    ${DB.user.permissions.includes('codes.manage') ? `
+                                        <label class="cursor-pointer text-xs bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600">
+                                            <i class="fa-solid fa-file-import"></i> ${I18n.t('admin.stock.importButton')}
+                                            <input type="file" accept=".csv,text/csv,text/plain" class="hidden" onchange="importCodes(${s.itemId}, this.files[0])">
+                                        </label>
+                                    ` : '—'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+
+            <!-- Logs -->
+            <div class="mt-8 bg-panel rounded-lg border border-gray-700 p-6">
+                 <h3 class="font-bold text-white mb-4">${I18n.t('admin.audit.title')}</h3>
+                 <div class="font-mono text-xs text-gray-400 space-y-2">
+                    ${DB.adminAudit.length === 0 ? `<p class="text-gray-500">${I18n.t('admin.audit.empty')}</p>` : ''}
+                    ${DB.adminAudit.map(entry => `
+                        <p><span class="text-blue-400">[${I18n.formatDateTime(entry.at)}]</span> ${entry.actor ? escapeHtml(entry.actor) : (entry.actorId ? `#${entry.actorId}` : 'CLI')} : ${entry.action} ${entry.targetType} #${entry.targetId}${entry.details && entry.details.reason ? ` — "${escapeHtml(entry.details.reason)}"` : ''}</p>
+                    `).join('')}
+                 </div>
+            </div>
+        </div>
+    `;
+    }
+};
+
+// --- 3. ROUTER & LOGIC ---
+
+// Données à récupérer depuis l'API avant d'afficher une vue
+const ViewLoaders = {
+    dashboard: async () => {
+        [DB.withdrawals, DB.quests, DB.dailyBonus] = await Promise.all([
+            API.request(Config.ENDPOINTS.WITHDRAWALS),
+            API.request(Config.ENDPOINTS.QUESTS),
+            API.request(`${Config.ENDPOINTS.DAILY_BONUS}?timezone=${encodeURIComponent(browserTimezone())}`)
+        ]);
+        await updateHeaderData(); // XP gagnée depuis le dernier passage (quêtes, offres...)
+    },
+    loot: async () => {
+        DB.shopItems = await API.request(Config.ENDPOINTS.SHOP);
+    },
+    earn: async () => {
+        DB.offerwalls = await API.request(Config.ENDPOINTS.OFFERWALLS);
+        // Onglet par défaut : le premier mur disponible
+        const walls = DB.offerwalls.walls;
+        if (!walls.some(w => w.id === DB.activeWall)) {
+            DB.activeWall = (walls.find(w => w.available) || walls[0] || {}).id || null;
+        }
+    },
+    inventory: async () => {
+        const params = new URLSearchParams({ page: DB.historyFilters.page });
+        if (DB.historyFilters.type) params.set('type', DB.historyFilters.type);
+        if (DB.historyFilters.direction) params.set('direction', DB.historyFilters.direction);
+        [DB.history, DB.codes] = await Promise.all([
+            API.request(`${Config.ENDPOINTS.HISTORY}?${params}`),
+            API.request(Config.ENDPOINTS.CODES)
+        ]);
+    },
+    referral: async () => {
+        DB.referrals = await API.request(Config.ENDPOINTS.REFERRALS);
+    },
+    aiSupport: async () => {
+        DB.chatHistory = (await API.request(Config.ENDPOINTS.SUPPORT_CHAT)).messages;
+    },
+    leaderboard: async () => {
+        DB.season = await API.request(Config.ENDPOINTS.SEASON);
+        if (DB.leaderboardWindow === 'season' && !DB.season.current) DB.leaderboardWindow = 'weekly';
+        DB.leaderboard = await API.request(`${Config.ENDPOINTS.LEADERBOARD}?window=${DB.leaderboardWindow}`);
+    },
+    support: async () => {
+        [DB.tickets, DB.ticketTransactions] = await Promise.all([
+            API.request(Config.ENDPOINTS.TICKETS),
+            API.request(Config.ENDPOINTS.HISTORY).then(history => history.items)
+        ]);
+        if (DB.openTicket) DB.openTicket = await API.request(`${Config.ENDPOINTS.TICKETS}/${DB.openTicket.id}`);
+    },
+    admin: async () => {
+        const query = DB.adminWithdrawalFilter ? `?status=${DB.adminWithdrawalFilter}` : '';
+        const ticketParams = new URLSearchParams();
+        if (DB.adminTicketFilter) ticketParams.set('status', DB.adminTicketFilter);
+        if (DB.adminTicketsMine) ticketParams.set('mine', '1');
+        const userParams = new URLSearchParams(DB.adminUserSearch);
+        [DB.adminWithdrawals, DB.adminAudit, DB.adminStock, DB.adminShop, DB.adminTickets, DB.adminUsers] = await Promise.all([
+            API.request(`${Config.ENDPOINTS.ADMIN_WITHDRAWALS}${query}`),
+            API.request(Config.ENDPOINTS.ADMIN_AUDIT),
+            API.request(`${Config.ENDPOINTS.ADMIN_CODES}/stock`),
+            API.request(Config.ENDPOINTS.ADMIN_SHOP),
+            API.request(`${Config.ENDPOINTS.ADMIN_TICKETS}?${ticketParams}`),
+            API.request(`${Config.ENDPOINTS.ADMIN_USERS}?${userParams}`)
+        ]);
+        if (DB.adminTicket) DB.adminTicket = await API.request(`${Config.ENDPOINTS.ADMIN_TICKETS}/${DB.adminTicket.id}`);
+    }
+};
+
+// Routes de l'application : chaque vue a une adresse (/app#loot, /app#tickets/12...)
+// - path : motif, les segments `:nom` deviennent des paramètres ;
+// - view : template de Views affiché ; title : clé du titre de l'en-tête ;
+// - guard : permission exigée (sinon retour au dashboard) ;
+// - load(params) : données à récupérer avant l'affichage ;
+// - empty : état vide { when(), icon, text (clé) } affiché à la place de la vue.
+const ADMIN_TABS = ['withdrawals', 'tickets', 'users', 'catalog'];
+
+const Routes = [
+    { path: 'dashboard', view: 'dashboard', title: 'route.dashboard', load: ViewLoaders.dashboard },
+    { path: 'earn', view: 'earn', title: 'route.earn', load: ViewLoaders.earn },
+    {
+        path: 'earn/:wall', view: 'earn', title: 'route.earn',
+        load: async ({ wall }) => {
+            DB.activeWall = wall;
+            await ViewLoaders.earn();
+        }
+    },
+    {
+        path: 'loot', view: 'loot', title: 'route.loot', load: ViewLoaders.loot,
+        empty: { when: () => DB.shopItems.length === 0, icon: 'fa-store-slash', text: 'shop.empty' }
+    },
+    { path: 'inventory', view: 'inventory', title: 'route.inventory', load: ViewLoaders.inventory },
+    { path: 'referral', view: 'referral', title: 'route.referral', load: ViewLoaders.referral },
+    { path: 'leaderboard', view: 'leaderboard', title: 'route.leaderboard', load: ViewLoaders.leaderboard },
+    {
+        path: 'leaderboard/:window', view: 'leaderboard', title: 'route.leaderboard',
+        load: async ({ window }) => {
+            if (!LEADERBOARD_WINDOWS.includes(window)) throw new Error(I18n.t('route.unknownLeaderboard'));
+            DB.leaderboardWindow = window;
+            await ViewLoaders.leaderboard();
+        }
+    },
+    { path: 'support', view: 'support', title: 'route.support', load: ViewLoaders.support },
+    {
+        path: 'tickets/:id', view: 'support', title: 'route.support',
+        load: async ({ id }) => {
+            DB.openTicket = { id: Number(id) }; // rechargé en entier par le loader
+            await ViewLoaders.support();
+        }
+    },
+    { path: 'aiSupport', view: 'aiSupport', title: 'route.aiSupport', load: ViewLoaders.aiSupport },
+    { path: 'legal', view: 'legal', title: 'route.legal' },
+    // Le serveur refuse de toute façon /api/admin sans le rôle : le garde évite juste la vue vide
+    { path: 'admin', view: 'admin', title: 'route.admin', guard: 'admin.access', load: ViewLoaders.admin },
+    {
+        path: 'admin/tickets/:id', view: 'admin', title: 'route.admin', guard: 'admin.access',
+        load: async ({ id }) => {
+            DB.adminTab = 'tickets';
+            DB.adminTicket = { id: Number(id) };
+            await ViewLoaders.admin();
+        }
+    },
+    {
+        path: 'admin/:tab', view: 'admin', title: 'route.admin', guard: 'admin.access',
+        load: async ({ tab }) => {
+            if (!ADMIN_TABS.includes(tab)) throw new Error(I18n.t('route.unknownTab'));
+            DB.adminTab = tab;
+            DB.adminEditingItem = null;
+            await ViewLoaders.admin();
+        }
+    }
+];
+
+const DEFAULT_ROUTE = 'dashboard';
+
+// Chemin courant, sans le # (ex. "tickets/12")
+function currentPath() {
+    return decodeURIComponent(window.location.hash.replace(/^#\/?/, ''));
+}
+
+// Première route dont le motif correspond, avec ses paramètres
+function matchRoute(path) {
+    const segments = path.split('/').filter(Boolean);
+    for (const route of Routes) {
+        const pattern = route.path.split('/');
+        if (pattern.length !== segments.length) continue;
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = segments[i];
+                return true;
+            }
+            return part === segments[i];
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+function routeState(icon, text, action = '') {
+    return `
+        <div class="flex flex-col items-center justify-center h-[50vh] text-center text-gray-400">
+            <i class="fa-solid ${icon} text-4xl mb-4"></i>
+            <p class="max-w-md mb-6">${text}</p>
+            ${action}
+        </div>
+    `;
+}
+
+// Navigation : ajoute l'adresse à l'historique du navigateur puis affiche la vue.
+// Rappeler la route courante la recharge sur place (après une action).
+async function router(path = DEFAULT_ROUTE) {
+    if (path !== currentPath()) {
+        window.history.pushState(null, '', `#${path}`);
+    }
+    await renderRoute(path);
+}
+
+// Recharge la vue affichée sans toucher à l'historique
+function refreshView() {
+    return renderRoute(currentPath());
+}
+
+// Précédent / Suivant et liens #... saisis à la main
+window.addEventListener('hashchange', () => renderRoute(currentPath()));
+
+let routeRequest = 0; // seule la dernière navigation lancée s'affiche
+
+// `reload: false` : redessine avec les données déjà chargées (changement de langue)
+async function renderRoute(path, { reload = true } = {}) {
+    const appViews = document.getElementById('app-views');
     const mainContent = document.getElementById('main-content');
     const pageTitle = document.getElementById('page-title');
+    const request = ++routeRequest;
 
-    // 1. Inject HTML
-    if (Views[viewName]) {
-        appViews.innerHTML = Views[viewName]();
+    let match = matchRoute(path);
+    if (!match || (match.route.guard && !DB.user.permissions.includes(match.route.guard))) {
+        // Adresse inconnue ou réservée : remplacée par le dashboard dans l'historique
+        window.history.replaceState(null, '', `#${DEFAULT_ROUTE}`);
+        path = DEFAULT_ROUTE;
+        match = matchRoute(path);
     }
+    const { route, params } = match;
+    const samePath = path === DB.currentPath;
+
+    // 1. Load data, then inject HTML (chargement visible seulement en changeant de page)
+    if (route.load && reload) {
+        if (!samePath) appViews.innerHTML = routeState('fa-circle-notch fa-spin', I18n.t('route.loading'));
+        try {
+            await route.load(params);
+        } catch (error) {
+            if (request !== routeRequest) return;
+            appViews.innerHTML = routeState('fa-triangle-exclamation text-alert-red', escapeHtml(error.message),
+                `<button onclick="refreshView()" class="bg-white/10 hover:bg-white/20 text-white text-sm font-bold px-6 py-2 rounded transition-colors"><i class="fa-solid fa-rotate"></i> ${I18n.t('route.retry')}</button>`);
+            DB.currentView = null;
+            DB.currentPath = path;
+            return;
+        }
+        if (request !== routeRequest) return;
+    }
+    appViews.innerHTML = route.empty && route.empty.when()
+        ? routeState(route.empty.icon, I18n.t(route.empty.text))
+        : Views[route.view]();
+    DB.currentView = route.view;
+    DB.currentPath = path;
 
     // 2. Update Navigation State
+    const viewName = route.view;
     document.querySelectorAll('nav button').forEach(btn => {
         // Reset all specific classes
         btn.classList.remove('active-nav', 'active-nav-trust', 'active-nav-admin');
@@ -509,21 +1439,10 @@ function router(viewName) {
     }
 
     // 3. Update Titles & Ambience
-    const titles = {
-        dashboard: "BASE PRINCIPALE",
-        earn: "CENTRE DE COMMANDEMENT (OFFRES)",
-        loot: "LOOT SHOP",
-        inventory: "COFFRE FORT",
-        leaderboard: "HALL OF FAME",
-        support: "CENTRE D'AIDE",
-        aiSupport: "ASSISTANT VIRTUEL (IA)",
-        legal: "DOCUMENTATION LÉGALE",
-        admin: "ADMINISTRATION SYSTÈME"
-    };
-    pageTitle.innerText = titles[viewName] || "LOOTQUEST";
+    pageTitle.innerText = route.title ? I18n.t(route.title) : "LOOTQUEST";
 
-    // 4. Scroll to top
-    mainContent.scrollTo(0, 0);
+    // 4. Scroll to top (pas lors d'un rechargement sur place)
+    if (!samePath) mainContent.scrollTo(0, 0);
 
     // 5. Scroll chat to bottom if aiSupport
     if (viewName === 'aiSupport') {
@@ -569,55 +1488,636 @@ async function handleChatSubmit(e, mode) {
     `;
     chatContainer.scrollTop = chatContainer.scrollHeight;
 
-    // 3. Call AI
-    const systemPrompt = `Tu es l'Assistant Support de LootQuest. Ton rôle est de rassurer les utilisateurs (souvent des parents ou des jeunes joueurs) avec un ton professionnel, poli et calme.
-    Contexte : LootQuest est un site de GPT (Get-Paid-To). Les utilisateurs gagnent des "Pixels" en regardant des pubs et les échangent contre des cartes cadeaux (Roblox, Fortnite).
-    Règles importantes à connaître :
-    1. Le premier retrait prend TOUJOURS 7 jours pour vérification anti-fraude.
-    2. Les retraits suivants prennent 24-48h.
-    3. L'usage de VPN est interdit et cause des blocages.
-    Sois concis et clair. Ne parle pas en "Gamer Slang" ici, reste formel.`;
-
-    const responseText = await callGemini(message, systemPrompt);
+    // 3. Call AI (proxy serveur : la clé et l'historique restent côté serveur)
+    let responseText;
+    let suggestTicket = false;
+    try {
+        const { reply } = await API.request(Config.ENDPOINTS.SUPPORT_CHAT, 'POST', { message });
+        DB.chatHistory.push(reply);
+        responseText = reply.text;
+        suggestTicket = reply.suggestTicket;
+    } catch (error) {
+        // Question non enregistrée côté serveur (limite atteinte, IA indisponible...)
+        DB.chatHistory.pop();
+        responseText = `⚠️ ${error.message}`;
+    }
 
     // Remove loading
     const loadingEl = document.getElementById(loadingId);
     if (loadingEl) loadingEl.remove();
 
     // Add Bot Response
-    DB.chatHistory.push({ role: 'model', text: responseText });
     chatContainer.innerHTML += `
         <div class="flex gap-4">
             <div class="w-8 h-8 bg-blue-600/20 text-blue-500 border border-blue-600/30 rounded-full flex-shrink-0 flex items-center justify-center mt-1"><i class="fa-solid fa-robot"></i></div>
             <div class="chat-trust-bot p-4 text-sm max-w-[85%] leading-relaxed">
                 ${marked.parse(responseText)}
+                ${suggestTicket ? ticketSuggestion() : ''}
             </div>
         </div>
     `;
     chatContainer.scrollTop = chatContainer.scrollHeight;
 }
 
-function updateHeaderData() {
+// Proposé par l'assistant quand il ne peut pas résoudre le problème
+function ticketSuggestion() {
+    return `
+        <button onclick="openTicketFromChat()" class="mt-3 bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold px-4 py-2 rounded transition-colors">
+            <i class="fa-solid fa-ticket"></i> ${I18n.t('chat.openTicket')}
+        </button>
+    `;
+}
+
+// Formulaire de contact pré-rempli, conversation avec l'assistant jointe
+async function openTicketFromChat() {
+    DB.ticketDraft = { subject: I18n.t('chat.ticketSubject'), attachChat: true };
+    await router('support');
+    document.getElementById('ticket-description').focus();
+}
+
+async function submitTicket(event) {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    try {
+        DB.openTicket = await API.request(Config.ENDPOINTS.TICKETS, 'POST', {
+            category: form.get('category'),
+            subject: form.get('subject'),
+            message: form.get('message'),
+            transactionId: form.get('transactionId') ? Number(form.get('transactionId')) : null,
+            attachChat: form.get('attachChat') === 'on'
+        });
+        DB.ticketDraft = { subject: '', attachChat: false };
+        router(`tickets/${DB.openTicket.id}`);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function openTicket(id) {
+    router(`tickets/${id}`);
+}
+
+async function replyTicket(event) {
+    event.preventDefault();
+    const text = new FormData(event.target).get('text');
+    try {
+        DB.openTicket = await API.request(`${Config.ENDPOINTS.TICKETS}/${DB.openTicket.id}/messages`, 'POST', { text });
+        refreshView();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function clearChat() {
+    try {
+        await API.request(Config.ENDPOINTS.SUPPORT_CHAT, 'DELETE');
+        router('aiSupport');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Récupère le compte connecté (la session est portée par le cookie)
+async function loadUser() {
+    try {
+        const user = await API.request(Config.ENDPOINTS.USER);
+        Object.assign(DB.user, user);
+    } catch (error) {
+        // Session expirée : retour à l'accueil pour se reconnecter
+        window.location.href = '/';
+    }
+}
+
+async function unlinkProvider(provider) {
+    if (!confirm(I18n.t('dashboard.unlinkConfirm'))) return;
+    try {
+        const user = await API.request(`${Config.ENDPOINTS.USER}/identities/${provider}`, 'DELETE');
+        Object.assign(DB.user, user);
+        router('dashboard');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Retour de /auth/link/:provider : le serveur passe le résultat dans l'URL
+function showLinkResult() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('linked')) alert(I18n.t('dashboard.linkSuccess'));
+    if (params.has('linkError')) alert(API.errorFromQuery(params, 'linkError'));
+    if (params.has('linked') || params.has('linkError')) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+    }
+}
+
+// Échange de Pixels : le serveur réserve le montant et crée la demande de retrait
+async function redeemItem(itemId) {
+    const item = DB.shopItems.find(i => i.id === itemId);
+    if (!item || !confirm(I18n.t('shop.confirm', { price: I18n.formatPixels(item.price), name: item.name }))) return;
+
+    try {
+        // Clé unique par tentative : si la requête est rejouée, un seul retrait côté serveur
+        const withdrawal = await API.request(`${Config.ENDPOINTS.SHOP}/${itemId}/redeem`, 'POST', null, {
+            'Idempotency-Key': crypto.randomUUID()
+        });
+        alert(withdrawal.holdUntil
+            ? I18n.t('shop.redeemed.hold', { date: I18n.formatDate(withdrawal.holdUntil) })
+            : I18n.t('shop.redeemed'));
+        await loadUser();
+        updateHeaderData();
+        router('dashboard');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function copyReferralLink() {
+    navigator.clipboard.writeText(DB.referrals.link);
+    alert(I18n.t('referral.copied'));
+}
+
+function copyCode(codeId) {
+    const code = DB.codes.find(c => c.id === codeId);
+    if (code) navigator.clipboard.writeText(code.code);
+}
+
+function filterShop(type) {
+    DB.shopFilter = type;
+    document.getElementById('app-views').innerHTML = Views.loot();
+}
+
+function selectLeaderboardWindow(window) {
+    router(`leaderboard/${window}`);
+}
+
+function selectWall(wallId) {
+    router(`earn/${wallId}`);
+}
+
+// Filtres / pagination de l'historique (le changement de filtre revient en page 1)
+function filterHistory(key, value) {
+    if (key === 'page') {
+        DB.historyFilters.page = value;
+    } else {
+        DB.historyFilters[key] = value;
+        DB.historyFilters.page = 1;
+    }
+    router('inventory');
+}
+
+// Actions du panel admin sur un retrait (approve / reject / deliver)
+async function adminWithdrawalAction(id, action) {
+    let body = null;
+    if (action === 'reject') {
+        const reason = prompt(I18n.t('admin.withdrawals.rejectReason', { id }));
+        if (!reason || !reason.trim()) return;
+        body = { reason: reason.trim() };
+    }
+
+    try {
+        await API.request(`${Config.ENDPOINTS.ADMIN_WITHDRAWALS}/${id}/${action}`, 'POST', body);
+    } catch (error) {
+        alert(error.message);
+    }
+    refreshView();
+}
+
+// Import CSV d'un lot de codes pour un article (un code par ligne)
+async function importCodes(itemId, file) {
+    if (!file) return;
+    try {
+        const result = await API.request(`${Config.ENDPOINTS.ADMIN_CODES}/import?itemId=${itemId}`, 'POST', await file.text(), {
+            'Content-Type': 'text/csv'
+        });
+        alert(I18n.t('admin.stock.imported', result));
+    } catch (error) {
+        alert(error.message);
+    }
+    refreshView();
+}
+
+function selectAdminTab(tab) {
+    router(`admin/${tab}`);
+}
+
+function editShopItem(id) {
+    DB.adminEditingItem = id;
+    document.getElementById('app-views').innerHTML = Views.admin();
+}
+
+async function saveShopItem(event) {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    const optional = name => form.get(name) === '' ? null : Number(form.get(name));
+    const date = name => form.get(name) ? new Date(form.get(name)).toISOString() : null;
+    const body = {
+        name: form.get('name'),
+        type: form.get('type'),
+        icon: form.get('icon'),
+        color: form.get('color'),
+        price: Number(form.get('price')),
+        salePrice: optional('salePrice'),
+        saleStartsAt: date('saleStartsAt'),
+        saleEndsAt: date('saleEndsAt'),
+        stock: optional('stock'),
+        purchaseLimit: optional('purchaseLimit'),
+        minLevel: optional('minLevel'),
+        countries: form.get('countries'),
+        enabled: form.get('enabled') === 'on'
+    };
+
+    try {
+        if (DB.adminEditingItem === 'new') {
+            await API.request(Config.ENDPOINTS.ADMIN_SHOP, 'POST', body);
+        } else {
+            await API.request(`${Config.ENDPOINTS.ADMIN_SHOP}/${DB.adminEditingItem}`, 'PUT', body);
+        }
+        DB.adminEditingItem = null;
+        refreshView();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function toggleShopItem(id) {
+    const item = DB.adminShop.find(i => i.id === id);
+    try {
+        await API.request(`${Config.ENDPOINTS.ADMIN_SHOP}/${id}`, 'PUT', { enabled: !item.enabled });
+    } catch (error) {
+        alert(error.message);
+    }
+    refreshView();
+}
+
+async function deleteShopItem(id) {
+    const item = DB.adminShop.find(i => i.id === id);
+    if (!confirm(I18n.t('admin.catalog.deleteConfirm', { name: item.name }))) return;
+    try {
+        await API.request(`${Config.ENDPOINTS.ADMIN_SHOP}/${id}`, 'DELETE');
+    } catch (error) {
+        alert(error.message);
+    }
+    refreshView();
+}
+
+function filterAdminTickets(key, value) {
+    if (key === 'mine') DB.adminTicketsMine = value;
+    else DB.adminTicketFilter = value;
+    refreshView();
+}
+
+function openAdminTicket(id) {
+    router(`admin/tickets/${id}`);
+}
+
+// Les actions sur un ticket rechargent la file (statuts, SLA) et le fil ouvert
+async function adminTicketAction(id, path, method, body) {
+    try {
+        await API.request(`${Config.ENDPOINTS.ADMIN_TICKETS}/${id}/${path}`, method, body);
+    } catch (error) {
+        alert(error.message);
+    }
+    refreshView();
+}
+
+function replyAdminTicket(event, id) {
+    event.preventDefault();
+    adminTicketAction(id, 'messages', 'POST', {
+        text: new FormData(event.target).get('text'),
+        status: event.submitter ? event.submitter.value : 'answered'
+    });
+}
+
+function assignTicket(id, assigneeId) {
+    adminTicketAction(id, 'assign', 'PUT', { assigneeId: assigneeId ? Number(assigneeId) : null });
+}
+
+function setTicketStatus(id, status) {
+    adminTicketAction(id, 'status', 'PUT', { status });
+}
+
+function searchAdminUsers(event) {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    DB.adminUserSearch = { q: form.get('q').trim(), status: form.get('status') };
+    DB.adminSanctionUserId = null;
+    refreshView();
+}
+
+function editSanction(id) {
+    DB.adminSanctionUserId = id;
+    document.getElementById('app-views').innerHTML = Views.admin();
+}
+
+// Sanctions d'un joueur : chaque action est journalisée côté serveur
+async function adminUserAction(id, path, body, headers) {
+    try {
+        await API.request(`${Config.ENDPOINTS.ADMIN_USERS}/${id}/${path}`, 'POST', body, headers);
+        DB.adminSanctionUserId = null;
+    } catch (error) {
+        alert(error.message);
+    }
+    refreshView();
+}
+
+function banUser(event, id) {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    adminUserAction(id, 'ban', {
+        status: form.get('status'),
+        reason: form.get('reason'),
+        days: form.get('days') ? Number(form.get('days')) : null
+    });
+}
+
+function unbanUser(id) {
+    const reason = prompt(I18n.t('admin.users.liftReason', { id }));
+    if (!reason || !reason.trim()) return;
+    adminUserAction(id, 'unban', { reason: reason.trim() });
+}
+
+function forfeitBalance(id) {
+    const user = DB.adminUsers.items.find(u => u.id === id);
+    if (!confirm(I18n.t('admin.users.forfeitConfirm', { pixels: I18n.formatPixels(user.pixels), name: user.username }))) return;
+    const reason = prompt(I18n.t('admin.users.forfeitReason'));
+    if (!reason || !reason.trim()) return;
+    adminUserAction(id, 'forfeit', { reason: reason.trim() }, { 'Idempotency-Key': crypto.randomUUID() });
+}
+
+// Fuseau du navigateur : le bonus quotidien se réclame par jour calendaire local
+function browserTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+async function claimDailyBonus() {
+    try {
+        const result = await API.request(`${Config.ENDPOINTS.DAILY_BONUS}/claim`, 'POST', { timezone: browserTimezone() });
+        if (result.skipped) alert(I18n.t('bonus.skipped'));
+    } catch (error) {
+        alert(error.message);
+    }
+    router('dashboard');
+}
+
+function filterAdminWithdrawals(status) {
+    DB.adminWithdrawalFilter = status;
+    refreshView();
+}
+
+// XP / niveau / rang calculés côté serveur. Un passage de niveau pas encore
+// célébré déclenche l'événement "lootquest:levelup".
+async function loadProfile() {
+    const profile = await API.request(Config.ENDPOINTS.USER_PROFILE);
+    Object.assign(DB.user, profile);
+    if (profile.levelUp) {
+        window.dispatchEvent(new CustomEvent('lootquest:levelup', { detail: profile.levelUp }));
+    }
+}
+
+// Écran de célébration d'un passage de niveau
+function showLevelUp({ level, rank, perks }) {
+    if (document.getElementById('level-up-overlay')) return;
+    const overlay = document.createElement('div');
+    overlay.id = 'level-up-overlay';
+    overlay.className = 'fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4';
+    overlay.innerHTML = `
+        <div class="glass rounded-2xl p-8 max-w-sm w-full text-center border border-neon-purple">
+            <i class="fa-solid fa-trophy text-6xl text-yellow-400 mb-4"></i>
+            <p class="text-gray-400 font-gaming text-sm">LEVEL UP !</p>
+            <h2 class="text-5xl font-bold font-gaming text-white my-2">${I18n.t('levelUp.level', { level })}</h2>
+            <p class="text-neon-purple font-gaming mb-4">${rank}</p>
+            ${perks.map(perk => `<p class="text-sm text-toxic-green"><i class="fa-solid fa-unlock"></i> ${perk}</p>`).join('')}
+            <button onclick="closeLevelUp()" class="mt-6 bg-neon-purple hover:bg-neon-blue text-white px-6 py-2 rounded font-bold transition-colors">${I18n.t('levelUp.continue')}</button>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+}
+
+async function closeLevelUp() {
+    document.getElementById('level-up-overlay')?.remove();
+    try {
+        await API.request(`${Config.ENDPOINTS.USER_PROFILE}/level-up/ack`, 'POST');
+    } catch (error) {
+        // Sans accusé de réception, la célébration sera simplement rejouée
+    }
+}
+
+window.addEventListener('lootquest:levelup', event => showLevelUp(event.detail));
+
+// --- TEMPS RÉEL & NOTIFICATIONS ---
+// Flux Server-Sent Events /api/events (voir server/realtime.js) : le solde,
+// l'XP, les quêtes, les retraits et les files admin se mettent à jour sans
+// recharger la page ; les notifications arrivent en toast et dans la cloche.
+const LIVE_REFRESH_DELAY_MS = 400;
+const TOAST_DURATION_MS = 5000;
+
+// Un crédit d'offre enchaîne souvent plusieurs écritures (offre, quête,
+// commission...) : les rafraîchissements sont regroupés
+const liveRefresh = { timer: null, views: new Set(), header: false };
+
+function scheduleLiveRefresh(views, { header = false } = {}) {
+    views.forEach(view => liveRefresh.views.add(view));
+    liveRefresh.header = liveRefresh.header || header;
+    clearTimeout(liveRefresh.timer);
+    liveRefresh.timer = setTimeout(runLiveRefresh, LIVE_REFRESH_DELAY_MS);
+}
+
+// Saisie en cours dans la vue : on ne l'écrase pas
+function isEditingView() {
+    const active = document.activeElement;
+    return Boolean(active && ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName)
+        && document.getElementById('app-views').contains(active));
+}
+
+async function runLiveRefresh() {
+    const view = DB.currentView;
+    if (liveRefresh.views.has(view) && isEditingView()) {
+        liveRefresh.timer = setTimeout(runLiveRefresh, LIVE_REFRESH_DELAY_MS * 5);
+        return;
+    }
+    const { views, header } = liveRefresh;
+    liveRefresh.views = new Set();
+    liveRefresh.header = false;
+
+    // Rechargement sur place : l'historique et le défilement ne bougent pas
+    if (views.has(view)) await refreshView();
+    // Le chargement du dashboard met déjà l'en-tête à jour
+    if (header && !(views.has(view) && view === 'dashboard')) await updateHeaderData();
+}
+
+function startRealtime() {
+    if (!window.EventSource) return;
+    const source = new EventSource(`${Config.API_BASE_URL}${Config.ENDPOINTS.EVENTS}`);
+    const on = (type, handler) => source.addEventListener(type, event => handler(JSON.parse(event.data)));
+
+    on('balance', ({ pixels }) => {
+        DB.user.pixels = pixels;
+        const userBalanceEl = document.getElementById('user-balance');
+        if (userBalanceEl) userBalanceEl.innerText = I18n.formatNumber(pixels);
+        scheduleLiveRefresh(['dashboard', 'inventory', 'loot'], { header: true });
+    });
+    on('withdrawal', () => scheduleLiveRefresh(['dashboard', 'inventory']));
+    on('notification', notification => {
+        DB.notifications.items.unshift(notification);
+        DB.notifications.unread = notification.unread;
+        renderNotifications();
+        showToast(notification);
+        if (notification.type === 'user.level_up') scheduleLiveRefresh([], { header: true });
+    });
+    on('queue', () => {
+        if (DB.user.permissions.includes('admin.access')) scheduleLiveRefresh(['admin']);
+    });
+}
+
+async function loadNotifications() {
+    try {
+        DB.notifications = await API.request(Config.ENDPOINTS.NOTIFICATIONS);
+    } catch (error) {
+        return;
+    }
+    renderNotifications();
+}
+
+// Titre et texte d'une notification (HTML sûr), traduits depuis son type et ses
+// paramètres. Les notifications stockées avant la traduction côté client n'ont
+// pas de paramètres : elles gardent leur texte d'origine.
+function notificationText(notification) {
+    const { type, params } = notification;
+    if (!params) return { title: escapeHtml(notification.title), body: escapeHtml(notification.body) };
+    const key = type === 'withdrawal.updated' ? `notification.withdrawal.${params.status}` : `notification.${type}`;
+    const values = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, typeof value === 'string' ? escapeHtml(value) : value]));
+    if (type === 'quest.completed') values.quest = escapeHtml(questTitle({ id: params.questId, title: params.quest }));
+    return { title: I18n.t(`${key}.title`, values), body: I18n.t(`${key}.body`, values) };
+}
+
+function renderNotifications() {
+    const badge = document.getElementById('notif-badge');
+    const panel = document.getElementById('notif-panel');
+    const { items, unread } = DB.notifications;
+    if (badge) {
+        badge.innerText = unread > 9 ? '9+' : unread;
+        badge.classList.toggle('hidden', !unread);
+    }
+    if (!panel) return;
+    panel.innerHTML = `
+        <div class="flex justify-between items-center px-4 py-3 border-b border-white/10">
+            <span class="font-gaming font-bold text-sm text-white">${I18n.t('notifications.title')}</span>
+            ${unread ? `<button onclick="markNotificationsRead()" class="text-xs text-neon-blue hover:text-white">${I18n.t('notifications.markAllRead')}</button>` : ''}
+        </div>
+        ${items.length ? items.map(n => `
+            <button onclick="openNotification(${n.id}, ${n.view ? `'${n.view}'` : 'null'})" class="w-full text-left flex gap-3 px-4 py-3 border-b border-white/5 hover:bg-white/5 ${n.read ? 'opacity-60' : ''}">
+                <i class="fa-solid ${n.icon} text-neon-blue mt-1"></i>
+                <span class="flex-1 min-w-0">
+                    <span class="block text-sm font-bold text-white">${notificationText(n).title}</span>
+                    <span class="block text-xs text-gray-400 truncate">${notificationText(n).body}</span>
+                    <span class="block text-[10px] text-gray-500 mt-1">${I18n.formatDateTime(n.createdAt)}</span>
+                </span>
+                ${n.read ? '' : '<span class="w-2 h-2 rounded-full bg-neon-blue mt-2"></span>'}
+            </button>
+        `).join('') : `<p class="text-center text-xs text-gray-500 py-6">${I18n.t('notifications.empty')}</p>`}
+    `;
+}
+
+function toggleNotifications() {
+    const panel = document.getElementById('notif-panel');
+    if (panel) panel.classList.toggle('hidden');
+}
+
+// Fermeture du panneau au clic à l'extérieur
+document.addEventListener('click', event => {
+    const center = document.getElementById('notif-center');
+    const panel = document.getElementById('notif-panel');
+    if (center && panel && !center.contains(event.target)) panel.classList.add('hidden');
+});
+
+// `ids` absent : toutes les notifications
+async function markNotificationsRead(ids = null) {
+    try {
+        const { unread } = await API.request(`${Config.ENDPOINTS.NOTIFICATIONS}/read`, 'POST', ids ? { ids } : {});
+        DB.notifications.items.forEach(n => {
+            if (!ids || ids.includes(n.id)) n.read = true;
+        });
+        DB.notifications.unread = unread;
+        renderNotifications();
+    } catch (error) {
+        // La cloche garde l'état précédent
+    }
+}
+
+async function openNotification(id, view) {
+    document.getElementById('notif-panel').classList.add('hidden');
+    await markNotificationsRead([id]);
+    if (view) router(view);
+}
+
+function showToast(notification) {
+    const container = document.getElementById('toast-container');
+    if (!container) return;
+    const toast = document.createElement('div');
+    toast.className = 'glass border border-neon-blue/30 rounded-xl px-4 py-3 flex gap-3 items-start shadow-lg w-72 cursor-pointer';
+    const { title, body } = notificationText(notification);
+    toast.innerHTML = `
+        <i class="fa-solid ${notification.icon} text-neon-blue mt-1"></i>
+        <div class="min-w-0">
+            <p class="text-sm font-bold text-white">${title}</p>
+            <p class="text-xs text-gray-400 truncate">${body}</p>
+        </div>
+    `;
+    toast.onclick = () => {
+        toast.remove();
+        openNotification(notification.id, notification.view);
+    };
+    container.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+async function updateHeaderData() {
+    try {
+        await loadProfile();
+    } catch (error) {
+        // Profil indisponible : on garde les dernières valeurs connues
+    }
+    renderHeader();
+}
+
+function renderHeader() {
     const userNameEl = document.getElementById('user-name');
     const userBalanceEl = document.getElementById('user-balance');
     const userRankEl = document.getElementById('user-rank');
     const headerXpBar = document.getElementById('header-xp-bar');
 
     if (userNameEl) userNameEl.innerText = DB.user.username;
-    if (userBalanceEl) userBalanceEl.innerText = DB.user.pixels;
-    if (userRankEl) userRankEl.innerText = `RANG: ${DB.user.rank}`;
-    if (headerXpBar) headerXpBar.style.width = `${(DB.user.xp / DB.user.nextLevelXp) * 100}%`;
+    if (userBalanceEl) userBalanceEl.innerText = I18n.formatNumber(DB.user.pixels);
+    if (userRankEl) userRankEl.innerText = I18n.t('header.rank', { rank: DB.user.rank });
+    if (headerXpBar) headerXpBar.style.width = `${levelProgress()}%`;
+
+    const adminNav = document.getElementById('nav-admin-section');
+    if (adminNav) adminNav.classList.toggle('hidden', !DB.user.permissions.includes('admin.access'));
 }
 
 function logout() {
-    if (confirm("Voulez-vous vraiment vous déconnecter ?")) {
-        window.location.href = 'index.html';
+    if (confirm(I18n.t('header.logoutConfirm'))) {
+        window.location.href = '/logout';
     }
 }
 
+// Changement de langue : la vue affichée est redessinée avec les données déjà
+// chargées (une vue en erreur est rechargée)
+window.addEventListener('i18n:languageChanged', () => {
+    if (DB.currentPath === null) return;
+    if (DB.currentView) renderRoute(DB.currentPath, { reload: false });
+    else refreshView();
+    renderHeader();
+    renderNotifications();
+});
+
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    updateHeaderData();
-    // Default route
-    router('dashboard');
+document.addEventListener('DOMContentLoaded', async () => {
+    await I18n.ready;
+    await loadUser();
+    await updateHeaderData();
+    showLinkResult();
+    // Vue de l'adresse (lien partagé, rechargement), sinon le dashboard
+    renderRoute(currentPath());
+    loadNotifications();
+    startRealtime();
 });
@@ -1,177 +1,84 @@
 /**
  * LootQuest Internationalization (i18n)
- * Handles automatic language detection (IP-based) and manual toggling.
+ * Handles automatic language detection (negotiated by the server, GET /api/locale)
+ * and manual toggling; signed-in players keep their choice on their account.
+ *
+ * Translations live in one catalog per language (public/locales/<lang>.json),
+ * fetched on demand; missing keys fall back to the French catalog.
+ * Messages use a subset of the ICU MessageFormat syntax:
+ *   {name}                                      -> parameter, inserted as is (HTML allowed)
+ *   {count, number}                             -> number formatted for the current locale
+ *   {count, plural, =0 {…} one {# …} other {# …}} -> plural branch, `#` = formatted count
  */
 
 const I18n = {
     currentLang: 'fr', // Default
-    translations: {
-        fr: {
-            // Navbar
-            "nav.login": "CONNEXION",
-            "nav.dashboard": "Base Principale",
-            "nav.earn": "Quêtes & Pubs",
-            "nav.loot": "Loot Shop",
-            "nav.leaderboard": "Hall of Fame",
-            "nav.inventory": "Coffre / Historique",
-            "nav.aiSupport": "Assistant IA",
-            "nav.support": "Aide & Support",
-            "nav.legal": "Légal",
-            "nav.admin": "Admin Panel",
-            "nav.logout": "DÉCONNEXION",
-
-            // Hero
-            "hero.season": "Saison 1 Active",
-            "hero.title.1": "JOUE.",
-            "hero.title.2": "FARME.",
-            "hero.title.3": "RETIRE.",
-            "hero.subtitle": "Arrête de jouer gratuitement. Rejoins la guilde, regarde des pubs, invite tes amis et échange tes Pixels contre des V-Bucks & Cartes Cadeaux.",
-            "hero.cta.join": "COMMENCE À FARMER",
-            "hero.cta.loot": "VOIR LE BUTIN",
-
-            // Mockup
-            "mockup.inventory": "INVENTAIRE",
-            "mockup.ready": "Prêt à retirer",
-
-            // How it works
-            "how.title": "COMMENT GAGNER DES PIXELS",
-            "how.step1.title": "1. Regarde & Installe",
-            "how.step1.desc": "L'argent magique n'existe pas : ce sont les pubs qui paient. Regarde des vidéos courtes ou installe des jeux partenaires pour gagner tes premiers Pixels.",
-            "how.step2.title": "2. Partage à ta Squad",
-            "how.step2.desc": "Poste ton lien unique sur TikTok ou Discord. Tu gagnes des Pixels à chaque fois qu'un pote clique dessus. C'est le moyen le plus rapide de farm.",
-            "how.step3.title": "3. Encaisse le Loot",
-            "how.step3.desc": "Dès que tu as assez de Pixels, échange-les instantanément contre des cartes cadeaux officielles (Robux, V-Bucks, Paysafecard).",
-
-            // Secure Vault
-            "vault.badge": "SECURE VAULT™",
-            "vault.title": "Protocole de Retrait Anti-Bot",
-            "vault.feat1.title": "Premier Retrait : 7 Jours",
-            "vault.feat1.desc": "Vérification manuelle obligatoire pour le premier paiement. On s'assure juste que tu n'es pas un script russe.",
-            "vault.feat2.title": "Ensuite : Speed Run",
-            "vault.feat2.desc": "Une fois vérifié \"Humain\", tous les retraits suivants sont validés en 24h-48h max.",
-
-            // Footer
-            "footer.disclaimer": "LootQuest n'est pas affilié à Roblox, Epic Games, ou Microsoft. Plateforme de récompenses publicitaires pour gamers.",
-            "footer.cgu": "CGU",
-            "footer.privacy": "Confidentialité",
-            "footer.support": "Support",
-
-            // Login Modal
-            "login.title": "IDENTIFICATION",
-            "login.subtitle": "Connecte-toi pour sauvegarder tes Pixels.",
-            "login.discord": "Continuer avec Discord",
-            "login.google": "Continuer avec Google",
-            "login.classic": "OU CLASSIQUE",
-            "login.email_label": "EMAIL DU JOUEUR",
-            "login.submit": "LANCER LA SESSION",
-            "login.cookie": "En te connectant, tu acceptes que nous utilisions des cookies pour tracker tes quêtes.",
-
-            // App Header
-            "app.rank": "RANG: NOVICE",
-
-            // Toast
-            "toast.won": "Vient de gagner"
-        },
-        en: {
-            // Navbar
-            "nav.login": "LOGIN",
-            "nav.dashboard": "Main Base",
-            "nav.earn": "Quests & Ads",
-            "nav.loot": "Loot Shop",
-            "nav.leaderboard": "Hall of Fame",
-            "nav.inventory": "Vault / History",
-            "nav.aiSupport": "AI Assistant",
-            "nav.support": "Help & Support",
-            "nav.legal": "Legal",
-            "nav.admin": "Admin Panel",
-            "nav.logout": "LOGOUT",
-
-            // Hero
-            "hero.season": "Season 1 Active",
-            "hero.title.1": "PLAY.",
-            "hero.title.2": "FARM.",
-            "hero.title.3": "WITHDRAW.",
-            "hero.subtitle": "Stop playing for free. Join the guild, watch ads, invite friends, and exchange your Pixels for V-Bucks & Gift Cards.",
-            "hero.cta.join": "START FARMING",
-            "hero.cta.loot": "VIEW LOOT",
-
-            // Mockup
-            "mockup.inventory": "INVENTORY",
-            "mockup.ready": "Ready to withdraw",
-
-            // How it works
-            "how.title": "HOW TO EARN PIXELS",
-            "how.step1.title": "1. Watch & Install",
-            "how.step1.desc": "Magic money doesn't exist: ads pay the bills. Watch short videos or install partner games to earn your first Pixels.",
-            "how.step2.title": "2. Share with Squad",
-            "how.step2.desc": "Post your unique link on TikTok or Discord. You earn Pixels every time a friend clicks on it. It's the fastest way to farm.",
-            "how.step3.title": "3. Cash Out Loot",
-            "how.step3.desc": "As soon as you have enough Pixels, exchange them instantly for official gift cards (Robux, V-Bucks, Paysafecard).",
-
-            // Secure Vault
-            "vault.badge": "SECURE VAULT™",
-            "vault.title": "Anti-Bot Withdrawal Protocol",
-            "vault.feat1.title": "First Withdrawal: 7 Days",
-            "vault.feat1.desc": "Manual verification mandatory for the first payment. We just want to make sure you're not a Russian script.",
-            "vault.feat2.title": "Then: Speed Run",
-            "vault.feat2.desc": "Once verified as \"Human\", all subsequent withdrawals are validated within 24h-48h max.",
-
-            // Footer
-            "footer.disclaimer": "LootQuest is not affiliated with Roblox, Epic Games, or Microsoft. Advertising rewards platform for gamers.",
-            "footer.cgu": "Terms",
-            "footer.privacy": "Privacy",
-            "footer.support": "Support",
-
-            // Login Modal
-            "login.title": "IDENTIFICATION",
-            "login.subtitle": "Log in to save your Pixels.",
-            "login.discord": "Continue with Discord",
-            "login.google": "Continue with Google",
-            "login.classic": "OR CLASSIC",
-            "login.email_label": "PLAYER EMAIL",
-            "login.submit": "START SESSION",
-            "login.cookie": "By logging in, you accept that we use cookies to track your quests.",
-
-            // App Header
-            "app.rank": "RANK: NOVICE",
-
-            // Toast
-            "toast.won": "Just won"
-        }
+    fallbackLang: 'fr',
+    languages: {
+        fr: { flag: '🇫🇷', label: 'Français', locale: 'fr-FR' },
+        en: { flag: '🇺🇸', label: 'English', locale: 'en-US' },
+        es: { flag: '🇪🇸', label: 'Español', locale: 'es-ES' }
     },
+    catalogs: {}, // lang -> { key: message }
+    loading: {}, // lang -> pending fetch
+    ready: null, // resolved once the first language is applied
+    signedIn: false, // toggle choice is saved to the account (PUT /api/locale)
 
-    init: async function () {
-        // 1. Check LocalStorage
-        const storedLang = localStorage.getItem('lootquest_lang');
-
-        if (storedLang) {
-            this.setLanguage(storedLang);
-        } else {
-            // 2. Check IP (only if no preference stored)
-            try {
-                const response = await fetch('https://ipapi.co/json/');
-                const data = await response.json();
-                if (data.country_code !== 'FR') {
-                    this.setLanguage('en');
-                } else {
-                    this.setLanguage('fr');
-                }
-            } catch (e) {
-                console.warn('IP detection failed, defaulting to FR', e);
-                this.setLanguage('fr');
-            }
-        }
+    init: function () {
+        this.ready = this.detectLanguage().then(lang => this.setLanguage(lang));
 
-        // 3. Bind Toggle Button
+        // Bind Toggle Button
         const toggleBtn = document.getElementById('lang-toggle');
         if (toggleBtn) {
             toggleBtn.addEventListener('click', () => this.toggle());
             this.updateToggleButton();
         }
+        return this.ready;
+    },
+
+    detectLanguage: async function () {
+        const storedLang = localStorage.getItem('lootquest_lang');
+        try {
+            const response = await fetch('/api/locale');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.signedIn = data.signedIn;
+
+            // 1. Account preference (follows the player across devices)
+            if (data.source === 'account') return data.locale;
+            // 2. Choice made on this device
+            if (this.languages[storedLang]) return storedLang;
+            // 3. Accept-Language / country, negotiated by the server
+            return data.locale;
+        } catch (e) {
+            console.warn('Locale negotiation failed, using stored or default language', e);
+            return this.languages[storedLang] ? storedLang : this.fallbackLang;
+        }
+    },
+
+    // Fetches a catalog once; concurrent calls share the same request
+    load: function (lang) {
+        if (this.catalogs[lang]) return Promise.resolve(this.catalogs[lang]);
+        if (!this.loading[lang]) {
+            this.loading[lang] = fetch(`/locales/${lang}.json`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(catalog => (this.catalogs[lang] = catalog))
+                .finally(() => delete this.loading[lang]);
+        }
+        return this.loading[lang];
     },
 
-    setLanguage: function (lang) {
-        if (!this.translations[lang]) return;
+    setLanguage: async function (lang) {
+        if (!this.languages[lang]) return;
+        try {
+            await Promise.all([this.load(this.fallbackLang), this.load(lang)]);
+        } catch (e) {
+            console.warn(`Translations for "${lang}" unavailable`, e);
+            return;
+        }
         this.currentLang = lang;
         localStorage.setItem('lootquest_lang', lang);
 
@@ -184,58 +91,155 @@ const I18n = {
         window.dispatchEvent(new CustomEvent('i18n:languageChanged', { detail: { lang } }));
     },
 
-    toggle: function () {
-        const newLang = this.currentLang === 'fr' ? 'en' : 'fr';
-        this.setLanguage(newLang);
+    // Cycles through the available languages (fr -> en -> es -> fr)
+    toggle: async function () {
+        const lang = this.nextLanguage();
+        await this.setLanguage(lang);
+        if (this.currentLang === lang) this.savePreference(lang);
+    },
+
+    savePreference: function (lang) {
+        if (!this.signedIn) return;
+        fetch('/api/locale', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ locale: lang })
+        }).catch(e => console.warn('Language preference not saved', e));
+    },
+
+    nextLanguage: function () {
+        const langs = Object.keys(this.languages);
+        return langs[(langs.indexOf(this.currentLang) + 1) % langs.length];
     },
 
     translatePage: function () {
-        const elements = document.querySelectorAll('[data-i18n]');
-        elements.forEach(el => {
+        // data-i18n is on the text container: icons stay in sibling elements
+        document.querySelectorAll('[data-i18n]').forEach(el => {
             const key = el.getAttribute('data-i18n');
-            const translation = this.translations[this.currentLang][key];
-            if (translation) {
-                // Handle HTML content if needed, or just text
-                if (el.tagName === 'INPUT' && el.getAttribute('placeholder')) {
-                    // Special case for placeholders if we had any, but currently handled via text mostly
-                    // If we want to translate placeholders, we need a convention like data-i18n-placeholder
-                }
-
-                // Preserve icons if they are separate, but here we replace content.
-                // If the element has children (like icons), we might need a specific span for text.
-                // For this implementation, I'll assume data-i18n is on the text container.
-                // If the element contains an icon, we should wrap the text in a span with data-i18n.
-
-                el.innerHTML = translation;
-            }
+            if (this.exists(key)) el.innerHTML = this.t(key);
         });
 
         // Special handling for placeholders
-        const inputs = document.querySelectorAll('[data-i18n-placeholder]');
-        inputs.forEach(el => {
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
             const key = el.getAttribute('data-i18n-placeholder');
-            const translation = this.translations[this.currentLang][key];
-            if (translation) el.placeholder = translation;
+            if (this.exists(key)) el.placeholder = this.t(key);
         });
     },
 
+    // Shows the flag of the language the button switches to
     updateToggleButton: function () {
         const toggleBtn = document.getElementById('lang-toggle');
         if (!toggleBtn) return;
 
-        // Show the flag of the OTHER language (to switch to)
-        // OR show current flag. User requested "bouton drapeiau fr americain".
-        // Let's show the flag of the CURRENT language, or a toggle switch.
-        // Common pattern: Show the flag of the language you are currently using, or both.
-        // Let's use a simple text/emoji toggle: "🇫🇷" or "🇺🇸"
+        const next = this.languages[this.nextLanguage()];
+        toggleBtn.innerHTML = next.flag;
+        toggleBtn.title = `${this.t('lang.switch')} (${next.label})`;
+    },
+
+    // --- MESSAGES ---
+
+    lookup: function (key) {
+        const catalog = this.catalogs[this.currentLang] || {};
+        return key in catalog ? catalog[key] : (this.catalogs[this.fallbackLang] || {})[key];
+    },
+
+    exists: function (key) {
+        return this.lookup(key) !== undefined;
+    },
+
+    // Translated message, or the key itself when no catalog has it
+    t: function (key, params = {}) {
+        const message = this.lookup(key);
+        return message === undefined ? key : this.format(message, params);
+    },
+
+    // `pound` : formatted count replacing `#` inside a plural branch
+    format: function (message, params = {}, pound = undefined) {
+        let output = '';
+        for (let i = 0; i < message.length; i++) {
+            const char = message[i];
+            if (char === '#' && pound !== undefined) {
+                output += pound;
+            } else if (char === '{') {
+                const end = this.closingBrace(message, i);
+                output += this.formatArgument(message.slice(i + 1, end), params);
+                i = end;
+            } else {
+                output += char;
+            }
+        }
+        return output;
+    },
+
+    closingBrace: function (text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            else if (text[i] === '}' && --depth === 0) return i;
+        }
+        return text.length;
+    },
+
+    // "count" | "count, number" | "count, plural, one {…} other {…}"
+    formatArgument: function (argument, params) {
+        const firstComma = argument.indexOf(',');
+        const name = (firstComma < 0 ? argument : argument.slice(0, firstComma)).trim();
+        const value = params[name];
+        if (value === undefined) return `{${name}}`;
+        if (firstComma < 0) return String(value);
+
+        const secondComma = argument.indexOf(',', firstComma + 1);
+        const type = argument.slice(firstComma + 1, secondComma < 0 ? undefined : secondComma).trim();
+        if (type === 'number') return this.formatNumber(value);
+        if (type === 'plural') {
+            const count = Number(value);
+            const branches = this.pluralBranches(argument.slice(secondComma + 1));
+            const branch = branches[`=${count}`] ?? branches[new Intl.PluralRules(this.locale()).select(count)] ?? branches.other ?? '';
+            return this.format(branch, params, this.formatNumber(count));
+        }
+        return String(value);
+    },
+
+    // "=0 {…} one {…} other {…}" -> { '=0': '…', one: '…', other: '…' }
+    pluralBranches: function (options) {
+        const branches = {};
+        let i = 0;
+        while (i < options.length) {
+            const open = options.indexOf('{', i);
+            if (open < 0) break;
+            const end = this.closingBrace(options, open);
+            branches[options.slice(i, open).trim()] = options.slice(open + 1, end);
+            i = end + 1;
+        }
+        return branches;
+    },
+
+    // --- FORMATS (locale of the current language) ---
+
+    locale: function () {
+        return this.languages[this.currentLang].locale;
+    },
+
+    formatNumber: function (value, options = {}) {
+        return new Intl.NumberFormat(this.locale(), options).format(value);
+    },
+
+    // Prices and balances are in Pixels, the site currency ("1 250 Px" / "1,250 Px")
+    formatPixels: function (amount) {
+        return `${this.formatNumber(amount)} Px`;
+    },
+
+    // Ratio (0.1) -> "10 %" / "10%"
+    formatPercent: function (ratio) {
+        return this.formatNumber(ratio, { style: 'percent', maximumFractionDigits: 0 });
+    },
 
-        toggleBtn.innerHTML = this.currentLang === 'fr' ? '🇺🇸' : '🇫🇷';
-        toggleBtn.title = this.currentLang === 'fr' ? 'Switch to English' : 'Passer en Français';
+    formatDate: function (date, options = { day: 'numeric', month: 'numeric', year: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.locale(), options).format(new Date(date));
     },
 
-    // Helper to get text
-    t: function (key) {
-        return this.translations[this.currentLang][key] || key;
+    formatDateTime: function (date) {
+        return this.formatDate(date, { day: 'numeric', month: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
     }
 };
 
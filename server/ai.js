@@ -0,0 +1,110 @@
+// --- FOURNISSEURS D'IA (assistant support) ---
+// Le fournisseur est choisi via AI_PROVIDER :
+// - "gemini" (défaut si GEMINI_API_KEY est défini) : API Google Gemini, la clé
+//   ne quitte jamais le serveur (GEMINI_API_KEY, GEMINI_MODEL) ;
+// - "fake" (défaut sinon) : réponse locale déterministe, pour le dev et les tests.
+// Un autre fournisseur peut être branché avec registerProvider(name, factory).
+//
+// Interface d'un fournisseur : generate({ system, messages, tools }) -> { text, toolCalls }
+// - messages, du plus ancien au plus récent :
+//   { role: 'user' | 'model', text }, un appel d'outils demandé par le modèle
+//   { role: 'model', toolCalls: [{ name, args }] } ou leurs résultats
+//   { role: 'tool', results: [{ name, response }] } ;
+// - tools : outils proposés au modèle ([{ name, description, parameters }], voir supportTools.js) ;
+// - la réponse contient soit le texte final, soit les outils à appeler (toolCalls).
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025';
+const TIMEOUT_MS = (Number(process.env.AI_TIMEOUT_SECONDS) || 30) * 1000;
+
+// Format "contents" de Gemini ; les résultats d'outils partent côté "user"
+function toGeminiContent(message) {
+    if (message.toolCalls) {
+        // La signature de raisonnement doit revenir telle quelle avec l'appel
+        return {
+            role: 'model',
+            parts: message.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.args }, thoughtSignature: call.signature }))
+        };
+    }
+    if (message.results) {
+        return { role: 'user', parts: message.results.map(r => ({ functionResponse: { name: r.name, response: { result: r.response } } })) };
+    }
+    return { role: message.role, parts: [{ text: message.text }] };
+}
+
+// Fournisseur local : appelle l'outil évoqué par des mots-clés, puis résume son résultat
+const FAKE_TOOL_KEYWORDS = [
+    [/ticket|humain|conseiller/i, 'suggest_ticket'],
+    [/retrait/i, 'get_withdrawals'],
+    [/offre/i, 'get_offer_completions'],
+    [/solde|historique|mouvement/i, 'get_recent_transactions']
+];
+
+const providers = {
+    gemini: () => {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey) throw new Error('GEMINI_API_KEY manquant');
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
+
+        return {
+            async generate({ system, messages, tools = [] }) {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+                    body: JSON.stringify({
+                        systemInstruction: { parts: [{ text: system }] },
+                        contents: messages.map(toGeminiContent),
+                        tools: tools.length ? [{ functionDeclarations: tools }] : undefined
+                    }),
+                    signal: AbortSignal.timeout(TIMEOUT_MS)
+                });
+                if (!response.ok) throw new Error(`Gemini HTTP ${response.status}`);
+
+                const data = await response.json();
+                const parts = data.candidates?.[0]?.content?.parts || [];
+                const toolCalls = parts.filter(part => part.functionCall)
+                    .map(part => ({ name: part.functionCall.name, args: part.functionCall.args || {}, signature: part.thoughtSignature }));
+                const text = parts.map(part => part.text || '').join('').trim() || null;
+                return { text, toolCalls };
+            }
+        };
+    },
+
+    fake: () => ({
+        async generate({ messages, tools = [] }) {
+            const last = messages[messages.length - 1];
+            if (last.results) {
+                return {
+                    text: `Voici ce que je trouve sur ton compte :\n${last.results.map(r => `- ${r.name} : ${JSON.stringify(r.response)}`).join('\n')}`,
+                    toolCalls: []
+                };
+            }
+
+            const match = FAKE_TOOL_KEYWORDS.find(([pattern, name]) => pattern.test(last.text) && tools.some(t => t.name === name));
+            if (match) return { text: null, toolCalls: [{ name: match[1], args: { reason: last.text } }] };
+
+            const count = messages.filter(m => m.text).length;
+            return { text: `Réponse automatique : j'ai bien reçu « ${last.text} » (${count} message(s) dans la conversation).`, toolCalls: [] };
+        }
+    })
+};
+
+let provider = null;
+
+function registerProvider(name, factory) {
+    providers[name] = factory;
+    provider = null;
+}
+
+function getProvider() {
+    if (!provider) {
+        const name = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'fake');
+        if (!providers[name]) throw new Error(`Fournisseur IA inconnu : ${name}`);
+        provider = providers[name]();
+    }
+    return provider;
+}
+
+async function generate({ system, messages, tools = [] }) {
+    return getProvider().generate({ system, messages, tools });
+}
+
+module.exports = { generate, registerProvider };
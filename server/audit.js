@@ -0,0 +1,26 @@
+// --- JOURNAL D'AUDIT DES ACTIONS ADMIN ---
+// Append-only : qui a fait quoi, sur quoi, et quand.
+const db = require('./db');
+
+const TABLE = 'auditLog';
+
+function record({ actorId, action, targetType, targetId, details = {} }) {
+    return db.insert(TABLE, {
+        actorId,
+        action,
+        targetType,
+        targetId,
+        details,
+        at: new Date().toISOString()
+    });
+}
+
+// Entrées les plus récentes d'abord ; filtrable par cible
+function list({ limit = 50, targetType, targetId } = {}) {
+    return db.findAll(TABLE, entry =>
+        (!targetType || entry.targetType === targetType) &&
+        (!targetId || entry.targetId === Number(targetId))
+    ).reverse().slice(0, limit);
+}
+
+module.exports = { record, list };
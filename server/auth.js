@@ -0,0 +1,293 @@
+// --- AUTHENTIFICATION (Passport + liaison de comptes) ---
+const express = require('express');
+const passport = require('passport');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const DiscordStrategy = require('passport-discord').Strategy;
+const users = require('./users');
+const sanctions = require('./sanctions');
+const magicLinks = require('./magicLinks');
+const { REFERRAL_COOKIE } = require('./referrals');
+const mailer = require('./mailer');
+const { createLimiter } = require('./rateLimit');
+const { AppError } = require('./errors');
+const { requireAuth } = require('./middleware');
+
+const router = express.Router();
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Anti-spam des liens magiques : par adresse email et par IP
+const emailLimiter = createLimiter({ windowMs: 15 * 60 * 1000, max: 3 });
+const ipLimiter = createLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+
+// Options passées à passport.authenticate() au lancement de chaque provider
+const PROVIDERS = {
+    google: { scope: ['profile', 'email'] },
+    discord: {}
+};
+
+// --- 1. FONCTIONS DE SÉRIALISATION ---
+// On ne garde que l'ID interne dans la session...
+passport.serializeUser((user, done) => {
+    done(null, user.id);
+});
+
+// ...et on recharge la fiche à jour à chaque requête
+passport.deserializeUser((id, done) => {
+    const user = users.findById(id);
+    done(null, user || false); // Compte supprimé : la session est simplement ignorée
+});
+
+// Contexte transmis si la connexion crée un compte (parrainage, anti-abus)
+function signupContext(req) {
+    return { referralCode: req.cookies[REFERRAL_COOKIE] || null, ip: req.ip, deviceId: req.deviceId };
+}
+
+// --- 2. CALLBACK COMMUN AUX STRATÉGIES ---
+// Deux modes :
+// - liaison : le joueur est déjà connecté et a lancé /auth/link/:provider ;
+// - connexion : on retrouve (ou crée) le compte correspondant à l'identité.
+function verifyProfile(req, profile, done) {
+    try {
+        if (req.user && req.session.linkProvider === profile.provider) {
+            delete req.session.linkProvider;
+            users.linkIdentity(req.user.id, profile);
+            console.log(`Compte ${profile.provider} lié à l'utilisateur #${req.user.id}`);
+            return done(null, req.user, { linked: true });
+        }
+
+        const result = users.resolveLogin(profile, signupContext(req));
+        if (result.mergeCandidate) {
+            return done(null, false, { mergeCandidate: result.mergeCandidate, profile });
+        }
+        console.log(`${profile.provider} User connecté :`, result.user.username);
+        return done(null, result.user);
+    } catch (err) {
+        return done(err);
+    }
+}
+
+// --- 3. STRATÉGIE GOOGLE ---
+passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.GOOGLE_CALLBACK_URL,
+    passReqToCallback: true
+  },
+  (req, accessToken, refreshToken, profile, done) => {
+    verifyProfile(req, {
+        provider: 'google',
+        providerId: profile.id,
+        username: profile.displayName,
+        email: profile.emails?.[0]?.value || null,
+        avatar: profile.photos?.[0]?.value || null
+    }, done);
+  }
+));
+
+// --- 4. STRATÉGIE DISCORD ---
+passport.use(new DiscordStrategy({
+    clientID: process.env.DISCORD_CLIENT_ID,
+    clientSecret: process.env.DISCORD_CLIENT_SECRET,
+    callbackURL: process.env.DISCORD_CALLBACK_URL,
+    scope: ['identify', 'email'], // On demande l'ID et l'Email
+    passReqToCallback: true
+  },
+  (req, accessToken, refreshToken, profile, done) => {
+    verifyProfile(req, {
+        provider: 'discord',
+        providerId: profile.id,
+        username: profile.username,
+        // Discord laisse s'inscrire sans confirmer l'adresse : une adresse non
+        // vérifiée ne doit ni créer un compte à ce nom ni servir à une fusion
+        email: profile.verified ? profile.email || null : null,
+        avatar: profile.avatar ? `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png` : null
+    }, done);
+  }
+));
+
+// --- 5. ROUTES D'AUTHENTIFICATION ---
+
+// Erreur transmise à une page par l'URL : son code et ses paramètres, que la
+// page traduit (voir API.errorFromQuery), et le message français en secours
+function errorQuery(name, err) {
+    const query = new URLSearchParams({ [name]: err.message });
+    if (err.code) query.set(`${name}Code`, err.code);
+    if (err.params) query.set(`${name}Params`, JSON.stringify(err.params));
+    return query.toString();
+}
+
+// Connexion effective + finalisation d'une éventuelle fusion en attente.
+// Un compte suspendu / banni obtient une session, mais n'accède qu'à la page
+// /banned (explication + contestation) : pas de fusion ni d'accès à l'app.
+function completeLogin(req, res, next, user) {
+    // Lu avant req.login(), qui régénère la session
+    const pendingMerge = req.session.pendingMerge;
+    req.login(user, (loginErr) => {
+        if (loginErr) return next(loginErr);
+
+        if (sanctions.isBlocked(user)) {
+            console.log(`Connexion d'un compte bloqué : #${user.id}`);
+            return res.redirect('/banned');
+        }
+
+        if (pendingMerge && pendingMerge.userId === user.id) {
+            try {
+                users.linkIdentity(user.id, pendingMerge.profile);
+            } catch (linkErr) {
+                if (!(linkErr instanceof AppError)) return next(linkErr);
+                return res.redirect(`/app?${errorQuery('linkError', linkErr)}`);
+            }
+            return res.redirect(`/app?linked=${pendingMerge.profile.provider}`);
+        }
+        res.redirect('/app');
+    });
+}
+
+// Retour du provider : gère connexion, liaison et proposition de fusion
+function handleCallback(provider) {
+    return (req, res, next) => {
+        passport.authenticate(provider, (err, user, info = {}) => {
+            if (err instanceof AppError && req.user) {
+                return res.redirect(`/app?${errorQuery('linkError', err)}`);
+            }
+            if (err) return next(err);
+
+            if (info.linked) return res.redirect(`/app?linked=${provider}`);
+
+            if (info.mergeCandidate) {
+                // Un compte existe déjà avec cet email : on mémorise l'identité
+                // et on demande au joueur de prouver qu'il en est le propriétaire.
+                req.session.pendingMerge = { profile: info.profile, userId: info.mergeCandidate.id };
+                return res.redirect('/merge');
+            }
+
+            if (!user) return res.redirect('/');
+
+            completeLogin(req, res, next, user);
+        })(req, res, next);
+    };
+}
+
+// Route : Lancer la connexion Google
+router.get('/auth/google', passport.authenticate('google', PROVIDERS.google));
+
+// Route : Retour de Google (Callback)
+router.get('/auth/google/callback', handleCallback('google'));
+
+// Route : Lancer la connexion Discord
+router.get('/auth/discord', passport.authenticate('discord', PROVIDERS.discord));
+
+// Route : Retour de Discord (Callback)
+router.get('/auth/discord/callback', handleCallback('discord'));
+
+// Route : Demander un lien de connexion par email (formulaire "classique")
+router.post('/api/login', async (req, res, next) => {
+    const email = users.normalizeEmail(req.body?.email);
+    if (!email || !EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: "Adresse email invalide", code: 'INVALID_EMAIL' });
+    }
+
+    const byIp = ipLimiter.hit(req.ip);
+    const byEmail = emailLimiter.hit(email);
+    if (!byIp.allowed || !byEmail.allowed) {
+        const retryAfter = Math.ceil(Math.max(byIp.retryAfterMs, byEmail.retryAfterMs) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: "Trop de demandes. Réessaie dans quelques minutes.", code: 'TOO_MANY_REQUESTS' });
+    }
+
+    try {
+        const token = magicLinks.issue(email, req.ip);
+        const link = `${APP_URL}/auth/email/verify?token=${token}`;
+        const minutes = Math.round(magicLinks.TTL_MS / 60000);
+        await mailer.sendMail({
+            to: email,
+            subject: 'Ton lien de connexion LootQuest',
+            text: `Salut !\n\nClique sur ce lien pour te connecter à LootQuest (valable ${minutes} minutes, utilisable une seule fois) :\n${link}\n\nSi tu n'as rien demandé, ignore simplement cet email.`,
+            html: `<p>Salut !</p><p><a href="${link}">Clique ici pour te connecter à LootQuest</a> (valable ${minutes} minutes, utilisable une seule fois).</p><p>Si tu n'as rien demandé, ignore simplement cet email.</p>`
+        });
+    } catch (err) {
+        return next(err);
+    }
+
+    // Même réponse que l'adresse ait un compte ou non
+    res.json({ message: "Lien de connexion envoyé ! Vérifie ta boîte mail." });
+});
+
+// Route : Clic sur le lien reçu par email. Le token n'est pas consommé ici :
+// les scanners de liens des messageries ouvrent l'URL avant le joueur. La page
+// d'accueil demande confirmation, puis renvoie le token en POST.
+router.get('/auth/email/verify', (req, res) => {
+    if (!req.query.token) return res.redirect('/?login=expired');
+    res.redirect(`/?login=confirm&token=${encodeURIComponent(req.query.token)}`);
+});
+
+// Route : Connexion confirmée sur la page d'accueil (formulaire POST { token })
+router.post('/auth/email/verify', express.urlencoded({ extended: false }), (req, res, next) => {
+    const email = magicLinks.consume(req.body.token);
+    if (!email) return res.redirect('/?login=expired');
+
+    let result;
+    try {
+        result = users.resolveEmailLogin(email, signupContext(req));
+    } catch (err) {
+        if (!(err instanceof AppError)) return next(err);
+        return res.redirect(`/?login=error&${errorQuery('reason', err)}`);
+    }
+
+    if (result.mergeCandidate) {
+        // Adresse déjà portée par un compte Google / Discord : même parcours de
+        // fusion qu'un provider, le joueur doit se connecter à ce compte
+        req.session.pendingMerge = { profile: result.profile, userId: result.mergeCandidate.id };
+        return res.redirect('/merge');
+    }
+    console.log("Email User connecté :", result.user.username);
+    completeLogin(req, res, next, result.user);
+});
+
+// Route : Lier un provider supplémentaire au compte connecté (depuis le dashboard)
+router.get('/auth/link/:provider', (req, res, next) => {
+    const provider = req.params.provider;
+    if (!PROVIDERS[provider]) return res.status(404).send('Provider inconnu');
+    if (!req.isAuthenticated()) return res.redirect('/');
+    if (sanctions.isBlocked(req.user)) return res.redirect('/banned');
+
+    req.session.linkProvider = provider;
+    passport.authenticate(provider, PROVIDERS[provider])(req, res, next);
+});
+
+// Route : Infos sur la fusion en attente (lue par merge.html)
+router.get('/auth/merge', (req, res) => {
+    const pending = req.session.pendingMerge;
+    if (!pending) return res.status(404).json({ error: "Aucune fusion en attente", code: 'NO_PENDING_MERGE' });
+
+    const [name, domain] = pending.profile.email.split('@');
+    res.json({
+        provider: pending.profile.provider,
+        email: `${name.slice(0, 2)}***@${domain}`,
+        providers: users.listIdentities(pending.userId).map(i => i.provider)
+    });
+});
+
+// Route : Abandonner la fusion
+router.post('/auth/merge/cancel', (req, res) => {
+    delete req.session.pendingMerge;
+    res.redirect('/');
+});
+
+// Route : Délier un provider (refusé s'il s'agit de la dernière identité)
+router.delete('/api/user/identities/:provider', requireAuth, (req, res) => {
+    users.unlinkIdentity(req.user.id, req.params.provider);
+    res.json(users.toPublic(req.user));
+});
+
+// Route : Déconnexion
+router.get('/logout', (req, res, next) => {
+    req.logout((err) => {
+        if (err) { return next(err); }
+        res.redirect('/');
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+// --- CATALOGUE DU LOOT SHOP ---
+// Source de vérité des prix : le frontend n'envoie que l'id de l'article.
+// Les articles sont gérés depuis le panel admin (table `shopItems`) :
+// - enabled : article visible / achetable ;
+// - stock : unités encore vendables (null = illimité, seul le stock de codes compte) ;
+// - countries : pays autorisés (["*"] = tous) ;
+// - salePrice + saleStartsAt / saleEndsAt : promo temporaire ;
+// - purchaseLimit : achats maximum par joueur (null = illimité) ;
+// - minLevel : niveau requis (articles exclusifs, voir progression.js).
+const db = require('./db');
+const { AppError } = require('./errors');
+
+const TABLE = 'shopItems';
+
+// Catalogue de lancement, inséré au premier démarrage
+const SEED = [
+    { name: "1,000 V-Bucks", price: 1800, icon: "fa-fort-awesome", type: "Fortnite", color: "text-purple-400" },
+    { name: "Carte Roblox 10€", price: 2200, icon: "fa-cube", type: "Roblox", color: "text-gray-300" },
+    { name: "Skin Mystère", price: 500, icon: "fa-mask", type: "Random", color: "text-alert-red" },
+    { name: "Paysafecard 20€", price: 4500, icon: "fa-credit-card", type: "Cash", color: "text-yellow-400" },
+    { name: "Nitro Discord 1 Mois", price: 1900, icon: "fa-discord", type: "Discord", color: "text-indigo-400" }
+];
+
+const DEFAULTS = {
+    icon: 'fa-gift',
+    color: 'text-white',
+    enabled: true,
+    stock: null,
+    countries: ['*'],
+    salePrice: null,
+    saleStartsAt: null,
+    saleEndsAt: null,
+    purchaseLimit: null,
+    minLevel: 1
+};
+
+db.transaction(() => {
+    if (db.findAll(TABLE).length) return;
+    const now = new Date().toISOString();
+    SEED.forEach(item => db.insert(TABLE, { ...DEFAULTS, ...item, createdAt: now, updatedAt: now }));
+});
+
+function listItems() {
+    return db.findAll(TABLE);
+}
+
+function findItem(id) {
+    return db.findById(TABLE, Number(id)) || null;
+}
+
+function isOnSale(item, now = Date.now()) {
+    if (item.salePrice === null || item.salePrice === undefined) return false;
+    if (item.saleStartsAt && Date.parse(item.saleStartsAt) > now) return false;
+    if (item.saleEndsAt && Date.parse(item.saleEndsAt) <= now) return false;
+    return true;
+}
+
+// Prix réellement débité au moment de l'achat
+function currentPrice(item, now = Date.now()) {
+    return isOnSale(item, now) ? item.salePrice : item.price;
+}
+
+// Pays inconnu : l'article reste proposé
+function acceptsCountry(item, country) {
+    return !country || item.countries.includes('*') || item.countries.includes(country);
+}
+
+// Articles proposés à un joueur : activés et disponibles dans son pays
+function listForCountry(country) {
+    return listItems().filter(item => item.enabled && acceptsCountry(item, country));
+}
+
+// Champ refusé : `field` est le nom du champ de l'article (traduit par le
+// dashboard avec les libellés du formulaire admin.item.<field>)
+const FIELD_LABELS = {
+    price: 'Prix',
+    stock: 'Stock',
+    purchaseLimit: 'Limite par joueur',
+    minLevel: 'Niveau requis',
+    salePrice: 'Prix promo',
+    saleStartsAt: 'Début de promo',
+    saleEndsAt: 'Fin de promo'
+};
+function invalidField(field) {
+    return new AppError(400, `${FIELD_LABELS[field]} invalide`, 'INVALID_FIELD', { field });
+}
+
+function optionalInteger(value, field, min) {
+    if (value === null || value === '' || value === undefined) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) throw invalidField(field);
+    return number;
+}
+
+function optionalDate(value, field) {
+    if (!value) return null;
+    if (Number.isNaN(Date.parse(value))) throw invalidField(field);
+    return new Date(value).toISOString();
+}
+
+// Valide et normalise les champs envoyés par le panel admin.
+// `partial` : seuls les champs présents sont contrôlés (PUT partiel).
+function sanitize(input, { partial = false } = {}) {
+    const fields = {};
+    const has = key => input[key] !== undefined || !partial;
+
+    if (has('name')) {
+        const name = String(input.name || '').trim();
+        if (!name || name.length > 80) throw new AppError(400, "Nom invalide (1 à 80 caractères)", 'INVALID_NAME');
+        fields.name = name;
+    }
+    if (has('type')) {
+        const type = String(input.type || '').trim();
+        if (!type || type.length > 30) throw new AppError(400, "Type invalide", 'INVALID_TYPE');
+        fields.type = type;
+    }
+    if (has('price')) fields.price = optionalInteger(input.price, 'price', 1);
+    if (!partial && fields.price === null) throw new AppError(400, "Prix obligatoire", 'PRICE_REQUIRED');
+    if (input.icon !== undefined) fields.icon = String(input.icon).trim() || DEFAULTS.icon;
+    if (input.color !== undefined) fields.color = String(input.color).trim() || DEFAULTS.color;
+    if (input.enabled !== undefined) fields.enabled = Boolean(input.enabled);
+    if (input.stock !== undefined) fields.stock = optionalInteger(input.stock, 'stock', 0);
+    if (input.purchaseLimit !== undefined) fields.purchaseLimit = optionalInteger(input.purchaseLimit, 'purchaseLimit', 1);
+    if (input.minLevel !== undefined) fields.minLevel = optionalInteger(input.minLevel, 'minLevel', 1) || 1;
+    if (input.salePrice !== undefined) fields.salePrice = optionalInteger(input.salePrice, 'salePrice', 1);
+    if (input.saleStartsAt !== undefined) fields.saleStartsAt = optionalDate(input.saleStartsAt, 'saleStartsAt');
+    if (input.saleEndsAt !== undefined) fields.saleEndsAt = optionalDate(input.saleEndsAt, 'saleEndsAt');
+    if (input.countries !== undefined) {
+        const countries = (Array.isArray(input.countries) ? input.countries : String(input.countries).split(','))
+            .map(c => String(c).trim().toUpperCase())
+            .filter(Boolean);
+        if (countries.some(c => c !== '*' && !/^[A-Z]{2}$/.test(c))) throw new AppError(400, "Codes pays invalides (ex : FR, BE)", 'INVALID_COUNTRIES');
+        fields.countries = countries.length ? countries : ['*'];
+    }
+    return fields;
+}
+
+function checkSale(item) {
+    if (item.salePrice !== null && item.salePrice >= item.price) {
+        throw new AppError(400, "Le prix promo doit être inférieur au prix normal", 'SALE_PRICE_TOO_HIGH');
+    }
+    if (item.saleStartsAt && item.saleEndsAt && Date.parse(item.saleEndsAt) <= Date.parse(item.saleStartsAt)) {
+        throw new AppError(400, "La fin de promo doit suivre son début", 'SALE_ENDS_BEFORE_START');
+    }
+}
+
+function createItem(input) {
+    const now = new Date().toISOString();
+    const item = { ...DEFAULTS, ...sanitize(input) };
+    checkSale(item);
+    return db.insert(TABLE, { ...item, createdAt: now, updatedAt: now });
+}
+
+function updateItem(id, input) {
+    const item = findItem(id);
+    if (!item) throw new AppError(404, "Article introuvable", 'ITEM_NOT_FOUND');
+    const fields = sanitize(input, { partial: true });
+    checkSale({ ...item, ...fields });
+    return db.update(TABLE, item.id, { ...fields, updatedAt: new Date().toISOString() });
+}
+
+function removeItem(id) {
+    const item = findItem(id);
+    if (!item) throw new AppError(404, "Article introuvable", 'ITEM_NOT_FOUND');
+    db.remove(TABLE, item.id);
+    return item;
+}
+
+// Vente / annulation d'une unité sur un article à stock limité
+function adjustStock(id, delta) {
+    const item = findItem(id);
+    if (!item || item.stock === null) return item;
+    return db.update(TABLE, item.id, { stock: Math.max(0, item.stock + delta) });
+}
+
+// Ce que le joueur voit d'un article
+function toPublic(item, now = Date.now()) {
+    const onSale = isOnSale(item, now);
+    return {
+        id: item.id,
+        name: item.name,
+        price: currentPrice(item, now),
+        originalPrice: onSale ? item.price : null,
+        saleEndsAt: onSale ? item.saleEndsAt : null,
+        icon: item.icon,
+        type: item.type,
+        color: item.color,
+        purchaseLimit: item.purchaseLimit,
+        minLevel: item.minLevel || 1
+    };
+}
+
+module.exports = {
+    listItems,
+    listForCountry,
+    findItem,
+    currentPrice,
+    acceptsCountry,
+    createItem,
+    updateItem,
+    removeItem,
+    adjustStock,
+    toPublic
+};
@@ -0,0 +1,176 @@
+// --- STOCK DE CODES CADEAUX (CGU 5.2) ---
+// Chaque article du Loot Shop a son stock de codes, importé en CSV par un admin.
+// Cycle d'un code : available -> reserved (retrait approuvé) -> delivered (envoyé au joueur).
+//
+// Les codes sont chiffrés au repos (AES-256-GCM). La clé vient de
+// CODES_ENCRYPTION_KEY (à défaut : SESSION_SECRET) ; sans l'une ni l'autre, le
+// serveur refuse de démarrer. Une empreinte HMAC permet de détecter les doublons
+// à l'import sans tout déchiffrer.
+const crypto = require('crypto');
+const db = require('./db');
+const { AppError } = require('./errors');
+
+const TABLE = 'giftCodes';
+
+// Seuil d'alerte "stock bas" du panel admin
+const LOW_STOCK_THRESHOLD = Number(process.env.CODES_LOW_STOCK_THRESHOLD) || 5;
+
+// Clé dérivée au premier besoin : les scripts qui chargent ce module sans
+// toucher aux codes (replay-postbacks...) n'ont pas à la configurer. Le serveur
+// la vérifie au démarrage (assertConfigured).
+let key = null;
+
+function assertConfigured() {
+    if (!process.env.CODES_ENCRYPTION_KEY && !process.env.SESSION_SECRET) {
+        throw new Error('CODES_ENCRYPTION_KEY (ou SESSION_SECRET) manquant : les codes cadeaux ne peuvent pas être chiffrés');
+    }
+}
+
+function getKey() {
+    if (!key) {
+        assertConfigured();
+        const secret = process.env.CODES_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+        key = crypto.createHash('sha256').update(secret).digest();
+    }
+    return key;
+}
+
+function encrypt(code) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const data = Buffer.concat([cipher.update(code, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+    const [iv, tag, data] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function fingerprint(code) {
+    return crypto.createHmac('sha256', getKey()).update(code).digest('hex');
+}
+
+// Une ligne = un code (première colonne). Séparateur "," ou ";", guillemets
+// tolérés, ligne d'en-tête "code" ignorée.
+function parseCsv(csv) {
+    return String(csv || '')
+        .split(/\r?\n/)
+        .map(line => line.split(/[,;]/)[0].trim().replace(/^"(.*)"$/, '$1').trim())
+        .filter((code, index) => code && !(index === 0 && code.toLowerCase() === 'code'));
+}
+
+function importCsv(itemId, csv) {
+    const parsed = parseCsv(csv);
+    if (!parsed.length) throw new AppError(400, "Aucun code trouvé dans le fichier", 'NO_CODES_FOUND');
+
+    return db.transaction(() => {
+        const known = new Set(db.findAll(TABLE).map(c => c.fingerprint));
+        const batch = new Date().toISOString();
+        const result = { imported: 0, duplicates: 0, invalid: 0 };
+
+        parsed.forEach(code => {
+            if (code.length > 200) {
+                result.invalid++;
+                return;
+            }
+            const print = fingerprint(code);
+            if (known.has(print)) {
+                result.duplicates++;
+                return;
+            }
+            known.add(print);
+            db.insert(TABLE, {
+                itemId,
+                ciphertext: encrypt(code),
+                fingerprint: print,
+                status: 'available',
+                withdrawalId: null,
+                userId: null,
+                importedAt: batch,
+                reservedAt: null,
+                deliveredAt: null
+            });
+            result.imported++;
+        });
+        return result;
+    });
+}
+
+// Article livré par code : au moins un code a été importé pour lui. Les autres
+// (ex : catalogue de démarrage) sont livrés à la main par l'équipe, sans stock
+// de codes à respecter.
+function isCodeDelivered(itemId) {
+    return Boolean(db.findOne(TABLE, c => c.itemId === itemId));
+}
+
+function countAvailable(itemId) {
+    return db.findAll(TABLE, c => c.itemId === itemId && c.status === 'available').length;
+}
+
+// Stock par article pour le panel admin : { [itemId]: { available, reserved, delivered, low } }
+function stockByItem(itemIds) {
+    const stock = Object.fromEntries(itemIds.map(id => [id, { available: 0, reserved: 0, delivered: 0 }]));
+    db.findAll(TABLE, c => stock[c.itemId]).forEach(c => { stock[c.itemId][c.status]++; });
+    Object.values(stock).forEach(s => {
+        s.low = s.available + s.reserved + s.delivered > 0 && s.available <= LOW_STOCK_THRESHOLD;
+    });
+    return stock;
+}
+
+function findForWithdrawal(withdrawalId) {
+    return db.findOne(TABLE, c => c.withdrawalId === withdrawalId);
+}
+
+// Retrait approuvé : le plus ancien code disponible lui est réservé
+// (null pour un article livré à la main)
+function reserveFor(withdrawal) {
+    const existing = findForWithdrawal(withdrawal.id);
+    if (existing) return existing;
+    if (!isCodeDelivered(withdrawal.itemId)) return null;
+
+    const code = db.findOne(TABLE, c => c.itemId === withdrawal.itemId && c.status === 'available');
+    if (!code) throw new AppError(409, `Plus aucun code en stock pour "${withdrawal.itemName}"`, 'CODES_OUT_OF_STOCK', { item: withdrawal.itemName });
+
+    const remaining = countAvailable(withdrawal.itemId) - 1;
+    if (remaining <= LOW_STOCK_THRESHOLD) {
+        console.warn(`[CODES] Stock bas pour "${withdrawal.itemName}" : ${remaining} code(s) restant(s)`);
+    }
+
+    return db.update(TABLE, code.id, {
+        status: 'reserved',
+        withdrawalId: withdrawal.id,
+        userId: withdrawal.userId,
+        reservedAt: new Date().toISOString()
+    });
+}
+
+// Retrait livré : le code devient visible par le joueur. Renvoie le code en
+// clair (null pour un article livré à la main).
+function deliverFor(withdrawal) {
+    const code = reserveFor(withdrawal);
+    if (!code) return null;
+    db.update(TABLE, code.id, { status: 'delivered', deliveredAt: new Date().toISOString() });
+    return decrypt(code.ciphertext);
+}
+
+// Section "Mes codes" du Coffre
+function listDeliveredForUser(userId) {
+    return db.findAll(TABLE, c => c.userId === userId && c.status === 'delivered')
+        .reverse()
+        .map(c => ({ id: c.id, itemId: c.itemId, withdrawalId: c.withdrawalId, code: decrypt(c.ciphertext), deliveredAt: c.deliveredAt }));
+}
+
+module.exports = {
+    LOW_STOCK_THRESHOLD,
+    assertConfigured,
+    importCsv,
+    isCodeDelivered,
+    countAvailable,
+    stockByItem,
+    reserveFor,
+    deliverFor,
+    listDeliveredForUser
+};
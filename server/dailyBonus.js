@@ -0,0 +1,199 @@
+// --- BONUS DE CONNEXION QUOTIDIEN ---
+// Le joueur réclame son bonus une fois par jour calendaire, dans SON fuseau
+// horaire : celui du navigateur, enregistré sur la fiche à la première
+// réclamation puis figé (changer de fuseau permettrait de réclamer deux fois).
+// Le montant grandit avec la série de jours consécutifs (REWARDS, le dernier
+// palier s'applique au-delà).
+//
+// Gel de série : tous les DAILY_BONUS_FREEZE_EVERY jours de série, le joueur
+// gagne un gel (DAILY_BONUS_MAX_FREEZES au plus). Un jour manqué consomme un gel
+// au lieu de remettre la série à zéro. DAILY_BONUS_FREEZE_EVERY=0 désactive la règle.
+//
+// Un compte sanctionné ne peut pas réclamer ; un compte noté "high" par le
+// moteur de risque (voir risk/) voit sa réclamation enregistrée sans paiement.
+const db = require('./db');
+const ledger = require('./ledger');
+const users = require('./users');
+const sanctions = require('./sanctions');
+const risk = require('./risk');
+const { AppError } = require('./errors');
+
+const TABLE = 'dailyBonusClaims';
+
+// Pixels versés selon le jour de série (1er jour, 2e jour...)
+const REWARDS = [50, 60, 70, 80, 90, 100, 150];
+
+const FREEZE_EVERY = process.env.DAILY_BONUS_FREEZE_EVERY === undefined ? 7 : Number(process.env.DAILY_BONUS_FREEZE_EVERY);
+const MAX_FREEZES = Number(process.env.DAILY_BONUS_MAX_FREEZES) || 2;
+
+// Calendrier du dashboard : 3 jours passés, aujourd'hui, 3 jours à venir
+const CALENDAR_PAST_DAYS = 3;
+const CALENDAR_NEXT_DAYS = 3;
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Jour calendaire (YYYY-MM-DD) d'un instant dans un fuseau
+function localDay(timezone, now = Date.now()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+function addDays(day, count) {
+    return new Date(Date.parse(day) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function rewardFor(streak) {
+    return REWARDS[Math.min(streak, REWARDS.length) - 1];
+}
+
+function listClaims(userId) {
+    return db.findAll(TABLE, c => c.userId === userId);
+}
+
+function lastClaim(userId) {
+    const claims = listClaims(userId);
+    return claims[claims.length - 1] || null;
+}
+
+// Série obtenue en réclamant le bonus de `day` après la réclamation `last` :
+// continuée (en consommant un gel par jour manqué si possible) ou repartie à 1
+function nextStreak(last, day) {
+    let streak = 1;
+    let freezes = last ? last.freezes : 0;
+    let frozenDays = [];
+
+    const missed = last ? daysBetween(last.day, day) - 1 : null;
+    if (last && missed <= freezes) {
+        streak = last.streak + 1;
+        freezes -= missed;
+        frozenDays = Array.from({ length: missed }, (_, i) => addDays(last.day, i + 1));
+    }
+    if (FREEZE_EVERY > 0 && streak % FREEZE_EVERY === 0) freezes = Math.min(MAX_FREEZES, freezes + 1);
+    return { streak, freezes, frozenDays };
+}
+
+// Fuseau du joueur : celui de la fiche, sinon celui proposé par le navigateur
+function timezoneOf(user, proposed) {
+    if (user.timezone) return user.timezone;
+    return isValidTimezone(proposed) ? proposed : DEFAULT_TIMEZONE;
+}
+
+function isRestricted(user) {
+    return sanctions.statusOf(user).status !== 'active';
+}
+
+// Réclame le bonus du jour. `timezone` : fuseau du navigateur (pris en compte
+// à la première réclamation seulement) ; `ip` / `deviceId` : pour la note de risque.
+function claim(user, { timezone, ip = null, deviceId = null } = {}) {
+    if (isRestricted(user)) {
+        throw new AppError(403, "Le bonus quotidien est indisponible sur ton compte", 'BONUS_RESTRICTED');
+    }
+    const zone = timezoneOf(user, timezone);
+    const day = localDay(zone);
+    const assessment = risk.evaluate(user, { ip, deviceId });
+
+    return db.transaction(() => {
+        if (!user.timezone) users.setTimezone(user.id, zone);
+
+        const last = lastClaim(user.id);
+        if (last && daysBetween(last.day, day) <= 0) {
+            throw new AppError(409, "Bonus du jour déjà récupéré. Reviens demain !", 'ALREADY_CLAIMED');
+        }
+
+        const { streak, freezes, frozenDays } = nextStreak(last, day);
+        const skipped = assessment.level === 'high';
+        const amount = skipped ? 0 : rewardFor(streak);
+
+        let transaction = null;
+        if (!skipped) {
+            ({ transaction } = ledger.post({
+                userId: user.id,
+                type: 'login_bonus',
+                amount,
+                idempotencyKey: `login_bonus:${user.id}:${day}`,
+                description: `Bonus Connexion (jour ${streak})`,
+                meta: { day, streak }
+            }));
+        } else {
+            console.log(`[BONUS] #${user.id} : bonus du ${day} non versé (risque ${assessment.score}/100)`);
+        }
+
+        return db.insert(TABLE, {
+            userId: user.id,
+            day,
+            timezone: zone,
+            streak,
+            freezes,
+            frozenDays,
+            amount,
+            skipped,
+            ledgerTransactionId: transaction ? transaction.id : null,
+            claimedAt: new Date().toISOString()
+        });
+    });
+}
+
+// État du bonus pour le dashboard : série, gels et calendrier sur 7 jours
+// (claimed / frozen / missed pour le passé, none avant l'inscription,
+// available / upcoming ensuite)
+function getStatus(user, { timezone } = {}) {
+    const zone = timezoneOf(user, timezone);
+    const today = localDay(zone);
+    const claims = listClaims(user.id);
+    const byDay = new Map(claims.map(c => [c.day, c]));
+    const frozen = new Set(claims.flatMap(c => c.frozenDays || []));
+    const signupDay = localDay(zone, Date.parse(user.createdAt));
+
+    const last = claims[claims.length - 1] || null;
+    const claimedToday = Boolean(last && last.day === today);
+    const next = claimedToday ? null : nextStreak(last, today);
+    // Série encore en vie : réclamée aujourd'hui, ou prolongée en réclamant maintenant
+    const streak = claimedToday || (last && next.streak > 1) ? last.streak : 0;
+    const todayStreak = claimedToday ? last.streak : next.streak;
+
+    const calendar = [];
+    for (let offset = -CALENDAR_PAST_DAYS; offset <= CALENDAR_NEXT_DAYS; offset++) {
+        const day = addDays(today, offset);
+        const claimed = byDay.get(day);
+        let status = 'upcoming';
+        if (claimed) status = 'claimed';
+        else if (offset < 0 && day < signupDay) status = 'none';
+        else if (offset < 0) status = frozen.has(day) ? 'frozen' : 'missed';
+        else if (offset === 0) status = 'available';
+        calendar.push({
+            day,
+            status,
+            skipped: claimed ? claimed.skipped : undefined,
+            amount: claimed ? claimed.amount : offset >= 0 ? rewardFor(todayStreak + offset) : null
+        });
+    }
+
+    return {
+        timezone: zone,
+        today,
+        claimedToday,
+        restricted: isRestricted(user),
+        streak,
+        freezes: last ? last.freezes : 0,
+        maxFreezes: FREEZE_EVERY > 0 ? MAX_FREEZES : 0,
+        freezeEvery: FREEZE_EVERY,
+        nextAmount: claimedToday ? rewardFor(last.streak + 1) : rewardFor(next.streak),
+        rewards: REWARDS,
+        calendar
+    };
+}
+
+module.exports = { REWARDS, claim, getStatus };
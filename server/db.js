@@ -0,0 +1,125 @@
+// --- STOCKAGE EMBARQUÉ (fichier JSON) ---
+// Petit store synchrone : toutes les tables sont chargées en mémoire au démarrage
+// et réécrites sur disque (écriture atomique) après chaque modification.
+// Suffisant pour la taille actuelle de LootQuest, et sans dépendance native.
+const fs = require('fs');
+const path = require('path');
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, '../data/lootquest.json');
+
+let state = load();
+let batchDepth = 0;
+let dirty = false;
+let commitCallbacks = [];
+
+function load() {
+    try {
+        return JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        return { sequences: {}, tables: {} };
+    }
+}
+
+function persist() {
+    if (batchDepth > 0) {
+        dirty = true;
+        return;
+    }
+    fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+    const tmpFile = `${DB_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state));
+    fs.renameSync(tmpFile, DB_FILE);
+    dirty = false;
+}
+
+function table(name) {
+    if (!state.tables[name]) state.tables[name] = [];
+    return state.tables[name];
+}
+
+// Regroupe plusieurs écritures en une seule sauvegarde sur disque.
+// Si fn lève une erreur, l'état mémoire est restauré tel qu'avant l'appel.
+function transaction(fn) {
+    const snapshot = batchDepth === 0 ? JSON.stringify(state) : null;
+    batchDepth++;
+    try {
+        const result = fn();
+        batchDepth--;
+        if (batchDepth === 0) {
+            if (dirty) persist();
+            runCommitCallbacks();
+        }
+        return result;
+    } catch (err) {
+        batchDepth--;
+        if (snapshot) {
+            state = JSON.parse(snapshot);
+            dirty = false;
+            commitCallbacks = [];
+        }
+        throw err;
+    }
+}
+
+// Exécute fn une fois les écritures en cours validées (immédiatement hors
+// transaction). Annulée si la transaction échoue : sert à annoncer un
+// changement sans risquer d'annoncer une écriture qui n'aura jamais lieu.
+function afterCommit(fn) {
+    if (batchDepth === 0) return fn();
+    commitCallbacks.push(fn);
+}
+
+function runCommitCallbacks() {
+    const callbacks = commitCallbacks;
+    commitCallbacks = [];
+    callbacks.forEach(fn => {
+        try {
+            fn();
+        } catch (err) {
+            console.error('[DB] Callback après validation en erreur', err);
+        }
+    });
+}
+
+function insert(name, record) {
+    const id = (state.sequences[name] || 0) + 1;
+    state.sequences[name] = id;
+    const row = { id, ...record };
+    table(name).push(row);
+    persist();
+    return row;
+}
+
+// Les lignes retournées sont les objets en mémoire : ne pas les modifier
+// directement, passer par update() pour que la modification soit sauvegardée.
+function findAll(name, predicate = () => true) {
+    return table(name).filter(predicate);
+}
+
+function findOne(name, predicate) {
+    return table(name).find(predicate) || null;
+}
+
+function findById(name, id) {
+    return findOne(name, row => row.id === Number(id));
+}
+
+function update(name, id, patch) {
+    const row = findById(name, id);
+    if (!row) return null;
+    Object.assign(row, patch);
+    persist();
+    return row;
+}
+
+function remove(name, id) {
+    const rows = table(name);
+    const index = rows.findIndex(row => row.id === Number(id));
+    if (index === -1) return false;
+    rows.splice(index, 1);
+    persist();
+    return true;
+}
+
+module.exports = { transaction, afterCommit, insert, findAll, findOne, findById, update, remove };
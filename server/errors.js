@@ -0,0 +1,17 @@
+// --- ERREURS MÉTIER ---
+// Erreur "attendue" (mauvaise saisie, solde insuffisant...) : son message peut
+// être renvoyé tel quel au frontend avec le code HTTP associé.
+// `code` : identifiant stable que le dashboard traduit (clés error.<CODE> des
+// catalogues public/locales), avec les valeurs de `params` ; le message
+// français sert de secours et de log.
+class AppError extends Error {
+    constructor(status, message, code, params) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code;
+        this.params = params;
+    }
+}
+
+module.exports = { AppError };
@@ -0,0 +1,41 @@
+// --- ÉVÉNEMENTS MÉTIER ---
+// Bus interne : les modules producteurs (postbacks, parrainage, connexion...)
+// annoncent ce qui s'est passé, les modules abonnés (quêtes, XP...) réagissent
+// sans que le producteur les connaisse.
+//
+// Les abonnés sont appelés de façon synchrone, dans l'ordre d'inscription.
+// Une erreur chez un abonné est loggée mais n'annule jamais l'action d'origine :
+// un crédit d'offre ne doit pas échouer parce que le calcul d'une quête a planté.
+const EVENTS = {
+    USER_SIGNED_UP: 'user.signed_up',           // { userId, referralCode, ip, deviceId }
+    OFFER_COMPLETED: 'offer.completed',         // { userId, network, transactionId, payout }
+    OFFER_REVERSED: 'offer.reversed',           // { userId, network, transactionId, payout }
+    REFERRAL_VALIDATED: 'referral.validated',   // { userId, refereeId }
+    DAILY_LOGIN: 'user.daily_login',            // { userId, day }
+    QUEST_COMPLETED: 'quest.completed',         // { userId, questId, reward }
+    LEVEL_UP: 'user.level_up',                  // { userId, level, rank, perks }
+    LEADERBOARD_PRIZE: 'leaderboard.prize',     // { userId, window, period, rank, amount }
+    TICKET_REPLIED: 'ticket.replied',           // { userId, ticketId, subject } (réponse de l'équipe)
+    TICKET_UPDATED: 'ticket.updated',           // { userId, ticketId, status } (ouverture, réponse du joueur, statut)
+    BALANCE_CHANGED: 'ledger.balance_changed',  // { userId, transactionId, type, amount }
+    WITHDRAWAL_UPDATED: 'withdrawal.updated'    // { userId, withdrawalId, itemName, status }
+};
+
+const subscribers = {};
+
+function subscribe(type, handler) {
+    if (!Object.values(EVENTS).includes(type)) throw new Error(`Événement inconnu : ${type}`);
+    (subscribers[type] = subscribers[type] || []).push(handler);
+}
+
+function publish(type, payload) {
+    (subscribers[type] || []).forEach(handler => {
+        try {
+            handler(payload);
+        } catch (err) {
+            console.error(`[EVENTS] Abonné en erreur sur ${type}`, err);
+        }
+    });
+}
+
+module.exports = { EVENTS, subscribe, publish };
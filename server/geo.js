@@ -0,0 +1,87 @@
+// --- GÉOLOCALISATION DES REQUÊTES ---
+// Pays de la requête : celui fourni par le CDN / reverse proxy devant le serveur
+// (Cloudflare : CF-IPCountry), sinon celui de l'IP dans la base GeoIP hors ligne
+// si elle est installée. Aucun service tiers n'est appelé.
+//
+// Les en-têtes de pays ne sont lus que derrière un proxy de confiance
+// (TRUST_PROXY, ou TRUST_COUNTRY_HEADER=true si le proxy ne réécrit pas
+// X-Forwarded-For) : sinon n'importe quel joueur enverrait "X-Country-Code: US"
+// pour contourner les restrictions par pays des offerwalls et de la boutique.
+//
+// Base GeoIP (optionnelle) : GEOIP_DB_FILE = chemin d'un CSV IPv4 "début,fin,pays",
+// une plage par ligne. Les bornes sont des IP (format DB-IP "IP to Country Lite")
+// ou des entiers entre guillemets (format IP2Location LITE DB1). Les lignes IPv6
+// sont ignorées. Le fichier est chargé une fois, au premier besoin.
+const fs = require('fs');
+
+const TRUST_COUNTRY_HEADERS = Boolean(process.env.TRUST_PROXY) || process.env.TRUST_COUNTRY_HEADER === 'true';
+
+let ranges = null; // { starts: [], ends: [], countries: [] }, triées par début
+
+function ipToNumber(ip) {
+    const parts = String(ip).split('.');
+    if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null;
+    return parts.reduce((n, p) => n * 256 + Number(p), 0);
+}
+
+// Borne d'une plage : "1.2.3.0" ou "16909056"
+function boundToNumber(value) {
+    return /^\d+$/.test(value) ? Number(value) : ipToNumber(value);
+}
+
+function loadRanges() {
+    const file = process.env.GEOIP_DB_FILE;
+    const rows = [];
+    if (file) {
+        try {
+            fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+                const [start, end, country] = line.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+                const from = boundToNumber(start);
+                const to = boundToNumber(end);
+                if (from === null || to === null || !/^[A-Z]{2}$/i.test(country || '')) return;
+                rows.push({ from, to, country: country.toUpperCase() });
+            });
+            console.log(`[GEO] ${rows.length} plages chargées depuis ${file}`);
+        } catch (err) {
+            console.error(`[GEO] Base GeoIP illisible (${file}) : ${err.message}`);
+        }
+    }
+    rows.sort((a, b) => a.from - b.from);
+    return {
+        starts: rows.map(r => r.from),
+        ends: rows.map(r => r.to),
+        countries: rows.map(r => r.country)
+    };
+}
+
+// Pays d'une IPv4 dans la base hors ligne (null : base absente ou IP inconnue)
+function lookupCountry(ip) {
+    if (!ranges) ranges = loadRanges();
+    const value = ipToNumber(String(ip || '').replace(/^::ffff:/, ''));
+    if (value === null || !ranges.starts.length) return null;
+
+    // Dernière plage commençant avant l'IP (recherche dichotomique)
+    let low = 0;
+    let high = ranges.starts.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (ranges.starts[middle] <= value) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found >= 0 && value <= ranges.ends[found] ? ranges.countries[found] : null;
+}
+
+function detectCountry(req) {
+    if (TRUST_COUNTRY_HEADERS) {
+        const country = req.get('cf-ipcountry') || req.get('x-country-code');
+        if (country && /^[A-Z]{2}$/i.test(country)) return country.toUpperCase();
+    }
+    return lookupCountry(req.ip);
+}
+
+module.exports = { detectCountry, lookupCountry };
@@ -0,0 +1,200 @@
+// --- CLASSEMENT (HALL OF FAME) ---
+// Le score d'un joueur est ce qu'il a gagné sur la période, lu dans le grand
+// livre : offres (moins les chargebacks), quêtes, parrainage, bonus. Les
+// retraits, remboursements, ajustements admin et récompenses de classement ne
+// comptent pas.
+//
+// Fenêtres : jour, semaine (lundi), mois (UTC), saison (voir seasons.js) et
+// depuis toujours. À la clôture d'une période, les meilleurs joueurs reçoivent
+// leurs Pixels automatiquement (voir startScheduler). Les comptes suspendus ou
+// bannis sont retirés du classement : ils ne prennent la place de personne.
+const db = require('./db');
+const ledger = require('./ledger');
+const users = require('./users');
+const seasons = require('./seasons');
+const sanctions = require('./sanctions');
+const events = require('./events');
+const { AppError } = require('./errors');
+
+const PAYOUTS = 'leaderboardPayouts';
+
+const SCORED_TYPES = ['offer', 'chargeback', 'quest', 'referral', 'login_bonus'];
+
+const WINDOWS = {
+    daily: 'du jour',
+    weekly: 'de la semaine',
+    monthly: 'du mois',
+    season: 'de la saison',
+    alltime: 'de tous les temps'
+};
+
+// Pixels versés par rang à la clôture (la saison a ses propres récompenses)
+const PRIZES = {
+    daily: [100, 50, 25],
+    weekly: [1000, 500, 250],
+    monthly: [5000, 2500, 1000, 500, 250],
+    alltime: []
+};
+
+const DEFAULT_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYOUT_INTERVAL_MS = (Number(process.env.LEADERBOARD_PAYOUT_INTERVAL_MINUTES) || 10) * 60 * 1000;
+
+// Période d'une fenêtre contenant `now` : clé + bornes [from, to[
+function periodOf(window, now = Date.now()) {
+    const day = new Date(now);
+    day.setUTCHours(0, 0, 0, 0);
+
+    if (window === 'daily') {
+        return { key: day.toISOString().slice(0, 10), from: day.toISOString(), to: new Date(day.getTime() + DAY_MS).toISOString() };
+    }
+    if (window === 'weekly') {
+        const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+        return { key: `W${monday.toISOString().slice(0, 10)}`, from: monday.toISOString(), to: new Date(monday.getTime() + 7 * DAY_MS).toISOString() };
+    }
+    if (window === 'monthly') {
+        const first = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+        const next = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+        return { key: first.toISOString().slice(0, 7), from: first.toISOString(), to: next.toISOString() };
+    }
+    return { key: 'all', from: null, to: null };
+}
+
+function seasonPeriod(season) {
+    return { key: `S${season.id}`, from: season.startsAt, to: season.endsAt };
+}
+
+// Scores de la période, du meilleur au moins bon, sans les comptes bloqués.
+// À égalité, le compte le plus ancien passe devant.
+function ranking(period) {
+    const scores = new Map();
+    ledger.listBetween({ types: SCORED_TYPES, from: period.from, to: period.to })
+        .filter(t => t.status !== 'failed')
+        .forEach(t => scores.set(t.userId, (scores.get(t.userId) || 0) + t.amount));
+
+    return [...scores.entries()]
+        .filter(([userId, score]) => score > 0 && !isBlocked(userId))
+        .sort(([idA, a], [idB, b]) => b - a || idA - idB)
+        .map(([userId, score], index) => ({ rank: index + 1, userId, score }));
+}
+
+function isBlocked(userId) {
+    const user = users.findById(userId);
+    return Boolean(user) && sanctions.isBlocked(user);
+}
+
+// Fenêtre demandée -> période + récompenses ; `seasonId` absent = saison en cours
+function resolveWindow(window, seasonId) {
+    if (!WINDOWS[window]) throw new AppError(400, `Classement inconnu : ${window}`, 'UNKNOWN_LEADERBOARD', { window });
+    if (window !== 'season') return { period: periodOf(window), prizes: PRIZES[window], season: null };
+
+    const season = seasonId ? seasons.findSeason(seasonId) : seasons.currentSeason();
+    if (!season && seasonId) throw new AppError(404, "Saison introuvable", 'SEASON_NOT_FOUND');
+    if (!season) throw new AppError(404, "Aucune saison en cours", 'NO_ACTIVE_SEASON');
+    return { period: seasonPeriod(season), prizes: season.prizes, season };
+}
+
+function toEntry(entry, prizes, viewerId) {
+    const user = users.findById(entry.userId);
+    return {
+        rank: entry.rank,
+        name: user ? user.username : 'Joueur supprimé',
+        avatar: user ? user.avatar : null,
+        level: user ? user.level : 1,
+        score: entry.score,
+        prize: prizes[entry.rank - 1] || 0,
+        isMe: entry.userId === viewerId
+    };
+}
+
+// Top N de la fenêtre + le rang du joueur, même s'il est hors du top
+function getLeaderboard(viewerId, { window = 'weekly', seasonId = null, limit = DEFAULT_LIMIT } = {}) {
+    const { period, prizes, season } = resolveWindow(window, seasonId);
+    const entries = ranking(period);
+    const mine = entries.find(entry => entry.userId === viewerId);
+
+    return {
+        window,
+        period,
+        season: seasons.toPublic(season),
+        prizes,
+        totalPlayers: entries.length,
+        items: entries.slice(0, limit).map(entry => toEntry(entry, prizes, viewerId)),
+        me: toEntry(mine || { rank: null, userId: viewerId, score: 0 }, prizes, viewerId)
+    };
+}
+
+function findPayout(window, period) {
+    return db.findOne(PAYOUTS, p => p.window === window && p.period === period);
+}
+
+// Verse les récompenses d'une période close. Une période n'est payée qu'une
+// fois (table leaderboardPayouts + clés d'idempotence du grand livre).
+function payPeriod(window, period, prizes) {
+    if (findPayout(window, period.key)) return null;
+    const winners = ranking(period).slice(0, prizes.length);
+
+    const payout = db.transaction(() => {
+        const paid = winners.map(entry => {
+            const amount = prizes[entry.rank - 1];
+            ledger.post({
+                userId: entry.userId,
+                type: 'leaderboard',
+                amount,
+                idempotencyKey: `leaderboard:${window}:${period.key}:${entry.rank}`,
+                description: `Classement ${WINDOWS[window]} : ${entry.rank === 1 ? '1re' : `${entry.rank}e`} place`,
+                meta: { window, period: period.key, rank: entry.rank, score: entry.score }
+            });
+            return { userId: entry.userId, rank: entry.rank, score: entry.score, amount };
+        });
+        return db.insert(PAYOUTS, { window, period: period.key, winners: paid, paidAt: new Date().toISOString() });
+    });
+
+    console.log(`[CLASSEMENT] ${window} ${period.key} clôturé : ${payout.winners.length} gagnant(s)`);
+    payout.winners.forEach(winner => {
+        events.publish(events.EVENTS.LEADERBOARD_PRIZE, { ...winner, window, period: period.key });
+    });
+    return payout;
+}
+
+// Périodes closes d'une fenêtre récurrente pas encore payées, de la plus
+// ancienne à la plus récente : on remonte depuis la période précédente jusqu'au
+// dernier versement, ou jusqu'à la première transaction notée (rien avant)
+function unpaidPeriods(window, now) {
+    const first = ledger.listBetween({ types: SCORED_TYPES })[0];
+    if (!first) return [];
+
+    const periods = [];
+    let period = periodOf(window, Date.parse(periodOf(window, now).from) - 1);
+    while (period.to > first.createdAt && !findPayout(window, period.key)) {
+        periods.unshift(period);
+        period = periodOf(window, Date.parse(period.from) - 1);
+    }
+    return periods;
+}
+
+// Périodes terminées dont les récompenses n'ont pas encore été versées : toutes
+// celles des fenêtres récurrentes depuis le dernier versement (serveur arrêté
+// plusieurs jours, par exemple), et les saisons finies
+function payClosedPeriods(now = Date.now()) {
+    ['daily', 'weekly', 'monthly'].forEach(window => {
+        unpaidPeriods(window, now).forEach(period => payPeriod(window, period, PRIZES[window]));
+    });
+    seasons.listEnded(now).forEach(season => payPeriod('season', seasonPeriod(season), season.prizes));
+}
+
+// Vérifie au démarrage puis à intervalle régulier : un serveur arrêté pendant un
+// ou plusieurs changements de période paie les périodes closes dès qu'il redémarre
+function startScheduler() {
+    const run = () => {
+        try {
+            payClosedPeriods();
+        } catch (err) {
+            console.error('[CLASSEMENT] Versement des récompenses impossible', err);
+        }
+    };
+    run();
+    setInterval(run, PAYOUT_INTERVAL_MS).unref();
+}
+
+module.exports = { WINDOWS, PRIZES, periodOf, getLeaderboard, payClosedPeriods, startScheduler };
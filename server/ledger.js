@@ -0,0 +1,177 @@
+// --- GRAND LIVRE DES PIXELS (double entrée, append-only) ---
+// Chaque mouvement est une transaction composée de deux écritures de signes
+// opposés : le compte du joueur (`user:<id>`) et un compte maison qui sert de
+// contrepartie (`house:<type>`). La somme des écritures d'une transaction vaut
+// donc toujours 0, et le solde d'un compte n'est jamais stocké : il se déduit
+// de ses écritures.
+//
+// Les écritures ne sont jamais modifiées ni supprimées. Seul le statut d'une
+// transaction peut évoluer (ex : retrait "pending" -> "completed") ; annuler un
+// mouvement se fait en postant une transaction inverse (type "refund"...).
+const db = require('./db');
+const events = require('./events');
+const { AppError } = require('./errors');
+
+const TRANSACTIONS = 'ledgerTransactions';
+const ENTRIES = 'ledgerEntries';
+
+// Types de mouvements et libellé par défaut affiché dans l'historique
+const TYPES = {
+    offer: 'Offre',
+    chargeback: 'Annulation offre',
+    quest: 'Quête',
+    referral: 'Parrainage',
+    login_bonus: 'Bonus Connexion',
+    withdrawal: 'Retrait',
+    refund: 'Remboursement',
+    admin_adjustment: 'Ajustement',
+    leaderboard: 'Récompense Classement',
+    forfeit: 'Solde confisqué'
+};
+
+// Un retrait en attente est déjà débité : les Pixels sont "réservés"
+const STATUSES = ['pending', 'completed', 'failed'];
+
+function userAccount(userId) {
+    return `user:${userId}`;
+}
+
+function balanceOf(account) {
+    return db.findAll(ENTRIES, e => e.account === account)
+        .reduce((sum, e) => sum + e.amount, 0);
+}
+
+function getBalance(userId) {
+    return balanceOf(userAccount(userId));
+}
+
+function findByIdempotencyKey(key) {
+    return db.findOne(TRANSACTIONS, t => t.idempotencyKey === key);
+}
+
+// Enregistre un mouvement pour un joueur. `amount` est signé :
+// positif = crédit, négatif = débit.
+// Si `idempotencyKey` a déjà été utilisée, la transaction existante est renvoyée
+// (created = false) : rejouer un appel ne crédite jamais deux fois.
+function post({ userId, type, amount, idempotencyKey, status = 'completed', description, meta = {}, allowNegative = false }) {
+    if (!TYPES[type]) throw new Error(`Type de transaction inconnu : ${type}`);
+    if (!STATUSES.includes(status)) throw new Error(`Statut de transaction inconnu : ${status}`);
+    if (!Number.isInteger(amount) || amount === 0) throw new Error(`Montant invalide : ${amount}`);
+    if (!idempotencyKey) throw new Error('idempotencyKey obligatoire');
+
+    return db.transaction(() => {
+        const existing = findByIdempotencyKey(idempotencyKey);
+        if (existing) return { transaction: existing, created: false };
+
+        const account = userAccount(userId);
+        const houseAccount = `house:${type}`;
+        const balance = balanceOf(account);
+        if (amount < 0 && balance + amount < 0 && !allowNegative) {
+            throw new AppError(400, "Solde de Pixels insuffisant", 'INSUFFICIENT_FUNDS');
+        }
+
+        const now = new Date().toISOString();
+        const transaction = db.insert(TRANSACTIONS, {
+            userId,
+            type,
+            status,
+            amount,
+            idempotencyKey,
+            description: description || TYPES[type],
+            meta,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        db.insert(ENTRIES, {
+            transactionId: transaction.id,
+            account,
+            amount,
+            balanceAfter: balance + amount,
+            createdAt: now
+        });
+        db.insert(ENTRIES, {
+            transactionId: transaction.id,
+            account: houseAccount,
+            amount: -amount,
+            balanceAfter: balanceOf(houseAccount) - amount,
+            createdAt: now
+        });
+
+        // Annoncé une fois la transaction englobante validée (solde en direct, voir realtime.js)
+        db.afterCommit(() => events.publish(events.EVENTS.BALANCE_CHANGED, { userId, transactionId: transaction.id, type, amount }));
+        return { transaction, created: true };
+    });
+}
+
+function findTransaction(id) {
+    return db.findById(TRANSACTIONS, id);
+}
+
+// Transactions brutes d'un joueur (ex : gains de parrainage pour les statistiques)
+function listTransactions(userId, { type } = {}) {
+    return db.findAll(TRANSACTIONS, t => t.userId === userId && (!type || t.type === type));
+}
+
+// Transactions de tous les joueurs sur une période [from, to[ (ex : classements)
+function listBetween({ types, from = null, to = null } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    return db.findAll(TRANSACTIONS, t => {
+        if (types && !types.includes(t.type)) return false;
+        const time = Date.parse(t.createdAt);
+        return (fromTime === null || time >= fromTime) && (toTime === null || time < toTime);
+    });
+}
+
+function setStatus(transactionId, status) {
+    if (!STATUSES.includes(status)) throw new Error(`Statut de transaction inconnu : ${status}`);
+    return db.update(TRANSACTIONS, transactionId, { status, updatedAt: new Date().toISOString() });
+}
+
+// Borne haute du filtre `to` : une date seule ("2025-01-31") inclut toute la journée (UTC)
+function endOfRange(to) {
+    if (!to) return null;
+    const time = Date.parse(to);
+    return /^\d{4}-\d{2}-\d{2}$/.test(to) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Historique d'un joueur, du plus récent au plus ancien
+// filters : { type, status, direction: 'in' | 'out', from, to } ; page commence à 1
+function listHistory(userId, { page = 1, limit = 20, type, status, direction, from, to } = {}) {
+    const account = userAccount(userId);
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = endOfRange(to);
+
+    const entries = db.findAll(ENTRIES, e => e.account === account)
+        .map(entry => ({ entry, transaction: db.findById(TRANSACTIONS, entry.transactionId) }))
+        .filter(({ entry, transaction }) => {
+            if (type && transaction.type !== type) return false;
+            if (status && transaction.status !== status) return false;
+            if (direction === 'in' && entry.amount < 0) return false;
+            if (direction === 'out' && entry.amount > 0) return false;
+            if (fromTime && Date.parse(entry.createdAt) < fromTime) return false;
+            if (toTime && Date.parse(entry.createdAt) > toTime) return false;
+            return true;
+        })
+        .reverse();
+
+    const start = (page - 1) * limit;
+    return {
+        items: entries.slice(start, start + limit).map(({ entry, transaction }) => ({
+            id: transaction.id,
+            date: entry.createdAt,
+            type: transaction.type,
+            label: transaction.description,
+            amount: entry.amount,
+            status: transaction.status,
+            balanceAfter: entry.balanceAfter
+        })),
+        page,
+        limit,
+        total: entries.length,
+        pages: Math.max(1, Math.ceil(entries.length / limit))
+    };
+}
+
+module.exports = { TYPES, STATUSES, getBalance, findByIdempotencyKey, post, findTransaction, listTransactions, listBetween, setStatus, listHistory };
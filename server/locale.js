@@ -0,0 +1,61 @@
+// --- LANGUE DE L'INTERFACE ---
+// Langue négociée côté serveur, sans service tiers (GET /api/locale), par ordre
+// de priorité :
+// 1. account : langue enregistrée sur la fiche (choisie avec le bouton drapeau) ;
+// 2. header : en-tête Accept-Language du navigateur ;
+// 3. geo : pays de la requête (CDN ou base GeoIP hors ligne, voir geo.js) ;
+// 4. default : français.
+// Les catalogues de traduction sont dans public/locales/<langue>.json.
+const users = require('./users');
+const { detectCountry } = require('./geo');
+const { AppError } = require('./errors');
+
+const LOCALES = ['fr', 'en', 'es'];
+const DEFAULT_LOCALE = 'fr';
+
+// Pays -> langue ; un autre pays connu reçoit l'anglais
+const COUNTRY_LOCALES = {
+    FR: 'fr', BE: 'fr', CH: 'fr', LU: 'fr', MC: 'fr',
+    ES: 'es', MX: 'es', AR: 'es', CO: 'es', CL: 'es', PE: 'es', VE: 'es', EC: 'es', UY: 'es'
+};
+
+// Codes Cloudflare sans pays réel : inconnu, réseau Tor
+const UNKNOWN_COUNTRIES = ['XX', 'T1'];
+
+function isSupported(locale) {
+    return LOCALES.includes(locale);
+}
+
+// Première langue disponible dans Accept-Language ("*" seul : aucune préférence)
+function fromHeader(req) {
+    const header = req.get('accept-language');
+    if (!header || header.trim() === '*') return null;
+    return req.acceptsLanguages(...LOCALES) || null;
+}
+
+function fromCountry(req) {
+    const country = detectCountry(req);
+    if (!country || UNKNOWN_COUNTRIES.includes(country)) return null;
+    return COUNTRY_LOCALES[country] || 'en';
+}
+
+function negotiate(req) {
+    const user = req.isAuthenticated() ? req.user : null;
+    if (user && isSupported(user.locale)) return { locale: user.locale, source: 'account' };
+
+    const header = fromHeader(req);
+    if (header) return { locale: header, source: 'header' };
+
+    const geo = fromCountry(req);
+    if (geo) return { locale: geo, source: 'geo' };
+
+    return { locale: DEFAULT_LOCALE, source: 'default' };
+}
+
+// Langue choisie par le joueur : suit son compte sur tous ses appareils
+function savePreference(user, locale) {
+    if (!isSupported(locale)) throw new AppError(400, "Langue non disponible", 'UNSUPPORTED_LOCALE');
+    return users.setLocale(user.id, locale);
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, negotiate, savePreference };
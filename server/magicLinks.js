@@ -0,0 +1,46 @@
+// --- LIENS DE CONNEXION PAR EMAIL ("magic links") ---
+// Le token n'est envoyé qu'une fois, par email ; on ne stocke que son hash.
+// Il expire après MAGIC_LINK_TTL_MINUTES et ne peut être utilisé qu'une seule fois.
+const crypto = require('crypto');
+const db = require('./db');
+
+const TABLE = 'loginTokens';
+const TTL_MS = (Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issue(email, ip) {
+    const now = Date.now();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    db.transaction(() => {
+        // Ménage : les tokens expirés ou consommés n'ont plus d'utilité
+        db.findAll(TABLE, t => t.usedAt || Date.parse(t.expiresAt) <= now)
+            .forEach(t => db.remove(TABLE, t.id));
+
+        db.insert(TABLE, {
+            email,
+            tokenHash: hashToken(token),
+            ip,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + TTL_MS).toISOString(),
+            usedAt: null
+        });
+    });
+
+    return token;
+}
+
+// Retourne l'email associé, ou null si le token est inconnu, expiré ou déjà utilisé
+function consume(token) {
+    if (!token) return null;
+    const record = db.findOne(TABLE, t => t.tokenHash === hashToken(String(token)));
+    if (!record || record.usedAt || Date.parse(record.expiresAt) <= Date.now()) return null;
+
+    db.update(TABLE, record.id, { usedAt: new Date().toISOString() });
+    return record.email;
+}
+
+module.exports = { issue, consume, TTL_MS };
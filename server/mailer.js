@@ -0,0 +1,72 @@
+// --- ENVOI D'EMAILS ---
+// Le transport est choisi via MAIL_TRANSPORT :
+// - "console" (défaut) : affiche le mail dans les logs, pratique en local ;
+// - "file" : écrit chaque mail en .json dans MAIL_DIR (data/mail par défaut) ;
+// - "smtp" : envoi réel via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS).
+// Un autre transport peut être branché avec registerTransport(name, factory).
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'LootQuest <no-reply@lootquest.gg>';
+
+const transports = {
+    console: () => ({
+        async send(mail) {
+            console.log(`[MAIL] À: ${mail.to} | Sujet: ${mail.subject}\n${mail.text}`);
+        }
+    }),
+
+    file: () => {
+        const dir = process.env.MAIL_DIR || path.join(__dirname, '../data/mail');
+        return {
+            async send(mail) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+                await fs.promises.writeFile(file, JSON.stringify(mail, null, 2));
+            }
+        };
+    },
+
+    smtp: () => {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: Number(process.env.SMTP_PORT) === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return {
+            async send(mail) {
+                await transporter.sendMail(mail);
+            }
+        };
+    }
+};
+
+let transport = null;
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+    transport = null;
+}
+
+function getTransport() {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) throw new Error(`Transport mail inconnu : ${name}`);
+        transport = transports[name]();
+    }
+    return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// Pour insérer une donnée joueur (pseudo, nom d'objet...) dans le html d'un mail
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+module.exports = { sendMail, registerTransport, escapeHtml };
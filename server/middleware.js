@@ -0,0 +1,51 @@
+// --- MIDDLEWARES PARTAGÉS ---
+const crypto = require('crypto');
+const roles = require('./roles');
+const users = require('./users');
+const sanctions = require('./sanctions');
+
+// Pour les routes /api : 401 en JSON si la session n'est pas ouverte
+function requireAuth(req, res, next) {
+    if (req.isAuthenticated()) return next();
+    res.status(401).json({ error: "Non connecté", code: 'NOT_AUTHENTICATED' });
+}
+
+// Session ouverte + permission du rôle (voir roles.js), sinon 403
+function requirePermission(permission) {
+    return (req, res, next) => requireAuth(req, res, () => {
+        if (roles.can(req.user, permission)) return next();
+        res.status(403).json({ error: "Accès refusé", code: 'FORBIDDEN' });
+    });
+}
+
+// Identifiant d'appareil persistant (cookie "lq_device", 1 an) : sert aux
+// contrôles anti-abus (parrainage, multi-comptes). Disponible dans req.deviceId.
+const DEVICE_COOKIE = 'lq_device';
+function deviceCookie(req, res, next) {
+    req.deviceId = req.cookies[DEVICE_COOKIE];
+    if (!req.deviceId || !/^[a-f0-9-]{36}$/.test(req.deviceId)) {
+        req.deviceId = crypto.randomUUID();
+        res.cookie(DEVICE_COOKIE, req.deviceId, { maxAge: 365 * 24 * 60 * 60 * 1000, httpOnly: true, sameSite: 'lax' });
+    }
+    next();
+}
+
+// Mémorise IP / appareil du joueur connecté et note sa première visite du jour
+// (voir users.recordActivity ; pas de connexion quotidienne pour un compte bloqué)
+function trackActivity(req, res, next) {
+    if (req.isAuthenticated()) {
+        users.recordActivity(req.user, { ip: req.ip, deviceId: req.deviceId, blocked: sanctions.isBlocked(req.user) });
+    }
+    next();
+}
+
+// Compte suspendu ou banni (voir sanctions.js) : toute l'API lui est refusée,
+// sauf de quoi comprendre la sanction et la contester via un ticket (page /banned)
+const BLOCKED_ALLOWED_PATHS = [/^\/account\/status$/, /^\/tickets(\/|$)/];
+function enforceAccountStatus(req, res, next) {
+    if (!req.isAuthenticated() || !sanctions.isBlocked(req.user)) return next();
+    if (BLOCKED_ALLOWED_PATHS.some(pattern => pattern.test(req.path))) return next();
+    res.status(403).json({ error: "Ton compte est bloqué", code: 'ACCOUNT_BLOCKED' });
+}
+
+module.exports = { requireAuth, requirePermission, deviceCookie, trackActivity, enforceAccountStatus };
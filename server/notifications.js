@@ -0,0 +1,125 @@
+// --- NOTIFICATIONS DU JOUEUR ---
+// Les événements notables du compte (offre créditée, quête terminée, retrait
+// livré, réponse du support...) deviennent des notifications stockées, lues ou
+// non, et poussées en direct dans le centre de notifications (voir realtime.js).
+// Seules les MAX_PER_USER plus récentes sont conservées.
+const db = require('./db');
+const events = require('./events');
+const quests = require('./quests');
+const postbacks = require('./postbacks');
+const realtime = require('./realtime');
+
+const TABLE = 'notifications';
+const MAX_PER_USER = 50;
+
+// Le texte est traduit par le dashboard (clés notification.<type>.title / .body
+// des catalogues public/locales) : on ne stocke que le type et ses paramètres.
+// Retraits : la clé dépend du statut (notification.withdrawal.<status>.*), et
+// seules les décisions de l'équipe sont notifiées (pas la mise en vérification
+// automatique, qui ne doit pas révéler le score de risque)
+const WITHDRAWAL_ICONS = {
+    approved: 'fa-circle-check',
+    delivered: 'fa-gift',
+    rejected: 'fa-circle-xmark'
+};
+
+function networkLabel(network) {
+    return postbacks.adapters[network] ? postbacks.adapters[network].label : network;
+}
+
+// Événement -> contenu de la notification (null = pas de notification)
+// `view` : vue du dashboard ouverte au clic
+const TEMPLATES = {
+    [events.EVENTS.OFFER_COMPLETED]: ({ network, payout }) => ({
+        icon: 'fa-coins',
+        params: { payout, network: networkLabel(network) },
+        view: 'inventory'
+    }),
+    [events.EVENTS.OFFER_REVERSED]: ({ network, payout }) => ({
+        icon: 'fa-rotate-left',
+        params: { payout, network: networkLabel(network) },
+        view: 'inventory'
+    }),
+    // `quest` : titre par défaut, si le catalogue ne traduit pas questId
+    [events.EVENTS.QUEST_COMPLETED]: ({ questId, reward }) => ({
+        icon: 'fa-flag-checkered',
+        params: { questId, quest: (quests.QUESTS.find(q => q.id === questId) || {}).title || questId, reward },
+        view: 'dashboard'
+    }),
+    [events.EVENTS.LEVEL_UP]: ({ level, rank }) => ({
+        icon: 'fa-trophy',
+        params: { level, rank },
+        view: 'dashboard'
+    }),
+    [events.EVENTS.REFERRAL_VALIDATED]: () => ({
+        icon: 'fa-user-plus',
+        params: {},
+        view: 'referral'
+    }),
+    [events.EVENTS.LEADERBOARD_PRIZE]: ({ rank, amount }) => ({
+        icon: 'fa-ranking-star',
+        params: { rank, amount },
+        view: 'leaderboard'
+    }),
+    [events.EVENTS.TICKET_REPLIED]: ({ subject }) => ({
+        icon: 'fa-headset',
+        params: { subject },
+        view: 'support'
+    }),
+    [events.EVENTS.WITHDRAWAL_UPDATED]: ({ itemName, status }) => {
+        if (!WITHDRAWAL_ICONS[status]) return null;
+        return { icon: WITHDRAWAL_ICONS[status], params: { item: itemName, status }, view: 'inventory' };
+    }
+};
+
+function listForUser(userId) {
+    return db.findAll(TABLE, n => n.userId === userId).reverse();
+}
+
+function countUnread(userId) {
+    return db.findAll(TABLE, n => n.userId === userId && !n.readAt).length;
+}
+
+function toPublic(notification) {
+    return {
+        id: notification.id,
+        type: notification.type,
+        icon: notification.icon,
+        params: notification.params || null,
+        // Notifications d'avant la traduction côté client : texte déjà rédigé
+        title: notification.title,
+        body: notification.body,
+        view: notification.view,
+        read: Boolean(notification.readAt),
+        createdAt: notification.createdAt
+    };
+}
+
+function create(userId, type, { icon, params, view = null }) {
+    const notification = db.transaction(() => {
+        const created = db.insert(TABLE, { userId, type, icon, params, view, readAt: null, createdAt: new Date().toISOString() });
+        listForUser(userId).slice(MAX_PER_USER).forEach(old => db.remove(TABLE, old.id));
+        return created;
+    });
+    realtime.sendTo(userId, 'notification', { ...toPublic(notification), unread: countUnread(userId) });
+    return notification;
+}
+
+// `ids` absent = tout marquer comme lu
+function markRead(userId, ids = null) {
+    const now = new Date().toISOString();
+    db.transaction(() => {
+        db.findAll(TABLE, n => n.userId === userId && !n.readAt && (!ids || ids.includes(n.id)))
+            .forEach(n => db.update(TABLE, n.id, { readAt: now }));
+    });
+    return countUnread(userId);
+}
+
+Object.entries(TEMPLATES).forEach(([type, template]) => {
+    events.subscribe(type, payload => {
+        const content = template(payload);
+        if (content) create(payload.userId, type, content);
+    });
+});
+
+module.exports = { listForUser, countUnread, toPublic, markRead };
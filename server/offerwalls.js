@@ -0,0 +1,98 @@
+// --- REGISTRE DES OFFERWALLS ---
+// Un mur par réseau partenaire. L'`id` correspond à l'adaptateur de postback
+// (server/postbacks) : le subid transmis au réseau (notre id joueur) revient
+// tel quel dans le postback.
+//
+// Paramètres de l'URL : {appId} (identifiant du mur chez le réseau),
+// {userId} (subid) et {sig} (signature du subid, voir signSubId).
+// Chaque mur peut être coupé sans redéploiement : OFFERWALL_<ID>_ENABLED=false.
+const crypto = require('crypto');
+
+// Vérifié au démarrage du serveur (assertConfigured) plutôt qu'au chargement
+// du module, que les scripts CLI font sans secret configuré
+function linkSecret() {
+    return process.env.OFFERWALL_LINK_SECRET || process.env.SESSION_SECRET;
+}
+
+function assertConfigured() {
+    if (!linkSecret()) throw new Error('OFFERWALL_LINK_SECRET (ou SESSION_SECRET) manquant : les liens des offerwalls ne peuvent pas être signés');
+}
+
+const WALLS = [
+    {
+        id: 'adgate',
+        name: 'AdGate Media',
+        iframeUrl: 'https://wall.adgaterewards.com/{appId}/{userId}?s2={sig}',
+        appId: process.env.OFFERWALL_ADGATE_APP_ID,
+        countries: ['*'],
+        devices: { mobile: true, desktop: true }
+    },
+    {
+        id: 'offertoro',
+        name: 'OfferToro',
+        // appId au format "<pub_id>/<app_id>" (deux segments dans l'URL OfferToro)
+        iframeUrl: 'https://www.offertoro.com/ifr/show/{appId}/{userId}?sig={sig}',
+        appId: process.env.OFFERWALL_OFFERTORO_APP_ID,
+        countries: ['*'],
+        devices: { mobile: true, desktop: true }
+    },
+    {
+        id: 'cpx',
+        name: 'CPX Research',
+        // CPX exige son propre hash : md5(userId-secret) avec le secret du postback
+        iframeUrl: 'https://offers.cpx-research.com/index.php?app_id={appId}&ext_user_id={userId}&secure_hash={sig}',
+        appId: process.env.OFFERWALL_CPX_APP_ID,
+        countries: ['FR', 'BE', 'CH', 'CA', 'US', 'GB', 'DE', 'ES'],
+        devices: { mobile: true, desktop: true },
+        sign: userId => crypto.createHash('md5')
+            .update(`${userId}-${process.env.POSTBACK_CPX_SECRET || ''}`)
+            .digest('hex')
+    }
+];
+
+function isEnabled(wall) {
+    return Boolean(wall.appId) && process.env[`OFFERWALL_${wall.id.toUpperCase()}_ENABLED`] !== 'false';
+}
+
+// Empêche un joueur de forger le subid d'un autre dans l'URL du mur
+function signSubId(wallId, userId) {
+    assertConfigured();
+    return crypto.createHmac('sha256', linkSecret())
+        .update(`${wallId}:${userId}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function buildUrl(wall, userId) {
+    const sig = wall.sign ? wall.sign(userId) : signSubId(wall.id, userId);
+    return wall.iframeUrl
+        .replace('{appId}', wall.appId) // Valeur de configuration, pas une saisie joueur
+        .replace('{userId}', encodeURIComponent(userId))
+        .replace('{sig}', encodeURIComponent(sig));
+}
+
+// Pays inconnu : on laisse le réseau filtrer lui-même
+function acceptsCountry(wall, country) {
+    return !country || wall.countries.includes('*') || wall.countries.includes(country);
+}
+
+// Murs proposés à un joueur, avec l'URL de tracking ou la raison de l'indisponibilité
+// (disabled / country / device)
+function listForUser(userId, { country, device }) {
+    return WALLS.map(wall => {
+        let reason = null;
+        if (!isEnabled(wall)) reason = 'disabled';
+        else if (!acceptsCountry(wall, country)) reason = 'country';
+        else if (!wall.devices[device]) reason = 'device';
+
+        return {
+            id: wall.id,
+            name: wall.name,
+            available: !reason,
+            reason,
+            url: reason ? null : buildUrl(wall, userId)
+        };
+    });
+}
+
+module.exports = { WALLS, listForUser, signSubId, assertConfigured };
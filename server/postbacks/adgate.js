@@ -0,0 +1,32 @@
+// --- ADAPTATEUR ADGATE MEDIA ---
+// URL de postback à configurer côté AdGate :
+// /postback/adgate?user_id={user_id}&offer_id={offer_id}&offer_name={offer_name}&points={points}&payout={payout}&tx_id={tx_id}&status={status}
+// AdGate ne signe pas ses postbacks : l'authenticité repose sur leur IP.
+// Si {s2} est ajouté à l'URL, on contrôle en plus la signature du subid posée
+// dans le lien du mur (server/offerwalls.js).
+// status = 1 : crédit, status = 0 : chargeback.
+const { signSubId } = require('../offerwalls');
+
+module.exports = {
+    name: 'adgate',
+    label: 'AdGate Media',
+    defaultIps: ['52.42.57.125'],
+    successBody: '1',
+
+    verify({ params, ip }, config) {
+        if (params.s2 && params.s2 !== signSubId('adgate', params.user_id)) return false;
+        return config.allowedIps.includes(ip);
+    },
+
+    parse(params) {
+        return {
+            userId: Number(params.user_id),
+            offerId: params.offer_id,
+            offerName: params.offer_name || null,
+            payout: Math.round(Number(params.points)),
+            revenue: Number(params.payout) || 0,
+            transactionId: params.tx_id,
+            reversal: String(params.status) === '0'
+        };
+    }
+};
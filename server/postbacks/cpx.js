@@ -0,0 +1,31 @@
+// --- ADAPTATEUR CPX RESEARCH (sondages) ---
+// Paramètres envoyés : status (1 = complété, 2 = annulé), trans_id, user_id,
+// offer_id, amount_local (Pixels), amount_usd, hash = md5(trans_id-secret).
+const crypto = require('crypto');
+
+module.exports = {
+    name: 'cpx',
+    label: 'CPX Research',
+    defaultIps: ['188.40.3.73', '157.90.97.92'],
+    successBody: '1',
+
+    verify({ params, ip }, config) {
+        if (!config.secret || !params.hash) return false;
+        const expected = crypto.createHash('md5')
+            .update(`${params.trans_id}-${config.secret}`)
+            .digest('hex');
+        return expected === String(params.hash).toLowerCase() && config.allowedIps.includes(ip);
+    },
+
+    parse(params) {
+        return {
+            userId: Number(params.user_id),
+            offerId: params.offer_id || 'survey',
+            offerName: 'Sondage CPX',
+            payout: Math.round(Number(params.amount_local)),
+            revenue: Number(params.amount_usd) || 0,
+            transactionId: params.trans_id,
+            reversal: String(params.status) === '2'
+        };
+    }
+};
@@ -0,0 +1,130 @@
+// --- RÉCEPTION DES POSTBACKS OFFERWALL ---
+// Chaque réseau a son adaptateur (signature / IP + mapping des paramètres) ;
+// ce module applique ensuite la même logique à tous :
+// - un crédit par transaction réseau, jamais deux (clé d'idempotence du grand livre) ;
+// - un chargeback reprend les Pixels crédités pour cette transaction.
+const db = require('../db');
+const ledger = require('../ledger');
+const users = require('../users');
+const events = require('../events');
+
+const COMPLETIONS = 'offerCompletions';
+
+const adapters = {};
+[require('./adgate'), require('./offertoro'), require('./cpx')].forEach(adapter => {
+    adapters[adapter.name] = adapter;
+});
+
+// Secret et IPs autorisées : POSTBACK_<RÉSEAU>_SECRET, POSTBACK_<RÉSEAU>_IPS (séparées par des virgules)
+function configFor(adapter) {
+    const prefix = `POSTBACK_${adapter.name.toUpperCase()}`;
+    const ips = process.env[`${prefix}_IPS`];
+    return {
+        secret: process.env[`${prefix}_SECRET`] || null,
+        allowedIps: ips ? ips.split(',').map(ip => ip.trim()) : adapter.defaultIps
+    };
+}
+
+// "::ffff:1.2.3.4" (IPv4 vue par un socket IPv6) -> "1.2.3.4"
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function findCompletion(network, transactionId) {
+    return db.findOne(COMPLETIONS, c => c.network === network && c.transactionId === transactionId);
+}
+
+// Offres créditées (ou annulées) d'un joueur, des plus récentes aux plus anciennes
+function listCompletionsForUser(userId, { network } = {}) {
+    return db.findAll(COMPLETIONS, c => c.userId === userId && (!network || c.network === network)).reverse();
+}
+
+function credit(adapter, offer) {
+    const { transaction, created } = ledger.post({
+        userId: offer.userId,
+        type: 'offer',
+        amount: offer.payout,
+        idempotencyKey: `postback:${adapter.name}:${offer.transactionId}`,
+        description: `Offre: ${offer.offerName || adapter.label}`,
+        meta: { network: adapter.name, offerId: offer.offerId, transactionId: offer.transactionId }
+    });
+
+    if (created) {
+        db.insert(COMPLETIONS, {
+            network: adapter.name,
+            transactionId: offer.transactionId,
+            userId: offer.userId,
+            offerId: offer.offerId,
+            offerName: offer.offerName,
+            payout: offer.payout,
+            revenue: offer.revenue,
+            status: 'credited',
+            ledgerTransactionId: transaction.id,
+            createdAt: new Date().toISOString(),
+            reversedAt: null
+        });
+    }
+    return created ? { userId: offer.userId, payout: offer.payout } : null;
+}
+
+function reverse(adapter, offer) {
+    const completion = findCompletion(adapter.name, offer.transactionId);
+    if (!completion) {
+        console.warn(`[POSTBACK] Chargeback ${adapter.name} pour une transaction inconnue : ${offer.transactionId}`);
+        return null;
+    }
+
+    // Le solde peut passer en négatif : les Pixels ont peut-être déjà été dépensés
+    const { created } = ledger.post({
+        userId: completion.userId,
+        type: 'chargeback',
+        amount: -completion.payout,
+        idempotencyKey: `postback:${adapter.name}:${offer.transactionId}:reversal`,
+        description: `Annulation offre: ${completion.offerName || adapter.label}`,
+        meta: { network: adapter.name, offerId: completion.offerId, transactionId: offer.transactionId },
+        allowNegative: true
+    });
+
+    if (created) {
+        db.update(COMPLETIONS, completion.id, { status: 'reversed', reversedAt: new Date().toISOString() });
+    }
+    // Joueur et montant de la complétion d'origine : le user_id d'un postback
+    // d'annulation n'est pas fiable
+    return created ? { userId: completion.userId, payout: completion.payout } : null;
+}
+
+// Traite un postback brut. Retourne { status, body } à renvoyer au réseau.
+function handle(network, params, ip) {
+    const adapter = adapters[network];
+    if (!adapter) return { status: 404, body: 'Unknown network' };
+
+    const request = { params, ip: normalizeIp(ip) };
+    if (!adapter.verify(request, configFor(adapter))) {
+        console.warn(`[POSTBACK] Rejeté (${network}) : signature ou IP invalide (${request.ip})`);
+        return { status: 403, body: 'Invalid signature' };
+    }
+
+    const offer = adapter.parse(params);
+    if (!offer.transactionId || !Number.isInteger(offer.payout) || offer.payout <= 0 || !users.findById(offer.userId)) {
+        console.warn(`[POSTBACK] Paramètres invalides (${network})`, params);
+        return { status: 400, body: 'Invalid parameters' };
+    }
+
+    const applied = db.transaction(() => (offer.reversal ? reverse(adapter, offer) : credit(adapter, offer)));
+    const { userId, payout } = applied || offer;
+    console.log(`[POSTBACK] ${adapter.label} ${offer.reversal ? 'chargeback' : 'crédit'} tx=${offer.transactionId} user=#${userId} ${payout} Px${applied ? '' : ' (sans effet)'}`);
+
+    if (applied) {
+        events.publish(offer.reversal ? events.EVENTS.OFFER_REVERSED : events.EVENTS.OFFER_COMPLETED, {
+            userId,
+            network: adapter.name,
+            transactionId: offer.transactionId,
+            payout
+        });
+    }
+
+    // Un doublon reçoit aussi un succès, sinon le réseau réessaie indéfiniment
+    return { status: 200, body: adapter.successBody };
+}
+
+module.exports = { adapters, handle, findCompletion, listCompletionsForUser };
@@ -0,0 +1,32 @@
+// --- ADAPTATEUR OFFERTORO ---
+// Paramètres envoyés : id (conversion), oid, o_name, amount (Pixels, négatif en
+// cas de chargeback), payout (USD), user_id, sig = md5(oid-user_id-secret).
+const crypto = require('crypto');
+
+module.exports = {
+    name: 'offertoro',
+    label: 'OfferToro',
+    defaultIps: ['54.175.173.245'],
+    successBody: '1',
+
+    verify({ params, ip }, config) {
+        if (!config.secret || !params.sig) return false;
+        const expected = crypto.createHash('md5')
+            .update(`${params.oid}-${params.user_id}-${config.secret}`)
+            .digest('hex');
+        return expected === String(params.sig).toLowerCase() && config.allowedIps.includes(ip);
+    },
+
+    parse(params) {
+        const amount = Math.round(Number(params.amount));
+        return {
+            userId: Number(params.user_id),
+            offerId: params.oid,
+            offerName: params.o_name || null,
+            payout: Math.abs(amount),
+            revenue: Math.abs(Number(params.payout)) || 0,
+            transactionId: params.id,
+            reversal: amount < 0
+        };
+    }
+};
@@ -0,0 +1,109 @@
+// --- PROGRESSION : XP, NIVEAUX ET RANGS ---
+// L'XP se gagne en réagissant aux événements métier (voir events.js) et ne
+// se perd jamais. Le niveau et le rang en découlent ; ils sont recopiés sur la
+// fiche joueur pour l'affichage et le classement.
+//
+// Courbe : XP totale pour atteindre le niveau N = XP_BASE × (N - 1)^XP_EXPONENT
+// (500 × (N-1)^1.6 par défaut : niv. 2 = 500 XP, niv. 5 ≈ 4 600 XP, niv. 10 ≈ 16 800 XP).
+const users = require('./users');
+const events = require('./events');
+
+const XP_BASE = Number(process.env.XP_BASE) || 500;
+const XP_EXPONENT = Number(process.env.XP_EXPONENT) || 1.6;
+const MAX_LEVEL = 100;
+
+// XP gagnée par événement
+const XP_RULES = {
+    [events.EVENTS.OFFER_COMPLETED]: payload => Math.max(1, Math.round(payload.payout / 10)),
+    [events.EVENTS.QUEST_COMPLETED]: payload => Math.round(payload.reward / 10),
+    [events.EVENTS.REFERRAL_VALIDATED]: () => 100,
+    [events.EVENTS.DAILY_LOGIN]: () => 10
+};
+
+// Titre affiché selon la tranche de niveau (du plus haut au plus bas)
+const RANKS = [
+    { minLevel: 30, title: 'LÉGENDE' },
+    { minLevel: 20, title: 'MAÎTRE DU LOOT' },
+    { minLevel: 10, title: 'VÉTÉRAN' },
+    { minLevel: 5, title: 'MERCENAIRE' },
+    { minLevel: 3, title: 'CHASSEUR DE PRIMES' },
+    { minLevel: 1, title: 'NOVICE' }
+];
+
+// Avantages débloqués par niveau. `holdDays` raccourcit la vérification du
+// premier retrait (CGU 5.1) ; les articles exclusifs portent un `minLevel`
+// dans le catalogue.
+const PERKS = [
+    { level: 3, id: 'hold-5', label: "Vérification du 1er retrait réduite à 5 jours", holdDays: 5 },
+    { level: 5, id: 'exclusive-shop', label: "Accès aux articles exclusifs du Loot Shop" },
+    { level: 10, id: 'hold-3', label: "Vérification du 1er retrait réduite à 3 jours", holdDays: 3 }
+];
+
+function xpForLevel(level) {
+    return Math.round(XP_BASE * Math.pow(level - 1, XP_EXPONENT));
+}
+
+function levelForXp(xp) {
+    let level = 1;
+    while (level < MAX_LEVEL && xp >= xpForLevel(level + 1)) level++;
+    return level;
+}
+
+function rankForLevel(level) {
+    return RANKS.find(rank => level >= rank.minLevel).title;
+}
+
+function perksForLevel(level) {
+    return PERKS.filter(perk => level >= perk.level);
+}
+
+// Durée de vérification du premier retrait, avantages de niveau compris
+function holdDaysFor(user, defaultDays) {
+    return perksForLevel(user.level || 1)
+        .filter(perk => perk.holdDays)
+        .reduce((days, perk) => Math.min(days, perk.holdDays), defaultDays);
+}
+
+function award(userId, amount, reason) {
+    const user = users.findById(userId);
+    if (!user || amount <= 0) return;
+
+    const previousLevel = user.level || 1; // La fiche est modifiée en place par setProgress
+    const xp = (user.xp || 0) + amount;
+    const level = levelForXp(xp);
+    users.setProgress(userId, { xp, level, rank: rankForLevel(level) });
+
+    if (level > previousLevel) {
+        console.log(`[XP] #${userId} passe niveau ${level} (${reason})`);
+        events.publish(events.EVENTS.LEVEL_UP, {
+            userId,
+            level,
+            rank: rankForLevel(level),
+            perks: PERKS.filter(perk => perk.level > previousLevel && perk.level <= level).map(perk => perk.label)
+        });
+    }
+}
+
+Object.entries(XP_RULES).forEach(([type, rule]) => {
+    events.subscribe(type, payload => award(payload.userId, rule(payload), type));
+});
+
+// Données de la barre d'XP et des avantages (GET /api/user/profile)
+function profileOf(user) {
+    const level = user.level || 1;
+    const celebrated = user.celebratedLevel || 1;
+    return {
+        xp: user.xp || 0,
+        level,
+        rank: rankForLevel(level),
+        levelXp: xpForLevel(level),
+        nextLevelXp: level < MAX_LEVEL ? xpForLevel(level + 1) : null,
+        perks: PERKS.map(perk => ({ level: perk.level, id: perk.id, label: perk.label, unlocked: level >= perk.level })),
+        // Niveau(x) gagné(s) depuis la dernière célébration affichée
+        levelUp: level > celebrated
+            ? { from: celebrated, level, rank: rankForLevel(level), perks: PERKS.filter(p => p.level > celebrated && p.level <= level).map(p => p.label) }
+            : null
+    };
+}
+
+module.exports = { XP_RULES, RANKS, PERKS, xpForLevel, levelForXp, rankForLevel, holdDaysFor, profileOf };
@@ -0,0 +1,176 @@
+// --- MOTEUR DE QUÊTES ---
+// Une quête avance à chaque événement métier de son type (voir events.js) et
+// se paie toute seule dans le grand livre dès que l'objectif est atteint.
+//
+// Définition d'une quête :
+// - event : type d'événement qui la fait progresser ;
+// - target : objectif à atteindre ; `measure` (optionnel) dit de combien un
+//   événement fait avancer (1 par défaut, ex : le payout pour "gagner X Px") ;
+// - reward : Pixels versés à la complétion ;
+// - repeat : "once" (une seule fois), "daily" ou "weekly" (remise à zéro
+//   chaque jour / chaque lundi, en UTC) ;
+// - expiresAt : date de fin (quêtes événementielles), null = permanente ;
+// - view : vue du dashboard où avancer la quête (bouton "play").
+const db = require('./db');
+const ledger = require('./ledger');
+const events = require('./events');
+
+const TABLE = 'questProgress';
+
+const QUESTS = [
+    {
+        id: 'daily-login',
+        title: "Connexion du jour",
+        icon: 'fa-calendar-check',
+        color: 'text-yellow-400',
+        event: events.EVENTS.DAILY_LOGIN,
+        target: 1,
+        reward: 20,
+        repeat: 'daily',
+        expiresAt: null,
+        view: null
+    },
+    {
+        id: 'first-offer',
+        title: "Compléter ta première offre",
+        icon: 'fa-star',
+        color: 'text-toxic-green',
+        event: events.EVENTS.OFFER_COMPLETED,
+        target: 1,
+        reward: 100,
+        repeat: 'once',
+        expiresAt: null,
+        view: 'earn'
+    },
+    {
+        id: 'daily-offers',
+        title: "Compléter 3 offres",
+        icon: 'fa-list-check',
+        color: 'text-neon-blue',
+        event: events.EVENTS.OFFER_COMPLETED,
+        target: 3,
+        reward: 150,
+        repeat: 'daily',
+        expiresAt: null,
+        view: 'earn'
+    },
+    {
+        id: 'weekly-pixels',
+        title: "Gagner 5 000 Px en offres",
+        icon: 'fa-coins',
+        color: 'text-yellow-400',
+        event: events.EVENTS.OFFER_COMPLETED,
+        measure: payload => payload.payout,
+        target: 5000,
+        reward: 500,
+        repeat: 'weekly',
+        expiresAt: null,
+        view: 'earn'
+    },
+    {
+        id: 'first-referral',
+        title: "Parrainer 1 Ami",
+        icon: 'fa-user-plus',
+        color: 'text-neon-purple',
+        event: events.EVENTS.REFERRAL_VALIDATED,
+        target: 1,
+        reward: 500,
+        repeat: 'once',
+        expiresAt: null,
+        view: 'referral'
+    }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Période en cours d'une quête : clé de progression + date de remise à zéro
+function periodOf(quest, now = Date.now()) {
+    const day = new Date(now);
+    day.setUTCHours(0, 0, 0, 0);
+
+    if (quest.repeat === 'daily') {
+        return { key: day.toISOString().slice(0, 10), resetsAt: new Date(day.getTime() + DAY_MS).toISOString() };
+    }
+    if (quest.repeat === 'weekly') {
+        const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+        return { key: `W${monday.toISOString().slice(0, 10)}`, resetsAt: new Date(monday.getTime() + 7 * DAY_MS).toISOString() };
+    }
+    return { key: 'once', resetsAt: null };
+}
+
+function isActive(quest, now = Date.now()) {
+    return !quest.expiresAt || Date.parse(quest.expiresAt) > now;
+}
+
+function findProgress(userId, questId, period) {
+    return db.findOne(TABLE, p => p.userId === userId && p.questId === questId && p.period === period);
+}
+
+// Fait avancer une quête ; la paie si l'objectif vient d'être atteint
+function advance(quest, userId, amount) {
+    if (!amount || amount <= 0) return;
+    const { key } = periodOf(quest);
+
+    const completed = db.transaction(() => {
+        const now = new Date().toISOString();
+        const current = findProgress(userId, quest.id, key)
+            || db.insert(TABLE, { userId, questId: quest.id, period: key, progress: 0, completedAt: null, ledgerTransactionId: null, updatedAt: now });
+        if (current.completedAt) return false;
+
+        const progress = Math.min(quest.target, current.progress + amount);
+        if (progress < quest.target) {
+            db.update(TABLE, current.id, { progress, updatedAt: now });
+            return false;
+        }
+
+        const { transaction } = ledger.post({
+            userId,
+            type: 'quest',
+            amount: quest.reward,
+            idempotencyKey: `quest:${quest.id}:${userId}:${key}`,
+            description: `Quête: ${quest.title}`,
+            meta: { questId: quest.id, period: key }
+        });
+        db.update(TABLE, current.id, { progress, completedAt: now, ledgerTransactionId: transaction.id, updatedAt: now });
+        return true;
+    });
+
+    if (completed) {
+        console.log(`[QUÊTES] ${quest.id} complétée par #${userId} (+${quest.reward} Px)`);
+        // Publié hors transaction : les abonnés voient la quête déjà payée
+        events.publish(events.EVENTS.QUEST_COMPLETED, { userId, questId: quest.id, reward: quest.reward });
+    }
+}
+
+// Abonnement de chaque quête à son type d'événement
+[...new Set(QUESTS.map(quest => quest.event))].forEach(type => {
+    events.subscribe(type, payload => {
+        QUESTS.filter(quest => quest.event === type && isActive(quest)).forEach(quest => {
+            advance(quest, payload.userId, quest.measure ? quest.measure(payload) : 1);
+        });
+    });
+});
+
+// Quêtes actives d'un joueur, avec sa progression sur la période en cours
+function listForUser(userId) {
+    return QUESTS.filter(quest => isActive(quest)).map(quest => {
+        const { key, resetsAt } = periodOf(quest);
+        const progress = findProgress(userId, quest.id, key);
+        return {
+            id: quest.id,
+            title: quest.title,
+            icon: quest.icon,
+            color: quest.color,
+            progress: progress ? progress.progress : 0,
+            target: quest.target,
+            reward: quest.reward,
+            repeat: quest.repeat,
+            completed: Boolean(progress && progress.completedAt),
+            resetsAt,
+            expiresAt: quest.expiresAt,
+            view: quest.view
+        };
+    });
+}
+
+module.exports = { QUESTS, listForUser };
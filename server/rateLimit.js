@@ -0,0 +1,31 @@
+// --- LIMITEUR DE DÉBIT (mémoire) ---
+// Fenêtre fixe par clé (email, IP, id joueur...). Les compteurs vivent en
+// mémoire : ils repartent à zéro au redémarrage, ce qui suffit pour freiner
+// le spam sans dépendre d'un service externe.
+function createLimiter({ windowMs, max }) {
+    const hits = new Map();
+
+    function prune(now) {
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }
+
+    return {
+        // Compte une tentative ; allowed = false si la limite est dépassée
+        hit(key) {
+            const now = Date.now();
+            if (hits.size > 10000) prune(now);
+
+            let entry = hits.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                hits.set(key, entry);
+            }
+            entry.count++;
+            return { allowed: entry.count <= max, retryAfterMs: entry.resetAt - now };
+        }
+    };
+}
+
+module.exports = { createLimiter };
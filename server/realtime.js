@@ -0,0 +1,95 @@
+// --- TEMPS RÉEL (Server-Sent Events) ---
+// Chaque onglet ouvert garde un flux GET /api/events, authentifié par la
+// session express : le serveur y pousse les changements du compte du joueur
+// et, pour l'équipe, les mises à jour des files admin.
+//
+// Messages (`event: <type>` + `data: <JSON>`) :
+// - ready { pixels } : flux ouvert ;
+// - balance { pixels, change: { type, amount } } : mouvement du grand livre ;
+// - withdrawal { id, itemName, status } : retrait créé ou changé de statut ;
+// - notification { ... } : nouvelle notification (voir notifications.js) ;
+// - queue { queue } : file admin modifiée ("withdrawals" ou "tickets").
+// Les flux vivent en mémoire : après un redémarrage, le navigateur se
+// reconnecte tout seul (EventSource, délai `retry`).
+const events = require('./events');
+const ledger = require('./ledger');
+const users = require('./users');
+const roles = require('./roles');
+
+// Commentaire périodique : garde le flux ouvert derrière les proxies
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+// Onglets simultanés par joueur ; au-delà, le plus ancien flux est fermé
+const MAX_STREAMS_PER_USER = 5;
+
+const streams = new Map(); // userId -> Set<res>
+let heartbeat = null;
+
+function write(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => {
+        streams.forEach(userStreams => userStreams.forEach(res => res.write(': ping\n\n')));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+}
+
+// Ouvre le flux du joueur connecté (route GET /api/events)
+function connect(req, res) {
+    const userId = req.user.id;
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx : pas de mise en tampon
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (!streams.has(userId)) streams.set(userId, new Set());
+    const userStreams = streams.get(userId);
+    if (userStreams.size >= MAX_STREAMS_PER_USER) {
+        const oldest = userStreams.values().next().value;
+        userStreams.delete(oldest);
+        oldest.end();
+    }
+    userStreams.add(res);
+    startHeartbeat();
+
+    req.on('close', () => {
+        userStreams.delete(res);
+        if (!userStreams.size && streams.get(userId) === userStreams) streams.delete(userId);
+    });
+
+    write(res, 'ready', { pixels: ledger.getBalance(userId) });
+}
+
+function sendTo(userId, type, data) {
+    (streams.get(userId) || []).forEach(res => write(res, type, data));
+}
+
+// Membres de l'équipe connectés ayant la permission
+function sendToStaff(permission, type, data) {
+    streams.forEach((userStreams, userId) => {
+        if (!roles.can(users.findById(userId), permission)) return;
+        userStreams.forEach(res => write(res, type, data));
+    });
+}
+
+events.subscribe(events.EVENTS.BALANCE_CHANGED, ({ userId, type, amount }) => {
+    sendTo(userId, 'balance', { pixels: ledger.getBalance(userId), change: { type, amount } });
+});
+
+events.subscribe(events.EVENTS.WITHDRAWAL_UPDATED, ({ userId, withdrawalId, itemName, status }) => {
+    sendTo(userId, 'withdrawal', { id: withdrawalId, itemName, status });
+    sendToStaff('withdrawals.review', 'queue', { queue: 'withdrawals' });
+});
+
+[events.EVENTS.TICKET_UPDATED, events.EVENTS.TICKET_REPLIED].forEach(type => {
+    events.subscribe(type, () => sendToStaff('tickets.handle', 'queue', { queue: 'tickets' }));
+});
+
+module.exports = { connect, sendTo, sendToStaff };
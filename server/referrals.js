@@ -0,0 +1,187 @@
+// --- PARRAINAGE ---
+// Chaque joueur a un code unique et un lien /r/<code>. Le lien pose un cookie
+// (premier parrain rencontré, 30 jours) ; si le visiteur crée ensuite un compte,
+// quel que soit le moyen de connexion, il est rattaché à ce parrain.
+//
+// Le parrain gagne :
+// - un bonus d'inscription (REFERRAL_SIGNUP_BONUS Px) ;
+// - une commission sur chaque offre complétée par ses filleuls, dont le taux
+//   dépend de son palier (nombre de filleuls validés). Un chargeback sur l'offre
+//   reprend la commission.
+//
+// Anti-abus : une inscription depuis une IP ou un appareil déjà vus sur le compte
+// du parrain est enregistrée comme "rejected" : ni bonus, ni commission.
+const crypto = require('crypto');
+const db = require('./db');
+const ledger = require('./ledger');
+const users = require('./users');
+const events = require('./events');
+
+const TABLE = 'referrals';
+const REFERRAL_COOKIE = 'lq_ref';
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+const SIGNUP_BONUS = Number(process.env.REFERRAL_SIGNUP_BONUS) || 200;
+
+// Paliers de commission, du plus haut au plus bas
+const TIERS = [
+    { name: 'OR', minReferrals: 20, rate: 0.15 },
+    { name: 'ARGENT', minReferrals: 5, rate: 0.10 },
+    { name: 'BRONZE', minReferrals: 0, rate: 0.05 }
+];
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Sans 0/O ni 1/I
+
+function generateCode() {
+    return Array.from(crypto.randomBytes(8), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// Code du joueur, créé à la première demande
+function codeFor(user) {
+    if (user.referralCode) return user.referralCode;
+    let code;
+    do {
+        code = generateCode();
+    } while (users.findByReferralCode(code));
+    users.setReferralCode(user.id, code);
+    return code;
+}
+
+function findByReferee(refereeId) {
+    return db.findOne(TABLE, r => r.refereeId === refereeId);
+}
+
+function countValidated(referrerId) {
+    return db.findAll(TABLE, r => r.referrerId === referrerId && r.status === 'validated').length;
+}
+
+function tierFor(referrerId) {
+    const count = countValidated(referrerId);
+    return TIERS.find(tier => count >= tier.minReferrals);
+}
+
+// Raison du refus, ou null si l'inscription est acceptée
+function abuseReason(referrer, { userId, ip, deviceId }) {
+    if (referrer.id === userId) return 'self';
+    if (ip && (referrer.signupIp === ip || (referrer.knownIps || []).includes(ip))) return 'same_ip';
+    if (deviceId && (referrer.knownDevices || []).includes(deviceId)) return 'same_device';
+    return null;
+}
+
+function attribute({ userId, referralCode, ip, deviceId }) {
+    const referrer = users.findByReferralCode(referralCode);
+    if (!referrer || findByReferee(userId)) return;
+
+    const reason = abuseReason(referrer, { userId, ip, deviceId });
+    const referee = users.findById(userId);
+
+    db.transaction(() => {
+        const referral = db.insert(TABLE, {
+            referrerId: referrer.id,
+            refereeId: userId,
+            code: referrer.referralCode,
+            status: reason ? 'rejected' : 'validated',
+            reason,
+            ip: ip || null,
+            deviceId: deviceId || null,
+            bonusTransactionId: null,
+            createdAt: new Date().toISOString()
+        });
+        users.setReferredBy(userId, referrer.id);
+
+        if (!reason) {
+            const { transaction } = ledger.post({
+                userId: referrer.id,
+                type: 'referral',
+                amount: SIGNUP_BONUS,
+                idempotencyKey: `referral:signup:${userId}`,
+                description: `Parrainage: inscription de ${referee.username}`,
+                meta: { refereeId: userId, kind: 'signup' }
+            });
+            db.update(TABLE, referral.id, { bonusTransactionId: transaction.id });
+        }
+    });
+
+    if (reason) {
+        console.warn(`[PARRAINAGE] Inscription #${userId} refusée pour le parrain #${referrer.id} (${reason})`);
+        return;
+    }
+    events.publish(events.EVENTS.REFERRAL_VALIDATED, { userId: referrer.id, refereeId: userId });
+}
+
+function commissionKey({ network, transactionId }) {
+    return `referral:commission:${network}:${transactionId}`;
+}
+
+function payCommission(offer) {
+    const referral = findByReferee(offer.userId);
+    if (!referral || referral.status !== 'validated') return;
+
+    const tier = tierFor(referral.referrerId);
+    const amount = Math.floor(offer.payout * tier.rate);
+    if (amount <= 0) return;
+
+    ledger.post({
+        userId: referral.referrerId,
+        type: 'referral',
+        amount,
+        idempotencyKey: commissionKey(offer),
+        description: `Commission parrainage (${Math.round(tier.rate * 100)}%)`,
+        meta: { refereeId: offer.userId, kind: 'commission', network: offer.network, transactionId: offer.transactionId }
+    });
+}
+
+function reverseCommission(offer) {
+    const commission = ledger.findByIdempotencyKey(commissionKey(offer));
+    if (!commission) return;
+
+    ledger.post({
+        userId: commission.userId,
+        type: 'referral',
+        amount: -commission.amount,
+        idempotencyKey: `${commissionKey(offer)}:reversal`,
+        description: "Annulation commission parrainage",
+        meta: { ...commission.meta, kind: 'commission_reversal' },
+        allowNegative: true
+    });
+}
+
+events.subscribe(events.EVENTS.USER_SIGNED_UP, attribute);
+events.subscribe(events.EVENTS.OFFER_COMPLETED, payCommission);
+events.subscribe(events.EVENTS.OFFER_REVERSED, reverseCommission);
+
+// "Ton" → "T***" : le parrain voit ses filleuls sans leur pseudo complet
+function maskName(name) {
+    return name ? `${name[0]}${'*'.repeat(Math.min(6, Math.max(2, name.length - 1)))}` : '?';
+}
+
+// Statistiques du parrain (vue Parrainage)
+function statsFor(user) {
+    const referrals = db.findAll(TABLE, r => r.referrerId === user.id);
+    const earnings = ledger.listTransactions(user.id, { type: 'referral' });
+    const earnedFrom = refereeId => earnings
+        .filter(t => t.meta.refereeId === refereeId)
+        .reduce((sum, t) => sum + t.amount, 0);
+
+    const tier = tierFor(user.id);
+    const nextTier = TIERS.slice().reverse().find(t => t.minReferrals > tier.minReferrals) || null;
+    const validated = referrals.filter(r => r.status === 'validated').length;
+
+    return {
+        code: codeFor(user),
+        signupBonus: SIGNUP_BONUS,
+        tier: { name: tier.name, rate: tier.rate },
+        nextTier: nextTier ? { name: nextTier.name, rate: nextTier.rate, remaining: nextTier.minReferrals - validated } : null,
+        validated,
+        rejected: referrals.length - validated,
+        earnings: earnings.reduce((sum, t) => sum + t.amount, 0),
+        referees: referrals.slice().reverse().map(r => ({
+            name: maskName(users.findById(r.refereeId)?.username),
+            joinedAt: r.createdAt,
+            status: r.status,
+            earned: earnedFrom(r.refereeId)
+        }))
+    };
+}
+
+module.exports = { REFERRAL_COOKIE, COOKIE_MAX_AGE, TIERS, codeFor, statsFor };
@@ -0,0 +1,64 @@
+// --- MOTEUR DE RISQUE FRAUDE (CGU 4.2) ---
+// Chaque demande de retrait est notée de 0 à 100 par une série de règles
+// indépendantes (un fichier par règle dans ce dossier). Une règle renvoie
+// { points, detail } quand elle se déclenche, null sinon ; le score est la
+// somme des points, plafonnée à 100.
+//
+// Niveaux : low < RISK_MEDIUM_THRESHOLD <= medium < RISK_REVIEW_THRESHOLD <= high.
+// Un retrait "high" part automatiquement en vérification manuelle.
+// D'autres gains peuvent être notés hors retrait (`withdrawal` absent, ex : bonus
+// quotidien) : les règles propres aux retraits ne se déclenchent alors pas.
+// Une autre règle peut être branchée avec registerRule(rule).
+const REVIEW_THRESHOLD = Number(process.env.RISK_REVIEW_THRESHOLD) || 60;
+const MEDIUM_THRESHOLD = Number(process.env.RISK_MEDIUM_THRESHOLD) || 30;
+
+const rules = [
+    require('./ipReputation'),
+    require('./sharedNetwork'),
+    require('./velocity'),
+    require('./newAccount'),
+    require('./reversals')
+];
+
+function registerRule(rule) {
+    rules.push(rule);
+}
+
+function levelOf(score) {
+    if (score >= REVIEW_THRESHOLD) return 'high';
+    if (score >= MEDIUM_THRESHOLD) return 'medium';
+    return 'low';
+}
+
+// Contexte commun aux règles : le joueur, le retrait demandé, et toutes les
+// IPs / appareils connus pour ce compte (y compris ceux de la requête en cours)
+function buildContext(user, { withdrawal, ip = null, deviceId = null }) {
+    const unique = values => [...new Set(values.filter(Boolean))];
+    return {
+        user,
+        withdrawal,
+        ip,
+        ips: unique([ip, user.signupIp, ...(user.knownIps || [])]),
+        devices: unique([deviceId, ...(user.knownDevices || [])]),
+        now: Date.now()
+    };
+}
+
+// Une règle en erreur est ignorée (et loggée) : elle ne bloque pas le retrait
+function evaluate(user, options) {
+    const context = buildContext(user, options);
+    const signals = rules.map(rule => {
+        try {
+            const hit = rule.evaluate(context);
+            return hit ? { rule: rule.id, label: rule.label, points: hit.points, detail: hit.detail } : null;
+        } catch (err) {
+            console.error(`[RISQUE] Règle ${rule.id} en erreur pour #${user.id}`, err);
+            return null;
+        }
+    }).filter(Boolean);
+
+    const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.points, 0));
+    return { score, level: levelOf(score), signals, evaluatedAt: new Date(context.now).toISOString() };
+}
+
+module.exports = { REVIEW_THRESHOLD, MEDIUM_THRESHOLD, evaluate, registerRule };
@@ -0,0 +1,72 @@
+// --- RÈGLE : IP DE DATACENTER / VPN ---
+// Compare les IPs du compte à une liste locale de plages CIDR (hébergeurs,
+// VPN, proxys). Fichier : RISK_IP_RANGES_FILE, datacenter-ranges.txt par défaut
+// (une plage IPv4 par ligne, "#" pour les commentaires).
+const fs = require('fs');
+const path = require('path');
+
+const RANGES_FILE = process.env.RISK_IP_RANGES_FILE || path.join(__dirname, 'datacenter-ranges.txt');
+
+// "::ffff:1.2.3.4" (IPv4 vue par un socket IPv6) -> "1.2.3.4"
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function ipToInt(ip) {
+    const parts = normalizeIp(ip).split('.').map(Number);
+    if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+    return parts.reduce((n, p) => n * 256 + p, 0);
+}
+
+function parseRange(line) {
+    const [base, bits = '32'] = line.split('/');
+    const start = ipToInt(base);
+    const prefix = Number(bits);
+    if (start === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) return null;
+    const size = 2 ** (32 - prefix);
+    const first = Math.floor(start / size) * size;
+    return { cidr: line, first, last: first + size - 1 };
+}
+
+let ranges = null;
+
+// Chargée au premier usage ; une liste absente désactive simplement la règle
+function loadRanges() {
+    if (ranges) return ranges;
+    try {
+        ranges = fs.readFileSync(RANGES_FILE, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(Boolean)
+            .map(parseRange)
+            .filter(Boolean);
+    } catch (err) {
+        console.warn(`[RISQUE] Liste d'IPs introuvable (${RANGES_FILE}) : règle désactivée`);
+        ranges = [];
+    }
+    return ranges;
+}
+
+function findRange(ip) {
+    const value = ipToInt(ip);
+    if (value === null) return null;
+    return loadRanges().find(range => value >= range.first && value <= range.last) || null;
+}
+
+module.exports = {
+    id: 'ip_reputation',
+    label: 'VPN / datacenter',
+
+    evaluate({ ip, ips }) {
+        const flagged = ips.map(candidate => ({ ip: normalizeIp(candidate), range: findRange(candidate) }))
+            .filter(match => match.range);
+        if (!flagged.length) return null;
+
+        // L'IP de la demande elle-même pèse plus qu'une IP vue par le passé
+        const current = flagged.some(match => match.ip === normalizeIp(ip));
+        return {
+            points: current ? 40 : 20,
+            detail: `${flagged.map(match => `${match.ip} (${match.range.cidr})`).join(', ')}${current ? '' : ' — connexion passée'}`
+        };
+    }
+};
@@ -0,0 +1,21 @@
+// --- RÈGLE : COMPTE RÉCENT, GROS RETRAIT ---
+// Un compte de quelques jours qui retire une grosse récompense est le schéma
+// classique de l'abus de bonus / des comptes jetables.
+const MIN_AGE_DAYS = Number(process.env.RISK_NEW_ACCOUNT_DAYS) || 3;
+const LARGE_WITHDRAWAL_PX = Number(process.env.RISK_LARGE_WITHDRAWAL_PX) || 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    id: 'new_account',
+    label: 'Compte récent',
+
+    evaluate({ user, withdrawal, now }) {
+        if (!withdrawal) return null;
+        const ageDays = (now - Date.parse(user.createdAt)) / DAY_MS;
+        if (ageDays >= MIN_AGE_DAYS || withdrawal.price < LARGE_WITHDRAWAL_PX) return null;
+        return {
+            points: ageDays < 1 ? 30 : 20,
+            detail: `compte créé il y a ${ageDays < 1 ? "moins d'un jour" : `${Math.floor(ageDays)} jour(s)`}, retrait de ${withdrawal.price.toLocaleString('fr-FR')} Px`
+        };
+    }
+};
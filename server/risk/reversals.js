@@ -0,0 +1,25 @@
+// --- RÈGLE : TAUX DE CHARGEBACKS ÉLEVÉ ---
+// Les réseaux annulent les offres qu'ils jugent frauduleuses : une part élevée
+// d'offres annulées signale un compte que les réseaux ont déjà repéré.
+const postbacks = require('../postbacks');
+
+const MIN_COMPLETIONS = 3;
+const RATIO_THRESHOLD = Number(process.env.RISK_REVERSAL_RATIO) || 0.3;
+
+module.exports = {
+    id: 'reversals',
+    label: 'Offres annulées',
+
+    evaluate({ user }) {
+        const completions = postbacks.listCompletionsForUser(user.id);
+        if (completions.length < MIN_COMPLETIONS) return null;
+
+        const reversed = completions.filter(c => c.status === 'reversed').length;
+        const ratio = reversed / completions.length;
+        if (ratio < RATIO_THRESHOLD) return null;
+        return {
+            points: ratio >= RATIO_THRESHOLD * 2 ? 45 : 30,
+            detail: `${reversed} offre(s) annulée(s) sur ${completions.length} (${Math.round(ratio * 100)} %)`
+        };
+    }
+};
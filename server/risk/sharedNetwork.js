@@ -0,0 +1,28 @@
+// --- RÈGLE : MULTI-COMPTES (IP OU APPAREIL PARTAGÉ) ---
+// CGU 2.2 : un compte par personne et par foyer. Un appareil partagé est un
+// signal fort ; une IP partagée l'est moins (box familiale, wifi public...),
+// d'où un seuil de comptes avant de compter des points.
+const users = require('../users');
+
+const SHARED_IP_MIN_ACCOUNTS = Number(process.env.RISK_SHARED_IP_MIN_ACCOUNTS) || 2;
+
+module.exports = {
+    id: 'shared_network',
+    label: 'Multi-comptes',
+
+    evaluate({ user, ips, devices }) {
+        const { byIp, byDevice } = users.listSharingNetwork(user.id, { ips, devices });
+        const reasons = [];
+        let points = 0;
+
+        if (byDevice.length) {
+            points += 35;
+            reasons.push(`appareil partagé avec ${byDevice.map(u => `#${u.id}`).join(', ')}`);
+        }
+        if (byIp.length >= SHARED_IP_MIN_ACCOUNTS) {
+            points += 25;
+            reasons.push(`IP partagée avec ${byIp.length} comptes`);
+        }
+        return points ? { points, detail: reasons.join(' ; ') } : null;
+    }
+};
@@ -0,0 +1,23 @@
+// --- RÈGLE : VITESSE DE GAIN ANORMALE ---
+// Beaucoup de Pixels d'offres en 24h trahit souvent un bot ou un émulateur
+// qui enchaîne les installations.
+const ledger = require('../ledger');
+
+const DAILY_LIMIT = Number(process.env.RISK_VELOCITY_DAILY_PX) || 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    id: 'velocity',
+    label: 'Gains anormaux',
+
+    evaluate({ user, now }) {
+        const earned = ledger.listBetween({ types: ['offer'], from: new Date(now - DAY_MS).toISOString() })
+            .filter(t => t.userId === user.id)
+            .reduce((sum, t) => sum + t.amount, 0);
+        if (earned < DAILY_LIMIT) return null;
+        return {
+            points: earned >= DAILY_LIMIT * 2 ? 40 : 25,
+            detail: `${earned.toLocaleString('fr-FR')} Px d'offres en 24h (seuil ${DAILY_LIMIT.toLocaleString('fr-FR')})`
+        };
+    }
+};
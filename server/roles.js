@@ -0,0 +1,41 @@
+// --- RÔLES ET PERMISSIONS ---
+// Un rôle par compte (champ `role` de la fiche, "player" par défaut). Les routes
+// ne testent jamais un rôle directement mais une permission : ajouter un rôle
+// ou déplacer un droit se fait uniquement ici.
+const ROLES = ['player', 'moderator', 'admin'];
+
+const PERMISSIONS = {
+    'admin.access': ['moderator', 'admin'],      // Ouvrir le panel admin
+    'withdrawals.review': ['moderator', 'admin'], // Approuver / refuser / livrer un retrait
+    'audit.read': ['moderator', 'admin'],
+    'tickets.handle': ['moderator', 'admin'],    // File des tickets support : réponses, assignation
+    'users.moderate': ['moderator', 'admin'],    // Bannir / suspendre / restreindre un joueur
+    'catalog.edit': ['admin'],
+    'codes.manage': ['admin'],                    // Import CSV des codes cadeaux
+    'balances.adjust': ['admin'],                 // Ajustement manuel / confiscation de Pixels
+    'roles.manage': ['admin']
+};
+
+function roleOf(user) {
+    return user && ROLES.includes(user.role) ? user.role : 'player';
+}
+
+function can(user, permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`Permission inconnue : ${permission}`);
+    return PERMISSIONS[permission].includes(roleOf(user));
+}
+
+function permissionsOf(user) {
+    return Object.keys(PERMISSIONS).filter(permission => can(user, permission));
+}
+
+// ADMIN_EMAILS=alice@exemple.fr,bob@exemple.fr : comptes promus admin à leur
+// création ou au démarrage du serveur (premier admin sans accès à la base)
+function bootstrapAdminEmails() {
+    return (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+module.exports = { ROLES, PERMISSIONS, roleOf, can, permissionsOf, bootstrapAdminEmails };
@@ -0,0 +1,13 @@
+// --- API : STATUT DU COMPTE (sanctions) ---
+const express = require('express');
+const sanctions = require('../sanctions');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/account/status -> sanction en cours (lue par banned.html, accessible même bloqué)
+router.get('/account/status', requireAuth, (req, res) => {
+    res.json({ username: req.user.username, ...sanctions.statusOf(req.user) });
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// --- API ADMIN : STOCK DE CODES CADEAUX ---
+const express = require('express');
+const catalog = require('../../catalog');
+const codes = require('../../codes');
+const audit = require('../../audit');
+const db = require('../../db');
+const { AppError } = require('../../errors');
+const { requirePermission } = require('../../middleware');
+
+const router = express.Router();
+
+// GET /api/admin/codes/stock -> stock par article (alerte "low" sous le seuil)
+router.get('/codes/stock', (req, res) => {
+    const items = catalog.listItems();
+    const stock = codes.stockByItem(items.map(item => item.id));
+    res.json({
+        threshold: codes.LOW_STOCK_THRESHOLD,
+        items: items.map(item => ({ itemId: item.id, name: item.name, ...stock[item.id] }))
+    });
+});
+
+// POST /api/admin/codes/import?itemId=1 (corps : fichier CSV brut, text/csv)
+router.post('/codes/import',
+    requirePermission('codes.manage'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    (req, res) => {
+        const item = catalog.findItem(req.query.itemId);
+        if (!item) throw new AppError(404, "Article introuvable", 'ITEM_NOT_FOUND');
+        if (typeof req.body !== 'string') throw new AppError(400, "Envoie le fichier en text/csv", 'CSV_REQUIRED');
+
+        const result = db.transaction(() => {
+            const result = codes.importCsv(item.id, req.body);
+            audit.record({
+                actorId: req.user.id,
+                action: 'codes.import',
+                targetType: 'item',
+                targetId: item.id,
+                details: result
+            });
+            return result;
+        });
+        res.status(201).json(result);
+    }
+);
+
+module.exports = router;
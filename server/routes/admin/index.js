@@ -0,0 +1,28 @@
+// --- API ADMIN ---
+// Toutes les routes /api/admin/* passent par ici. Chaque sous-routeur exige
+// en plus la permission propre à son domaine (voir roles.js).
+const express = require('express');
+const audit = require('../../audit');
+const users = require('../../users');
+const { requirePermission } = require('../../middleware');
+
+const router = express.Router();
+
+router.use(requirePermission('admin.access'));
+
+router.use(require('./withdrawals'));
+router.use(require('./users'));
+router.use(require('./codes'));
+router.use(require('./shop'));
+router.use(require('./tickets'));
+
+// GET /api/admin/audit -> dernières actions admin (bloc "Logs" du panel)
+router.get('/audit', requirePermission('audit.read'), (req, res) => {
+    const limit = Math.min(200, parseInt(req.query.limit, 10) || 50);
+    res.json(audit.list({ limit }).map(entry => ({
+        ...entry,
+        actor: users.findById(entry.actorId)?.username || null
+    })));
+});
+
+module.exports = router;
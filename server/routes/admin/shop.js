@@ -0,0 +1,64 @@
+// --- API ADMIN : CATALOGUE DU LOOT SHOP ---
+const express = require('express');
+const catalog = require('../../catalog');
+const codes = require('../../codes');
+const withdrawals = require('../../withdrawals');
+const audit = require('../../audit');
+const db = require('../../db');
+const { AppError } = require('../../errors');
+const { requirePermission } = require('../../middleware');
+
+const router = express.Router();
+
+const canEdit = requirePermission('catalog.edit');
+
+function record(req, action, item, details = {}) {
+    audit.record({ actorId: req.user.id, action: `shop.${action}`, targetType: 'item', targetId: item.id, details });
+}
+
+// GET /api/admin/shop -> tous les articles (y compris désactivés) avec leur stock
+router.get('/shop', (req, res) => {
+    res.json(catalog.listItems().map(item => ({
+        ...item,
+        currentPrice: catalog.currentPrice(item),
+        availableStock: withdrawals.availableStock(item)
+    })));
+});
+
+// POST /api/admin/shop -> nouvel article
+router.post('/shop', canEdit, (req, res) => {
+    const item = db.transaction(() => {
+        const item = catalog.createItem(req.body || {});
+        record(req, 'create', item, { name: item.name });
+        return item;
+    });
+    res.status(201).json(item);
+});
+
+// PUT /api/admin/shop/:id -> modification (champs partiels acceptés)
+router.put('/shop/:id', canEdit, (req, res) => {
+    const item = db.transaction(() => {
+        const item = catalog.updateItem(req.params.id, req.body || {});
+        record(req, 'update', item, { fields: Object.keys(req.body || {}) });
+        return item;
+    });
+    res.json(item);
+});
+
+// DELETE /api/admin/shop/:id -> seulement si plus rien n'en dépend, sinon désactiver
+router.delete('/shop/:id', canEdit, (req, res) => {
+    const item = catalog.findItem(req.params.id);
+    if (!item) throw new AppError(404, "Article introuvable", 'ITEM_NOT_FOUND');
+    const stock = codes.stockByItem([item.id])[item.id];
+    if (stock.available + stock.reserved > 0 || withdrawals.listAll({ statuses: withdrawals.OPEN_STATES }).some(w => w.itemId === item.id)) {
+        throw new AppError(409, "Des codes ou des retraits en cours dépendent de cet article : désactive-le plutôt", 'ITEM_IN_USE');
+    }
+
+    db.transaction(() => {
+        catalog.removeItem(item.id);
+        record(req, 'delete', item, { name: item.name });
+    });
+    res.status(204).end();
+});
+
+module.exports = router;
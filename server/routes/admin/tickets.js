@@ -0,0 +1,73 @@
+// --- API ADMIN : FILE DES TICKETS SUPPORT ---
+const express = require('express');
+const tickets = require('../../tickets');
+const users = require('../../users');
+const audit = require('../../audit');
+const db = require('../../db');
+const { AppError } = require('../../errors');
+const { requirePermission } = require('../../middleware');
+
+const router = express.Router();
+
+router.use('/tickets', requirePermission('tickets.handle'));
+
+// GET /api/admin/tickets?status=open,answered&mine=1
+router.get('/tickets', (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : tickets.ACTIVE_STATES;
+    if (statuses.some(status => !tickets.STATUSES.includes(status))) {
+        throw new AppError(400, "Statut inconnu", 'UNKNOWN_STATUS');
+    }
+
+    res.json({
+        items: tickets.listAll({ statuses, assigneeId: req.query.mine ? req.user.id : undefined })
+            .map(ticket => tickets.toAdmin(ticket)),
+        counts: tickets.countByStatus(),
+        slaHours: tickets.SLA_HOURS,
+        categories: tickets.CATEGORIES,
+        staff: users.listWithPermission('tickets.handle').map(u => ({ id: u.id, username: u.username }))
+    });
+});
+
+// GET /api/admin/tickets/:id -> fil complet + réponses types personnalisées
+router.get('/tickets/:id', (req, res) => {
+    const ticket = tickets.findById(Number(req.params.id));
+    if (!ticket) throw new AppError(404, "Ticket introuvable", 'TICKET_NOT_FOUND');
+    res.json({ ...tickets.toAdmin(ticket, { withMessages: true }), canned: tickets.cannedResponses(ticket) });
+});
+
+// Chaque action de l'équipe laisse une ligne d'audit
+function action(name, run) {
+    return (req, res) => {
+        const id = Number(req.params.id);
+        const updated = db.transaction(() => {
+            const ticket = run(id, req);
+            audit.record({
+                actorId: req.user.id,
+                action: `ticket.${name}`,
+                targetType: 'ticket',
+                targetId: id,
+                details: { status: ticket.status, assigneeId: ticket.assigneeId }
+            });
+            return ticket;
+        });
+        res.json(tickets.toAdmin(updated, { withMessages: true }));
+    };
+}
+
+// POST /api/admin/tickets/:id/messages { text, status? } -> réponse au joueur
+router.post('/tickets/:id/messages', action('reply', (id, req) =>
+    tickets.replyAsStaff(req.user, id, req.body?.text, { status: req.body?.status || 'answered' })
+));
+
+// PUT /api/admin/tickets/:id/assign { assigneeId } (null = désassigner)
+router.put('/tickets/:id/assign', action('assign', (id, req) => {
+    const assigneeId = req.body?.assigneeId === null || req.body?.assigneeId === undefined ? null : Number(req.body.assigneeId);
+    return tickets.assign(id, assigneeId);
+}));
+
+// PUT /api/admin/tickets/:id/status { status }
+router.put('/tickets/:id/status', action('status', (id, req) =>
+    tickets.setStatus(id, req.body?.status)
+));
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// --- API ADMIN : JOUEURS (rôles, ajustements de solde, sanctions) ---
+const crypto = require('crypto');
+const express = require('express');
+const users = require('../../users');
+const ledger = require('../../ledger');
+const sanctions = require('../../sanctions');
+const roles = require('../../roles');
+const audit = require('../../audit');
+const db = require('../../db');
+const { AppError } = require('../../errors');
+const { requirePermission } = require('../../middleware');
+
+const router = express.Router();
+
+function findUserOr404(id) {
+    const user = users.findById(Number(id));
+    if (!user) throw new AppError(404, "Joueur introuvable", 'USER_NOT_FOUND');
+    return user;
+}
+
+function toAdmin(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: roles.roleOf(user),
+        pixels: ledger.getBalance(user.id),
+        level: user.level,
+        verified: Boolean(user.verified),
+        account: sanctions.statusOf(user),
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt
+    };
+}
+
+// GET /api/admin/users?q=&status= -> recherche (id, pseudo, email), filtrable par statut
+router.get('/users', requirePermission('users.moderate'), (req, res) => {
+    const status = req.query.status || null;
+    if (status && !sanctions.STATUSES[status]) throw new AppError(400, "Statut inconnu", 'UNKNOWN_STATUS');
+    const matches = users.search(req.query.q, { limit: status ? Infinity : 50 })
+        .filter(user => !status || sanctions.statusOf(user).status === status)
+        .slice(0, 50);
+    res.json({ items: matches.map(toAdmin), statuses: sanctions.STATUSES });
+});
+
+// PUT /api/admin/users/:id/role { role }
+router.put('/users/:id/role', requirePermission('roles.manage'), (req, res) => {
+    const user = findUserOr404(req.params.id);
+    const role = req.body?.role;
+    // Évite qu'un admin se retire ses propres droits (plus personne pour les rendre)
+    if (user.id === req.user.id && role !== 'admin') {
+        throw new AppError(400, "Impossible de retirer ton propre rôle admin", 'CANNOT_REMOVE_OWN_ADMIN');
+    }
+
+    const updated = db.transaction(() => {
+        audit.record({
+            actorId: req.user.id,
+            action: 'user.role',
+            targetType: 'user',
+            targetId: user.id,
+            details: { from: user.role || 'player', to: role }
+        });
+        return users.setRole(user.id, role);
+    });
+    res.json(users.toPublic(updated));
+});
+
+// POST /api/admin/users/:id/adjust { amount, reason } -> crédit/débit manuel de Pixels
+router.post('/users/:id/adjust', requirePermission('balances.adjust'), (req, res) => {
+    const user = findUserOr404(req.params.id);
+    const amount = Number(req.body?.amount);
+    const reason = String(req.body?.reason || '').trim();
+    if (!Number.isInteger(amount) || amount === 0) throw new AppError(400, "Montant invalide", 'INVALID_AMOUNT');
+    if (!reason) throw new AppError(400, "Une raison est obligatoire", 'REASON_REQUIRED');
+
+    const transaction = db.transaction(() => {
+        const { transaction, created } = ledger.post({
+            userId: user.id,
+            type: 'admin_adjustment',
+            amount,
+            idempotencyKey: `admin_adjustment:${req.get('Idempotency-Key') || crypto.randomUUID()}`,
+            description: `Ajustement: ${reason}`,
+            meta: { actorId: req.user.id }
+        });
+        if (created) {
+            audit.record({
+                actorId: req.user.id,
+                action: 'user.adjust',
+                targetType: 'user',
+                targetId: user.id,
+                details: { amount, reason, transactionId: transaction.id }
+            });
+        }
+        return transaction;
+    });
+    res.status(201).json({ transaction, balance: ledger.getBalance(user.id) });
+});
+
+// POST /api/admin/users/:id/ban { status, reason, days? } -> restreint, suspend ou bannit
+router.post('/users/:id/ban', requirePermission('users.moderate'), (req, res) => {
+    const user = findUserOr404(req.params.id);
+    const previous = sanctions.statusOf(user);
+
+    const updated = db.transaction(() => {
+        const sanctioned = sanctions.sanction(req.user, user.id, req.body || {});
+        const current = sanctions.statusOf(sanctioned);
+        audit.record({
+            actorId: req.user.id,
+            action: 'user.ban',
+            targetType: 'user',
+            targetId: user.id,
+            details: { from: previous.status, to: current.status, reason: current.reason, until: current.until }
+        });
+        return sanctioned;
+    });
+    res.json(toAdmin(updated));
+});
+
+// POST /api/admin/users/:id/unban { reason } -> lève la sanction en cours
+router.post('/users/:id/unban', requirePermission('users.moderate'), (req, res) => {
+    const user = findUserOr404(req.params.id);
+    const previous = sanctions.statusOf(user);
+
+    const updated = db.transaction(() => {
+        const lifted = sanctions.lift(req.user, user.id, req.body?.reason);
+        audit.record({
+            actorId: req.user.id,
+            action: 'user.unban',
+            targetType: 'user',
+            targetId: user.id,
+            details: { from: previous.status, reason: String(req.body.reason).trim() }
+        });
+        return lifted;
+    });
+    res.json(toAdmin(updated));
+});
+
+// POST /api/admin/users/:id/forfeit { reason } -> confisque tout le solde d'un compte banni
+router.post('/users/:id/forfeit', requirePermission('balances.adjust'), (req, res) => {
+    const user = findUserOr404(req.params.id);
+
+    const transaction = db.transaction(() => {
+        const { transaction, created } = sanctions.forfeit(req.user, user.id, req.body?.reason, req.get('Idempotency-Key'));
+        if (created) {
+            audit.record({
+                actorId: req.user.id,
+                action: 'user.forfeit',
+                targetType: 'user',
+                targetId: user.id,
+                details: { amount: transaction.amount, reason: String(req.body.reason).trim(), transactionId: transaction.id }
+            });
+        }
+        return transaction;
+    });
+    res.status(201).json({ transaction, balance: ledger.getBalance(user.id) });
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// --- API ADMIN : FILE D'ATTENTE DES RETRAITS ---
+const express = require('express');
+const withdrawals = require('../../withdrawals');
+const audit = require('../../audit');
+const db = require('../../db');
+const { AppError } = require('../../errors');
+const { requirePermission } = require('../../middleware');
+
+const router = express.Router();
+
+router.use('/withdrawals', requirePermission('withdrawals.review'));
+
+// GET /api/admin/withdrawals?status=pending,in_review
+router.get('/withdrawals', (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : withdrawals.OPEN_STATES;
+    if (statuses.some(status => !withdrawals.STATUSES.includes(status))) {
+        throw new AppError(400, "Statut inconnu", 'UNKNOWN_STATUS');
+    }
+
+    res.json({
+        items: withdrawals.listAll({ statuses }).map(withdrawals.toAdmin),
+        counts: withdrawals.countByStatus()
+    });
+});
+
+// Chaque action = une transition de la machine à états + une ligne d'audit
+function action(name, run) {
+    return (req, res) => {
+        const id = Number(req.params.id);
+        const updated = db.transaction(() => {
+            const withdrawal = run(id, req);
+            audit.record({
+                actorId: req.user.id,
+                action: `withdrawal.${name}`,
+                targetType: 'withdrawal',
+                targetId: id,
+                details: { status: withdrawal.status, reason: req.body?.reason || null }
+            });
+            return withdrawal;
+        });
+        res.json(withdrawals.toAdmin(updated));
+    };
+}
+
+// POST /api/admin/withdrawals/:id/review -> prise en charge (in_review)
+router.post('/withdrawals/:id/review', action('review', (id, req) =>
+    withdrawals.transition(id, 'in_review', { actorId: req.user.id })
+));
+
+// POST /api/admin/withdrawals/:id/approve -> une demande encore "pending" passe d'abord par in_review
+router.post('/withdrawals/:id/approve', action('approve', (id, req) => {
+    if (withdrawals.findById(id)?.status === 'pending') {
+        withdrawals.transition(id, 'in_review', { actorId: req.user.id });
+    }
+    return withdrawals.transition(id, 'approved', { actorId: req.user.id });
+}));
+
+// POST /api/admin/withdrawals/:id/reject { reason } -> refus motivé, Pixels remboursés
+router.post('/withdrawals/:id/reject', action('reject', (id, req) =>
+    withdrawals.transition(id, 'rejected', { actorId: req.user.id, note: req.body?.reason })
+));
+
+// POST /api/admin/withdrawals/:id/deliver -> code envoyé au joueur
+router.post('/withdrawals/:id/deliver', action('deliver', (id, req) =>
+    withdrawals.transition(id, 'delivered', { actorId: req.user.id })
+));
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// --- API : MES CODES (section du Coffre) ---
+const express = require('express');
+const codes = require('../codes');
+const withdrawals = require('../withdrawals');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/codes -> codes livrés au joueur, en clair, du plus récent au plus ancien
+router.get('/codes', requireAuth, (req, res) => {
+    res.json(codes.listDeliveredForUser(req.user.id).map(code => ({
+        ...code,
+        itemName: withdrawals.findById(code.withdrawalId)?.itemName || null
+    })));
+});
+
+module.exports = router;
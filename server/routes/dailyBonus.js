@@ -0,0 +1,24 @@
+// --- API : BONUS DE CONNEXION QUOTIDIEN ---
+const express = require('express');
+const dailyBonus = require('../dailyBonus');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/daily-bonus?timezone= -> série, gels et calendrier sur 7 jours
+router.get('/daily-bonus', requireAuth, (req, res) => {
+    res.json(dailyBonus.getStatus(req.user, { timezone: req.query.timezone }));
+});
+
+// POST /api/daily-bonus/claim { timezone } -> réclame le bonus du jour
+router.post('/daily-bonus/claim', requireAuth, (req, res) => {
+    const claim = dailyBonus.claim(req.user, { timezone: req.body?.timezone, ip: req.ip, deviceId: req.deviceId });
+    res.status(201).json({
+        amount: claim.amount,
+        streak: claim.streak,
+        skipped: claim.skipped,
+        status: dailyBonus.getStatus(req.user)
+    });
+});
+
+module.exports = router;
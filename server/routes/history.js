@@ -0,0 +1,30 @@
+// --- API : HISTORIQUE DES PIXELS ---
+const express = require('express');
+const ledger = require('../ledger');
+const { AppError } = require('../errors');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+// GET /api/history?page=1&limit=20&type=quest&status=completed&direction=in&from=2025-11-01&to=2025-11-30
+router.get('/history', requireAuth, (req, res) => {
+    const { type, status, direction, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    if (type && !ledger.TYPES[type]) throw new AppError(400, "Type de transaction inconnu", 'UNKNOWN_TRANSACTION_TYPE');
+    if (status && !ledger.STATUSES.includes(status)) throw new AppError(400, "Statut inconnu", 'UNKNOWN_STATUS');
+    if (direction && !['in', 'out'].includes(direction)) throw new AppError(400, "Direction invalide (in / out)", 'INVALID_DIRECTION');
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        throw new AppError(400, "Date invalide", 'INVALID_DATE');
+    }
+
+    res.json({
+        ...ledger.listHistory(req.user.id, { page, limit, type, status, direction, from, to }),
+        balance: ledger.getBalance(req.user.id)
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// --- API : CLASSEMENT ET SAISONS ---
+const express = require('express');
+const leaderboard = require('../leaderboard');
+const seasons = require('../seasons');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/leaderboard?window=daily|weekly|monthly|season|alltime&season=<id>&limit=
+router.get('/leaderboard', requireAuth, (req, res) => {
+    res.json(leaderboard.getLeaderboard(req.user.id, {
+        window: req.query.window || 'weekly',
+        seasonId: req.query.season || null,
+        limit: Math.min(100, Math.max(1, Number(req.query.limit) || 50))
+    }));
+});
+
+// GET /api/season -> saison en cours (ou prochaine), public : badge de la landing page
+router.get('/season', (req, res) => {
+    res.json({
+        current: seasons.toPublic(seasons.currentSeason()),
+        next: seasons.toPublic(seasons.nextSeason())
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// --- API : LANGUE DE L'INTERFACE ---
+const express = require('express');
+const locale = require('../locale');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/locale -> langue négociée (voir locale.js), ouverte aux visiteurs
+// `signedIn` : le choix du bouton drapeau peut être enregistré sur le compte
+router.get('/locale', (req, res) => {
+    res.json({
+        ...locale.negotiate(req),
+        locales: locale.LOCALES,
+        signedIn: req.isAuthenticated()
+    });
+});
+
+// PUT /api/locale { locale } -> langue préférée du joueur connecté
+router.put('/locale', requireAuth, (req, res) => {
+    const user = locale.savePreference(req.user, req.body.locale);
+    res.json({ locale: user.locale, source: 'account' });
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// --- API : TEMPS RÉEL ET NOTIFICATIONS ---
+const express = require('express');
+const realtime = require('../realtime');
+const notifications = require('../notifications');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/events -> flux Server-Sent Events du joueur connecté (voir realtime.js)
+router.get('/events', requireAuth, (req, res) => {
+    realtime.connect(req, res);
+});
+
+// GET /api/notifications -> notifications récentes + nombre de non lues
+router.get('/notifications', requireAuth, (req, res) => {
+    res.json({
+        items: notifications.listForUser(req.user.id).map(notifications.toPublic),
+        unread: notifications.countUnread(req.user.id)
+    });
+});
+
+// POST /api/notifications/read { ids? } -> marque comme lues (toutes si `ids` absent)
+router.post('/notifications/read', requireAuth, (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : null;
+    res.json({ unread: notifications.markRead(req.user.id, ids) });
+});
+
+module.exports = router;
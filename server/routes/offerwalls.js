@@ -0,0 +1,23 @@
+// --- API : OFFERWALLS DU JOUEUR ---
+const express = require('express');
+const offerwalls = require('../offerwalls');
+const { detectCountry } = require('../geo');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+const MOBILE_PATTERN = /Mobi|Android|iPhone|iPad|iPod/i;
+
+// GET /api/offerwalls -> { country, device, walls: [{ id, name, available, reason, url }] }
+router.get('/offerwalls', requireAuth, (req, res) => {
+    const country = detectCountry(req);
+    const device = MOBILE_PATTERN.test(req.get('user-agent') || '') ? 'mobile' : 'desktop';
+
+    res.json({
+        country,
+        device,
+        walls: offerwalls.listForUser(req.user.id, { country, device })
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// --- ROUTE : POSTBACKS DES RÉSEAUX PUBLICITAIRES ---
+// Appelée serveur à serveur par les offerwalls (pas de session) : l'authenticité
+// est vérifiée par l'adaptateur de chaque réseau.
+const express = require('express');
+const postbacks = require('../postbacks');
+
+const router = express.Router();
+
+// Selon le réseau, les paramètres arrivent en query string (GET) ou en formulaire (POST)
+router.all('/postback/:network', express.urlencoded({ extended: false }), (req, res) => {
+    const params = { ...req.query, ...req.body };
+    const result = postbacks.handle(req.params.network, params, req.ip);
+    res.status(result.status).type('text/plain').send(result.body);
+});
+
+module.exports = router;
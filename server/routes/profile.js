@@ -0,0 +1,19 @@
+// --- API : PROGRESSION DU JOUEUR (XP, niveau, rang, avantages) ---
+const express = require('express');
+const progression = require('../progression');
+const users = require('../users');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/user/profile -> barre d'XP, avantages et passage de niveau à célébrer
+router.get('/user/profile', requireAuth, (req, res) => {
+    res.json(progression.profileOf(req.user));
+});
+
+// POST /api/user/profile/level-up/ack -> célébration affichée, ne plus la renvoyer
+router.post('/user/profile/level-up/ack', requireAuth, (req, res) => {
+    res.json(progression.profileOf(users.markLevelCelebrated(req.user.id)));
+});
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// --- API : QUÊTES DU JOUEUR ---
+const express = require('express');
+const quests = require('../quests');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/quests -> quêtes actives avec la progression de la période en cours
+router.get('/quests', requireAuth, (req, res) => {
+    res.json(quests.listForUser(req.user.id));
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// --- PARRAINAGE : LIEN /r/:code ET STATISTIQUES ---
+const express = require('express');
+const referrals = require('../referrals');
+const users = require('../users');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// GET /r/:code -> mémorise le parrain (premier lien cliqué) puis renvoie vers l'accueil
+router.get('/r/:code', (req, res) => {
+    if (req.isAuthenticated()) return res.redirect('/app');
+
+    const referrer = users.findByReferralCode(req.params.code);
+    if (referrer && !req.cookies[referrals.REFERRAL_COOKIE]) {
+        res.cookie(referrals.REFERRAL_COOKIE, referrer.referralCode, {
+            maxAge: referrals.COOKIE_MAX_AGE,
+            httpOnly: true,
+            sameSite: 'lax'
+        });
+    }
+    res.redirect('/');
+});
+
+// GET /api/referrals -> lien du joueur, palier de commission, filleuls et gains
+router.get('/api/referrals', requireAuth, (req, res) => {
+    const stats = referrals.statsFor(req.user);
+    res.json({ ...stats, link: `${APP_URL}/r/${stats.code}` });
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// --- API : LOOT SHOP ---
+const express = require('express');
+const catalog = require('../catalog');
+const withdrawals = require('../withdrawals');
+const { detectCountry } = require('../geo');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/shop -> articles échangeables dans le pays du joueur, prix promo
+// appliqué, avec le stock restant et les achats déjà faits (limite par joueur)
+router.get('/shop', requireAuth, (req, res) => {
+    res.json(catalog.listForCountry(detectCountry(req)).map(item => {
+        const stock = withdrawals.availableStock(item);
+        return {
+            ...catalog.toPublic(item),
+            stock,
+            outOfStock: stock === 0,
+            purchased: withdrawals.countPurchases(req.user.id, item.id)
+        };
+    }));
+});
+
+// POST /api/shop/:itemId/redeem -> réserve les Pixels et crée la demande de retrait
+router.post('/shop/:itemId/redeem', requireAuth, (req, res) => {
+    const withdrawal = withdrawals.redeem(req.user, req.params.itemId, req.get('Idempotency-Key'), {
+        country: detectCountry(req),
+        ip: req.ip,
+        deviceId: req.deviceId
+    });
+    res.status(201).json(withdrawals.toPublic(withdrawal));
+});
+
+module.exports = router;
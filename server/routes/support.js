@@ -0,0 +1,29 @@
+// --- API : ASSISTANT SUPPORT (IA) ---
+const express = require('express');
+const supportChat = require('../supportChat');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/support/chat -> conversation du joueur avec l'assistant
+router.get('/support/chat', requireAuth, (req, res) => {
+    res.json({ messages: supportChat.getMessages(req.user.id) });
+});
+
+// POST /api/support/chat { message } -> réponse de l'assistant
+router.post('/support/chat', requireAuth, async (req, res, next) => {
+    try {
+        const reply = await supportChat.chat(req.user, req.body.message);
+        res.json({ reply });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// DELETE /api/support/chat -> efface la conversation
+router.delete('/support/chat', requireAuth, (req, res) => {
+    supportChat.clear(req.user.id);
+    res.status(204).end();
+});
+
+module.exports = router;
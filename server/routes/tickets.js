@@ -0,0 +1,35 @@
+// --- API : TICKETS SUPPORT DU JOUEUR ---
+const express = require('express');
+const tickets = require('../tickets');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/tickets -> tickets du joueur + catégories du formulaire
+router.get('/tickets', requireAuth, (req, res) => {
+    res.json({
+        items: tickets.listForUser(req.user.id).map(ticket => tickets.toPublic(ticket)),
+        categories: tickets.CATEGORIES,
+        slaHours: tickets.SLA_HOURS
+    });
+});
+
+// POST /api/tickets { category, subject, message, transactionId?, attachChat? }
+router.post('/tickets', requireAuth, (req, res) => {
+    const ticket = tickets.create(req.user, req.body || {});
+    res.status(201).json(tickets.toPublic(ticket, { withMessages: true }));
+});
+
+// GET /api/tickets/:id -> fil complet (marque les réponses comme lues)
+router.get('/tickets/:id', requireAuth, (req, res) => {
+    const ticket = tickets.markRead(tickets.findForUser(req.user.id, Number(req.params.id)));
+    res.json(tickets.toPublic(ticket, { withMessages: true }));
+});
+
+// POST /api/tickets/:id/messages { text }
+router.post('/tickets/:id/messages', requireAuth, (req, res) => {
+    const ticket = tickets.replyAsPlayer(req.user, Number(req.params.id), req.body?.text);
+    res.json(tickets.toPublic(ticket, { withMessages: true }));
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// --- API : RETRAITS DU JOUEUR ---
+const express = require('express');
+const withdrawals = require('../withdrawals');
+const { requireAuth } = require('../middleware');
+
+const router = express.Router();
+
+// GET /api/withdrawals -> retraits du joueur + retrait en cours (carte "PROCHAIN RETRAIT")
+router.get('/withdrawals', requireAuth, (req, res) => {
+    const open = withdrawals.findOpenForUser(req.user.id);
+    res.json({
+        items: withdrawals.listForUser(req.user.id).map(withdrawals.toPublic),
+        next: open ? withdrawals.toPublic(open) : null,
+        verified: Boolean(req.user.verified),
+        firstHoldDays: withdrawals.holdDaysFor(req.user)
+    });
+});
+
+module.exports = router;
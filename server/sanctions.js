@@ -0,0 +1,131 @@
+// --- SANCTIONS (STATUT DU COMPTE) ---
+// Champ `status` de la fiche joueur ("active" par défaut) :
+// - active : aucune restriction ;
+// - restricted_withdrawals : le joueur continue de jouer mais ne peut plus retirer ;
+// - suspended : accès bloqué jusqu'à une date (`statusUntil`) ;
+// - banned : accès bloqué jusqu'à une levée manuelle (CGU : bannissement).
+// Une sanction datée expire d'elle-même : passé `statusUntil`, le compte est
+// traité comme actif sans qu'il faille réécrire la fiche.
+//
+// Un compte bloqué (suspendu ou banni) ne voit plus que la page /banned et ses
+// tickets support, pour contester la sanction (voir middleware.enforceAccountStatus).
+const crypto = require('crypto');
+const users = require('./users');
+const ledger = require('./ledger');
+const roles = require('./roles');
+const { AppError } = require('./errors');
+
+const STATUSES = {
+    active: 'Actif',
+    restricted_withdrawals: 'Retraits bloqués',
+    suspended: 'Suspendu',
+    banned: 'Banni'
+};
+
+const BLOCKING_STATUSES = ['suspended', 'banned'];
+const MAX_REASON_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statut effectif d'un compte (une sanction expirée vaut "active")
+function statusOf(user) {
+    const status = STATUSES[user.status] ? user.status : 'active';
+    if (status === 'active' || (user.statusUntil && Date.parse(user.statusUntil) <= Date.now())) {
+        return { status: 'active', label: STATUSES.active, reason: null, until: null, since: null };
+    }
+    return {
+        status,
+        label: STATUSES[status],
+        reason: user.statusReason || null,
+        until: user.statusUntil || null,
+        since: user.statusSetAt || null
+    };
+}
+
+function isBlocked(user) {
+    return BLOCKING_STATUSES.includes(statusOf(user).status);
+}
+
+function canWithdraw(user) {
+    return statusOf(user).status === 'active';
+}
+
+function cleanReason(reason) {
+    const value = String(reason || '').trim();
+    if (!value) throw new AppError(400, "Une raison est obligatoire", 'REASON_REQUIRED');
+    if (value.length > MAX_REASON_LENGTH) throw new AppError(400, `Raison trop longue (${MAX_REASON_LENGTH} caractères maximum)`, 'REASON_TOO_LONG', { max: MAX_REASON_LENGTH });
+    return value;
+}
+
+// Le compte visé doit exister et ne pas appartenir à l'équipe : une sanction
+// contre un modérateur passe d'abord par un changement de rôle
+function findTarget(actor, userId) {
+    const user = users.findById(userId);
+    if (!user) throw new AppError(404, "Joueur introuvable", 'USER_NOT_FOUND');
+    if (user.id === actor.id) throw new AppError(400, "Impossible de sanctionner ton propre compte", 'CANNOT_SANCTION_SELF');
+    if (roles.can(user, 'admin.access')) throw new AppError(400, "Impossible de sanctionner un membre de l'équipe", 'CANNOT_SANCTION_STAFF');
+    return user;
+}
+
+// Pose une sanction. `days` : durée en jours (obligatoire pour une suspension,
+// optionnelle pour les autres ; absente = jusqu'à levée manuelle).
+function sanction(actor, userId, { status, reason, days = null }) {
+    if (!STATUSES[status] || status === 'active') throw new AppError(400, "Sanction inconnue", 'UNKNOWN_SANCTION');
+    const cleanedReason = cleanReason(reason);
+    const duration = days === null || days === undefined || days === '' ? null : Number(days);
+    if (duration !== null && (!Number.isInteger(duration) || duration < 1)) throw new AppError(400, "Durée invalide", 'INVALID_DURATION');
+    if (status === 'suspended' && !duration) throw new AppError(400, "Une suspension doit avoir une durée", 'DURATION_REQUIRED');
+
+    const user = findTarget(actor, userId);
+    const now = Date.now();
+    console.log(`[SANCTIONS] #${user.id} -> ${status} par #${actor.id} : ${cleanedReason}`);
+    return users.setStatus(user.id, {
+        status,
+        statusReason: cleanedReason,
+        statusUntil: duration ? new Date(now + duration * DAY_MS).toISOString() : null,
+        statusSetAt: new Date(now).toISOString(),
+        statusSetBy: actor.id
+    });
+}
+
+// Lève la sanction en cours : le compte redevient actif
+function lift(actor, userId, reason) {
+    const cleanedReason = cleanReason(reason);
+    const user = findTarget(actor, userId);
+    if (statusOf(user).status === 'active') throw new AppError(409, "Ce compte n'est pas sanctionné", 'NOT_SANCTIONED');
+
+    console.log(`[SANCTIONS] #${user.id} réactivé par #${actor.id} : ${cleanedReason}`);
+    return users.setStatus(user.id, {
+        status: 'active',
+        statusReason: null,
+        statusUntil: null,
+        statusSetAt: new Date().toISOString(),
+        statusSetBy: actor.id
+    });
+}
+
+// Confiscation du solde d'un compte banni (CGU : perte irrévocable des Pixels).
+// Une écriture "forfeit" ramène le solde à 0 ; `requestKey` évite une double
+// confiscation sur double clic.
+function forfeit(actor, userId, reason, requestKey) {
+    const cleanedReason = cleanReason(reason);
+    const user = findTarget(actor, userId);
+    if (statusOf(user).status !== 'banned') throw new AppError(409, "Seul le solde d'un compte banni peut être confisqué", 'FORFEIT_NOT_BANNED');
+
+    const idempotencyKey = `forfeit:${requestKey || crypto.randomUUID()}`;
+    const existing = ledger.findByIdempotencyKey(idempotencyKey);
+    if (existing) return { transaction: existing, created: false };
+
+    const balance = ledger.getBalance(user.id);
+    if (balance <= 0) throw new AppError(409, "Aucun Pixel à confisquer", 'NOTHING_TO_FORFEIT');
+
+    return ledger.post({
+        userId: user.id,
+        type: 'forfeit',
+        amount: -balance,
+        idempotencyKey,
+        description: `Solde confisqué : ${cleanedReason}`,
+        meta: { actorId: actor.id }
+    });
+}
+
+module.exports = { STATUSES, statusOf, isBlocked, canWithdraw, sanction, lift, forfeit };
@@ -0,0 +1,36 @@
+// --- ATTRIBUTION D'UN RÔLE EN LIGNE DE COMMANDE ---
+// Pour nommer le premier admin (ou en dépanner un) sans passer par le panel.
+//
+//   node server/scripts/grant-role.js <email|id> <player|moderator|admin>
+//
+// Le joueur doit s'être connecté au moins une fois. À lancer serveur arrêté :
+// la base (DB_FILE) est chargée en mémoire par le serveur.
+require('dotenv').config();
+const users = require('../users');
+const audit = require('../audit');
+const db = require('../db');
+const { ROLES } = require('../roles');
+
+const [target, role] = process.argv.slice(2);
+if (!target || !ROLES.includes(role)) {
+    console.error(`Usage : node server/scripts/grant-role.js <email|id> <${ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+const user = /^\d+$/.test(target) ? users.findById(Number(target)) : users.findByEmail(target);
+if (!user) {
+    console.error(`Aucun joueur trouvé pour "${target}"`);
+    process.exit(1);
+}
+
+db.transaction(() => {
+    audit.record({
+        actorId: null,
+        action: 'user.role',
+        targetType: 'user',
+        targetId: user.id,
+        details: { from: user.role || 'player', to: role, source: 'cli' }
+    });
+    users.setRole(user.id, role);
+});
+console.log(`${user.username} (#${user.id}) est maintenant ${role}`);
@@ -0,0 +1,52 @@
+// --- REJEU DES POSTBACKS ENREGISTRÉS ---
+// Vérifie les adaptateurs offerwall sur les exemples de server/postbacks/samples,
+// sans réseau ni compte partenaire.
+//
+//   node server/scripts/replay-postbacks.js            -> signature + mapping uniquement
+//   node server/scripts/replay-postbacks.js --apply    -> traite aussi les postbacks valides
+//                                                        dans la base locale (DB_FILE)
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLES_DIR = path.join(__dirname, '../postbacks/samples');
+const apply = process.argv.includes('--apply');
+
+const samples = fs.readdirSync(SAMPLES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, file), 'utf8')) }));
+
+// La configuration des exemples prime sur l'environnement
+samples.forEach(sample => {
+    const prefix = `POSTBACK_${sample.network.toUpperCase()}`;
+    if (sample.config.secret) process.env[`${prefix}_SECRET`] = sample.config.secret;
+});
+
+const postbacks = require('../postbacks');
+
+let failures = 0;
+
+samples.forEach(sample => {
+    const adapter = postbacks.adapters[sample.network];
+    const config = {
+        secret: sample.config.secret || null,
+        allowedIps: sample.config.allowedIps || adapter.defaultIps
+    };
+    const valid = adapter.verify({ params: sample.params, ip: sample.ip }, config);
+    const offer = valid ? adapter.parse(sample.params) : null;
+
+    const mismatches = Object.entries(sample.expected)
+        .filter(([key, expected]) => (key === 'valid' ? valid : offer && offer[key]) !== expected)
+        .map(([key, expected]) => `${key}: attendu ${JSON.stringify(expected)}`);
+
+    if (mismatches.length) failures++;
+    console.log(`${mismatches.length ? '✗' : '✓'} ${sample.file} — ${sample.description}${mismatches.length ? ` (${mismatches.join(', ')})` : ''}`);
+
+    if (apply && valid) {
+        const result = postbacks.handle(sample.network, sample.params, sample.ip);
+        console.log(`    -> ${result.status} ${result.body}`);
+    }
+});
+
+console.log(`\n${samples.length - failures}/${samples.length} exemples conformes`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,53 @@
+// --- SAISONS ---
+// Une saison est une fenêtre de classement à part entière, avec ses propres
+// récompenses versées aux meilleurs joueurs à sa clôture (voir leaderboard.js).
+// Les saisons ne se chevauchent pas ; entre deux saisons, c'est l'intersaison.
+//
+// `prizes` : Pixels versés par rang (prizes[0] au 1er, prizes[1] au 2e...).
+const SEASONS = [
+    {
+        id: 1,
+        name: 'Saison 1',
+        startsAt: '2026-09-01T00:00:00.000Z',
+        endsAt: '2026-12-01T00:00:00.000Z',
+        prizes: [25000, 15000, 10000, 5000, 5000, 2500, 2500, 2500, 2500, 2500]
+    },
+    {
+        id: 2,
+        name: 'Saison 2',
+        startsAt: '2026-12-01T00:00:00.000Z',
+        endsAt: '2027-03-01T00:00:00.000Z',
+        prizes: [25000, 15000, 10000, 5000, 5000, 2500, 2500, 2500, 2500, 2500]
+    }
+];
+
+function findSeason(id) {
+    return SEASONS.find(season => season.id === Number(id)) || null;
+}
+
+function currentSeason(now = Date.now()) {
+    return SEASONS.find(season => Date.parse(season.startsAt) <= now && now < Date.parse(season.endsAt)) || null;
+}
+
+function nextSeason(now = Date.now()) {
+    return SEASONS.filter(season => Date.parse(season.startsAt) > now)
+        .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt))[0] || null;
+}
+
+// Saisons terminées (leurs récompenses sont dues)
+function listEnded(now = Date.now()) {
+    return SEASONS.filter(season => Date.parse(season.endsAt) <= now);
+}
+
+function toPublic(season) {
+    if (!season) return null;
+    return {
+        id: season.id,
+        name: season.name,
+        startsAt: season.startsAt,
+        endsAt: season.endsAt,
+        prizes: season.prizes
+    };
+}
+
+module.exports = { SEASONS, findSeason, currentSeason, nextSeason, listEnded, toPublic };
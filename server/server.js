@@ -1,13 +1,26 @@
 require('dotenv').config(); // Charge ton fichier .env
 const express = require('express');
 const session = require('express-session');
+const cookieParser = require('cookie-parser');
 const passport = require('passport');
-const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const DiscordStrategy = require('passport-discord').Strategy;
 const path = require('path');
+const users = require('./users');
+const leaderboard = require('./leaderboard');
+const { AppError } = require('./errors');
+const sanctions = require('./sanctions');
+const { requireAuth, deviceCookie, trackActivity, enforceAccountStatus } = require('./middleware');
 
 const app = express();
 
+// Secrets sans lesquels les codes cadeaux et les liens d'offerwalls ne
+// fonctionneraient pas : on refuse de démarrer plutôt que d'échouer en cours de route
+require('./codes').assertConfigured();
+require('./offerwalls').assertConfigured();
+
+// Derrière un reverse proxy (nginx, Cloudflare...), req.ip doit venir de X-Forwarded-For :
+// indispensable pour les listes blanches d'IP des postbacks
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+
 // --- 1. CONFIGURATION DE LA SESSION ---
 // C'est ce qui permet à l'utilisateur de rester connecté quand il change de page
 app.use(session({
@@ -20,100 +33,26 @@ app.use(session({
     }
 }));
 
+// Lecture des corps JSON envoyés par le frontend (API.request)
+app.use(express.json());
+
+// Cookies hors session : appareil (anti-abus) et parrain (lien /r/:code)
+app.use(cookieParser());
+app.use(deviceCookie);
+
 // Initialisation de Passport
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(trackActivity);
 
-// --- 2. FONCTIONS DE SÉRIALISATION ---
-// Comment stocker l'utilisateur dans le cookie (Session)
-passport.serializeUser((user, done) => {
-    done(null, user); // On stocke tout l'objet user pour l'instant (plus tard : juste l'ID)
-});
-
-passport.deserializeUser((obj, done) => {
-    done(null, obj); // On récupère l'objet user
-});
+// Comptes suspendus / bannis : API limitée à la contestation (voir sanctions.js)
+app.use('/api', enforceAccountStatus);
 
-// --- 3. STRATÉGIE GOOGLE ---
-passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: process.env.GOOGLE_CALLBACK_URL
-  },
-  (accessToken, refreshToken, profile, done) => {
-    // C'est ICI que tu feras la requête SQL pour sauvegarder l'user en base de données.
-    // Pour l'instant, on simule un utilisateur :
-    const user = {
-        id: profile.id,
-        username: profile.displayName,
-        email: profile.emails[0].value,
-        provider: 'google',
-        avatar: profile.photos[0].value
-    };
-    console.log("Google User connecté :", user.username);
-    return done(null, user);
-  }
-));
-
-// --- 4. STRATÉGIE DISCORD ---
-passport.use(new DiscordStrategy({
-    clientID: process.env.DISCORD_CLIENT_ID,
-    clientSecret: process.env.DISCORD_CLIENT_SECRET,
-    callbackURL: process.env.DISCORD_CALLBACK_URL,
-    scope: ['identify', 'email'] // On demande l'ID et l'Email
-  },
-  (accessToken, refreshToken, profile, done) => {
-    // Simulation DB
-    const user = {
-        id: profile.id,
-        username: profile.username,
-        email: profile.email,
-        provider: 'discord',
-        avatar: `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png`
-    };
-    console.log("Discord User connecté :", user.username);
-    return done(null, user);
-  }
-));
-
-// --- 5. ROUTES D'AUTHENTIFICATION ---
-
-// Route : Lancer la connexion Google
-app.get('/auth/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
-);
-
-// Route : Retour de Google (Callback)
-app.get('/auth/google/callback', 
-  passport.authenticate('google', { failureRedirect: '/' }),
-  (req, res) => {
-    // Succès ! On redirige vers l'application
-    res.redirect('/app');
-  }
-);
-
-// Route : Lancer la connexion Discord
-app.get('/auth/discord',
-  passport.authenticate('discord')
-);
-
-// Route : Retour de Discord (Callback)
-app.get('/auth/discord/callback', 
-  passport.authenticate('discord', { failureRedirect: '/' }),
-  (req, res) => {
-    res.redirect('/app');
-  }
-);
-
-// Route : Déconnexion
-app.get('/logout', (req, res, next) => {
-    req.logout((err) => {
-        if (err) { return next(err); }
-        res.redirect('/');
-    });
-});
+// --- 2. AUTHENTIFICATION ---
+// Stratégies Google / Discord, liaison de comptes et déconnexion (voir auth.js)
+app.use(require('./auth'));
 
-// --- 6. ROUTES DE L'APPLICATION ---
+// --- 3. ROUTES DE L'APPLICATION ---
 
 // Servir les fichiers statiques (HTML/CSS/JS)
 app.use(express.static(path.join(__dirname, '../public')));
@@ -125,24 +64,70 @@ app.get('/', (req, res) => {
 
 // Route de l'App (Protégée : accessible seulement si connecté)
 app.get('/app', (req, res) => {
-    if (req.isAuthenticated()) {
+    if (req.isAuthenticated() && sanctions.isBlocked(req.user)) {
+        res.redirect('/banned');
+    } else if (req.isAuthenticated()) {
         res.sendFile(path.join(__dirname, '../public', 'app.html'));
     } else {
         res.redirect('/'); // Si pas connecté, retour à l'accueil
     }
 });
 
+// Page de confirmation de fusion (email déjà utilisé par un autre compte)
+app.get('/merge', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public', 'merge.html'));
+});
+
+// Page d'un compte suspendu / banni : explication + contestation via le support
+app.get('/banned', (req, res) => {
+    if (!req.isAuthenticated()) return res.redirect('/');
+    if (!sanctions.isBlocked(req.user)) return res.redirect('/app');
+    res.sendFile(path.join(__dirname, '../public', 'banned.html'));
+});
+
 // API pour que le Frontend récupère les infos du user connecté
-app.get('/api/user', (req, res) => {
-    if (req.isAuthenticated()) {
-        res.json(req.user);
-    } else {
-        res.status(401).json({ error: "Non connecté" });
+app.get('/api/user', requireAuth, (req, res) => {
+    res.json(users.toPublic(req.user));
+});
+
+// Postbacks serveur à serveur des offerwalls
+app.use(require('./routes/postbacks'));
+
+// Liens de parrainage /r/:code et statistiques du parrain
+app.use(require('./routes/referrals'));
+
+// API métier (une route par domaine, voir server/routes)
+app.use('/api', require('./routes/history'));
+app.use('/api', require('./routes/offerwalls'));
+app.use('/api', require('./routes/shop'));
+app.use('/api', require('./routes/withdrawals'));
+app.use('/api', require('./routes/codes'));
+app.use('/api', require('./routes/quests'));
+app.use('/api', require('./routes/dailyBonus'));
+app.use('/api', require('./routes/profile'));
+app.use('/api', require('./routes/leaderboard'));
+app.use('/api', require('./routes/support'));
+app.use('/api', require('./routes/tickets'));
+app.use('/api', require('./routes/account'));
+app.use('/api', require('./routes/notifications'));
+app.use('/api', require('./routes/locale'));
+app.use('/api/admin', require('./routes/admin'));
+
+// --- 4. GESTION DES ERREURS ---
+// Les AppError portent un message destiné au joueur ; le reste est loggé
+// et masqué derrière une erreur générique.
+app.use((err, req, res, next) => {
+    if (!(err instanceof AppError)) {
+        console.error(err);
+        return res.status(500).json({ error: "Erreur serveur", code: 'SERVER_ERROR' });
     }
+    res.status(err.status).json({ error: err.message, code: err.code, params: err.params });
 });
 
 // Démarrage du serveur
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`Serveur LootQuest démarré sur http://localhost:${PORT}`);
+    // Récompenses des classements clôturés (jour, semaine, mois, saison)
+    leaderboard.startScheduler();
 });
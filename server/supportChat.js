@@ -0,0 +1,109 @@
+// --- ASSISTANT SUPPORT (IA) ---
+// Une conversation par joueur, stockée côté serveur : chaque question part au
+// fournisseur IA (voir ai.js) avec l'historique récent et le prompt système.
+// Le débit est limité par joueur pour maîtriser le coût des appels.
+//
+// Le modèle peut consulter le compte du joueur via des outils en lecture seule
+// (voir supportTools.js) avant de répondre. Seuls la question et la réponse
+// finale sont conservées dans l'historique.
+const db = require('./db');
+const ai = require('./ai');
+const supportTools = require('./supportTools');
+const withdrawals = require('./withdrawals');
+const { createLimiter } = require('./rateLimit');
+const { AppError } = require('./errors');
+
+const TABLE = 'supportConversations';
+
+const MAX_MESSAGE_LENGTH = 1000;
+// Messages envoyés au modèle (les plus récents) : borne la taille des requêtes
+const HISTORY_LIMIT = 20;
+// Allers-retours d'outils par question avant d'abandonner
+const MAX_TOOL_ROUNDS = 4;
+
+const minuteLimiter = createLimiter({ windowMs: 60 * 1000, max: Number(process.env.AI_CHAT_MAX_PER_MINUTE) || 6 });
+const dayLimiter = createLimiter({ windowMs: 24 * 60 * 60 * 1000, max: Number(process.env.AI_CHAT_MAX_PER_DAY) || 100 });
+
+function systemPrompt() {
+    return `Tu es l'Assistant Support de LootQuest. Ton rôle est de rassurer les utilisateurs (souvent des parents ou des jeunes joueurs) avec un ton professionnel, poli et calme.
+Contexte : LootQuest est un site de GPT (Get-Paid-To). Les utilisateurs gagnent des "Pixels" en regardant des pubs et les échangent contre des cartes cadeaux (Roblox, Fortnite).
+Règles importantes à connaître :
+1. Le premier retrait prend TOUJOURS ${withdrawals.FIRST_HOLD_DAYS} jours pour vérification anti-fraude.
+2. Les retraits suivants prennent 24-48h.
+3. L'usage de VPN est interdit et cause des blocages.
+Tu as accès en lecture seule au compte du joueur connecté (retraits, mouvements de Pixels, offres créditées) : utilise ces outils pour toute question sur SON compte et réponds avec les faits trouvés (dates, montants, statuts). N'invente jamais de données.
+Si tu ne peux pas résoudre le problème (offre absente des crédits après 24h, retrait bloqué sans explication...), appelle suggest_ticket et propose au joueur d'ouvrir un ticket.
+Sois concis et clair. Ne parle pas en "Gamer Slang" ici, reste formel.`;
+}
+
+function findConversation(userId) {
+    return db.findOne(TABLE, c => c.userId === userId);
+}
+
+function getMessages(userId) {
+    const conversation = findConversation(userId);
+    return conversation ? conversation.messages : [];
+}
+
+// Boucle d'appels : le modèle demande des outils, on les exécute pour ce
+// joueur et on lui renvoie les résultats, jusqu'à obtenir une réponse texte
+async function answerWithTools(user, messages) {
+    const tools = supportTools.declarations();
+    const working = [...messages];
+    let suggestTicket = false;
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        const { text, toolCalls = [] } = await ai.generate({ system: systemPrompt(), messages: working, tools });
+        if (!toolCalls.length || round === MAX_TOOL_ROUNDS) return { text, suggestTicket };
+
+        const results = toolCalls.map(call => ({ name: call.name, response: supportTools.run(user, call) }));
+        if (toolCalls.some(call => call.name === 'suggest_ticket')) suggestTicket = true;
+        working.push({ role: 'model', toolCalls }, { role: 'tool', results });
+    }
+}
+
+// Envoie la question du joueur et retourne la réponse de l'assistant.
+// La question n'est enregistrée qu'avec sa réponse : un échec du fournisseur
+// ne laisse pas de message orphelin dans l'historique.
+async function chat(user, text) {
+    const message = String(text || '').trim();
+    if (!message) throw new AppError(400, "Message vide", 'MESSAGE_REQUIRED');
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new AppError(400, `Message trop long (${MAX_MESSAGE_LENGTH} caractères maximum)`, 'MESSAGE_TOO_LONG', { max: MAX_MESSAGE_LENGTH });
+    }
+
+    const byMinute = minuteLimiter.hit(user.id);
+    const byDay = dayLimiter.hit(user.id);
+    if (!byMinute.allowed || !byDay.allowed) {
+        throw new AppError(429, "Tu envoies trop de messages. Patiente un peu avant de réessayer.", 'RATE_LIMITED');
+    }
+
+    const question = { role: 'user', text: message, at: new Date().toISOString() };
+    const history = [...getMessages(user.id), question].slice(-HISTORY_LIMIT);
+
+    let answer = null;
+    try {
+        answer = await answerWithTools(user, history.map(({ role, text }) => ({ role, text })));
+    } catch (err) {
+        console.error(`[SUPPORT IA] Réponse impossible pour #${user.id}`, err);
+    }
+    if (!answer || !answer.text) {
+        throw new AppError(503, "L'assistant est indisponible pour le moment. Réessaie plus tard ou contacte le support.", 'AI_UNAVAILABLE');
+    }
+
+    const reply = { role: 'model', text: answer.text, suggestTicket: answer.suggestTicket, at: new Date().toISOString() };
+    db.transaction(() => {
+        const now = reply.at;
+        const conversation = findConversation(user.id)
+            || db.insert(TABLE, { userId: user.id, messages: [], createdAt: now, updatedAt: now });
+        db.update(TABLE, conversation.id, { messages: [...conversation.messages, question, reply], updatedAt: now });
+    });
+    return reply;
+}
+
+function clear(userId) {
+    const conversation = findConversation(userId);
+    if (conversation) db.remove(TABLE, conversation.id);
+}
+
+module.exports = { MAX_MESSAGE_LENGTH, getMessages, chat, clear };
@@ -0,0 +1,116 @@
+// --- OUTILS DE L'ASSISTANT SUPPORT ---
+// Fonctions que le modèle peut appeler pendant une conversation pour répondre
+// avec les vraies données du joueur connecté. Toutes sont en lecture seule et
+// ne voient que le compte de ce joueur (l'id vient de la session, jamais du modèle).
+//
+// Définition : name, description et parameters (schéma JSON, optionnel) sont
+// transmis au fournisseur IA ; run(user, args) produit le résultat renvoyé au modèle.
+const ledger = require('./ledger');
+const withdrawals = require('./withdrawals');
+const postbacks = require('./postbacks');
+
+const MAX_TRANSACTIONS = 20;
+const MAX_COMPLETIONS = 20;
+
+const TOOLS = [
+    {
+        name: 'get_withdrawals',
+        description: "Retraits du joueur (en cours et récents) : statut, date de fin de la période de vérification (holdUntil), article et prix.",
+        run(user) {
+            const items = withdrawals.listForUser(user.id).slice(0, 10).map(withdrawals.toPublic);
+            return {
+                verified: Boolean(user.verified),
+                holdDays: withdrawals.holdDaysFor(user),
+                open: items.filter(w => withdrawals.OPEN_STATES.includes(w.status)),
+                recent: items
+            };
+        }
+    },
+    {
+        name: 'get_recent_transactions',
+        description: "Derniers mouvements de Pixels du joueur (offres, quêtes, retraits, remboursements...) et son solde actuel.",
+        parameters: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', description: `Filtre optionnel sur le type : ${Object.keys(ledger.TYPES).join(', ')}` },
+                limit: { type: 'integer', description: `Nombre de mouvements (${MAX_TRANSACTIONS} maximum)` }
+            }
+        },
+        run(user, { type, limit } = {}) {
+            const { items } = ledger.listHistory(user.id, {
+                limit: Math.min(MAX_TRANSACTIONS, Math.max(1, Number(limit) || 10)),
+                type: ledger.TYPES[type] ? type : undefined
+            });
+            return { balance: ledger.getBalance(user.id), transactions: items };
+        }
+    },
+    {
+        name: 'get_offer_completions',
+        description: "Offres créditées au joueur par les offerwalls, avec le réseau, le gain et le statut (credited ou reversed). Une offre absente de cette liste n'a jamais été signalée par le réseau.",
+        parameters: {
+            type: 'object',
+            properties: {
+                network: { type: 'string', description: `Filtre optionnel sur le réseau : ${Object.keys(postbacks.adapters).join(', ')}` }
+            }
+        },
+        run(user, { network } = {}) {
+            const completions = postbacks.listCompletionsForUser(user.id, {
+                network: postbacks.adapters[network] ? network : undefined
+            });
+            const byNetwork = {};
+            completions.forEach(c => {
+                const stats = byNetwork[c.network] || (byNetwork[c.network] = { credited: 0, reversed: 0, pixels: 0 });
+                stats[c.status]++;
+                if (c.status === 'credited') stats.pixels += c.payout;
+            });
+            return {
+                byNetwork,
+                recent: completions.slice(0, MAX_COMPLETIONS).map(c => ({
+                    network: postbacks.adapters[c.network] ? postbacks.adapters[c.network].label : c.network,
+                    offerName: c.offerName,
+                    payout: c.payout,
+                    status: c.status,
+                    creditedAt: c.createdAt,
+                    reversedAt: c.reversedAt
+                }))
+            };
+        }
+    },
+    {
+        name: 'suggest_ticket',
+        description: "À appeler quand tu ne peux pas résoudre le problème avec les informations disponibles (offre non créditée après 24h, retrait bloqué, compte suspendu...) : le joueur se verra proposer d'ouvrir un ticket auprès de l'équipe, avec cette conversation jointe.",
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', description: "Résumé du problème en une phrase" }
+            }
+        },
+        run(user, { reason } = {}) {
+            return { suggested: true, reason: reason || null };
+        }
+    }
+];
+
+function findTool(name) {
+    return TOOLS.find(tool => tool.name === name) || null;
+}
+
+// Ce que le fournisseur IA voit des outils
+function declarations() {
+    return TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+// Exécute un appel demandé par le modèle ; une erreur est renvoyée au modèle
+// plutôt que de faire échouer toute la réponse
+function run(user, { name, args }) {
+    const tool = findTool(name);
+    if (!tool) return { error: `Outil inconnu : ${name}` };
+    try {
+        return tool.run(user, args || {});
+    } catch (err) {
+        console.error(`[SUPPORT IA] Outil ${name} en erreur pour #${user.id}`, err);
+        return { error: "Données indisponibles" };
+    }
+}
+
+module.exports = { declarations, run };
@@ -0,0 +1,294 @@
+// --- TICKETS SUPPORT ---
+// Un ticket = une catégorie, un sujet et un fil de messages entre le joueur et
+// l'équipe. Il peut pointer vers un mouvement du grand livre (offre, retrait...)
+// et embarquer la conversation avec l'assistant IA.
+//
+// Statuts : open (en attente de l'équipe) -> answered (en attente du joueur)
+//           -> resolved / closed. Une réponse du joueur rouvre le ticket.
+// SLA : l'équipe s'engage à répondre sous SLA_HOURS ; le compteur démarre
+// chaque fois que le ticket repasse en attente de l'équipe (`waitingSince`).
+const db = require('./db');
+const ledger = require('./ledger');
+const users = require('./users');
+const roles = require('./roles');
+const events = require('./events');
+const supportChat = require('./supportChat');
+const sanctions = require('./sanctions');
+const { AppError } = require('./errors');
+
+const TABLE = 'tickets';
+
+const SLA_HOURS = Number(process.env.TICKET_SLA_HOURS) || 24;
+const MAX_SUBJECT_LENGTH = 120;
+const MAX_MESSAGE_LENGTH = 5000;
+// Tickets ouverts en même temps par joueur (anti-spam)
+const MAX_OPEN_PER_USER = 5;
+
+const CATEGORIES = {
+    missing_offer: 'Offre non créditée',
+    withdrawal: 'Retrait',
+    account: 'Compte',
+    other: 'Autre'
+};
+
+const STATUSES = ['open', 'answered', 'resolved', 'closed'];
+const ACTIVE_STATES = ['open', 'answered'];
+
+// Réponses types du panel admin ; {username} est remplacé par le pseudo du joueur
+const CANNED_RESPONSES = [
+    {
+        id: 'offer-24h',
+        title: "Offre : attendre 24h",
+        text: "Bonjour {username},\n\nLes réseaux partenaires peuvent mettre jusqu'à 24h pour valider une offre. Si elle n'apparaît toujours pas dans ton historique passé ce délai, réponds à ce ticket avec une capture d'écran de l'offre terminée."
+    },
+    {
+        id: 'offer-network',
+        title: "Offre : contacter le réseau",
+        text: "Bonjour {username},\n\nNous n'avons reçu aucune notification du réseau pour cette offre. Contacte directement le support de l'offerwall (lien en bas du mur d'offres) : ils sont les seuls à pouvoir la valider."
+    },
+    {
+        id: 'withdrawal-hold',
+        title: "Retrait : période de vérification",
+        text: "Bonjour {username},\n\nTon retrait est dans sa période de vérification anti-fraude (premier retrait). Il sera traité dès la fin de cette période, tu recevras ton code par email et dans ton Coffre."
+    },
+    {
+        id: 'vpn',
+        title: "Compte : VPN détecté",
+        text: "Bonjour {username},\n\nNous avons détecté l'usage d'un VPN ou d'un proxy sur ton compte, ce qui est interdit par nos CGU (article 4). Désactive-le pour continuer à utiliser LootQuest."
+    },
+    {
+        id: 'resolved',
+        title: "Clôture : problème résolu",
+        text: "Bonjour {username},\n\nLe problème est résolu de notre côté. N'hésite pas à répondre à ce ticket si besoin.\n\nBon jeu !"
+    }
+];
+
+function findById(id) {
+    return db.findById(TABLE, id);
+}
+
+function listForUser(userId) {
+    return db.findAll(TABLE, t => t.userId === userId).reverse();
+}
+
+// File d'attente de l'équipe : tickets les plus urgents (SLA) d'abord
+function listAll({ statuses, assigneeId } = {}) {
+    return db.findAll(TABLE, t =>
+        (!statuses || statuses.includes(t.status)) &&
+        (assigneeId === undefined || t.assigneeId === assigneeId)
+    ).sort((a, b) => (slaDueAt(a) || '9999').localeCompare(slaDueAt(b) || '9999') || a.id - b.id);
+}
+
+function countByStatus() {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    db.findAll(TABLE).forEach(t => { counts[t.status]++; });
+    return counts;
+}
+
+// Échéance de réponse de l'équipe (null si le ticket n'attend pas l'équipe)
+function slaDueAt(ticket) {
+    if (ticket.status !== 'open') return null;
+    return new Date(Date.parse(ticket.waitingSince) + SLA_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+// `field` : 'subject' ou 'message' (codes SUBJECT_REQUIRED, MESSAGE_TOO_LONG...)
+const FIELD_LABELS = { subject: 'Sujet', message: 'Message' };
+function cleanText(text, max, field) {
+    const value = String(text || '').trim();
+    const code = field.toUpperCase();
+    if (!value) throw new AppError(400, `${FIELD_LABELS[field]} obligatoire`, `${code}_REQUIRED`);
+    if (value.length > max) throw new AppError(400, `${FIELD_LABELS[field]} trop long (${max} caractères maximum)`, `${code}_TOO_LONG`, { max });
+    return value;
+}
+
+function findForUser(userId, id) {
+    const ticket = findById(id);
+    if (!ticket || ticket.userId !== userId) throw new AppError(404, "Ticket introuvable", 'TICKET_NOT_FOUND');
+    return ticket;
+}
+
+// Nouveau ticket joueur. `transactionId` : mouvement du grand livre concerné ;
+// `attachChat` : joint la conversation en cours avec l'assistant IA.
+function create(user, { category, subject, message, transactionId = null, attachChat = false }) {
+    if (!CATEGORIES[category]) throw new AppError(400, "Catégorie inconnue", 'UNKNOWN_CATEGORY');
+    const cleanSubject = cleanText(subject, MAX_SUBJECT_LENGTH, 'subject');
+    const text = cleanText(message, MAX_MESSAGE_LENGTH, 'message');
+
+    if (transactionId) {
+        const transaction = ledger.findTransaction(Number(transactionId));
+        if (!transaction || transaction.userId !== user.id) throw new AppError(400, "Transaction introuvable", 'TRANSACTION_NOT_FOUND');
+    }
+    if (db.findAll(TABLE, t => t.userId === user.id && ACTIVE_STATES.includes(t.status)).length >= MAX_OPEN_PER_USER) {
+        throw new AppError(409, `Tu as déjà ${MAX_OPEN_PER_USER} tickets en cours. Attends une réponse avant d'en ouvrir un autre.`, 'TOO_MANY_OPEN_TICKETS', { max: MAX_OPEN_PER_USER });
+    }
+
+    const now = new Date().toISOString();
+    const ticket = db.insert(TABLE, {
+        userId: user.id,
+        category,
+        subject: cleanSubject,
+        status: 'open',
+        assigneeId: null,
+        transactionId: transactionId ? Number(transactionId) : null,
+        conversation: attachChat ? supportChat.getMessages(user.id).map(({ role, text: body, at }) => ({ role, text: body, at })) : [],
+        messages: [{ authorId: user.id, from: 'player', text, at: now }],
+        waitingSince: now,
+        firstResponseAt: null,
+        playerUnread: false,
+        createdAt: now,
+        updatedAt: now,
+        closedAt: null
+    });
+    console.log(`[TICKETS] #${ticket.id} ouvert par #${user.id} (${category})`);
+    publishUpdate(ticket);
+    return ticket;
+}
+
+// File de l'équipe en direct (voir realtime.js) ; retourne le ticket
+function publishUpdate(ticket) {
+    db.afterCommit(() => events.publish(events.EVENTS.TICKET_UPDATED, { userId: ticket.userId, ticketId: ticket.id, status: ticket.status }));
+    return ticket;
+}
+
+// Réponse du joueur : le ticket repasse en attente de l'équipe (et est rouvert
+// s'il était résolu). Un ticket fermé ne reçoit plus de message.
+function replyAsPlayer(user, id, message) {
+    const ticket = findForUser(user.id, id);
+    if (ticket.status === 'closed') throw new AppError(409, "Ce ticket est fermé. Ouvre un nouveau ticket si besoin.", 'TICKET_CLOSED');
+    const text = cleanText(message, MAX_MESSAGE_LENGTH, 'message');
+
+    const now = new Date().toISOString();
+    return publishUpdate(db.update(TABLE, ticket.id, {
+        status: 'open',
+        messages: [...ticket.messages, { authorId: user.id, from: 'player', text, at: now }],
+        waitingSince: ticket.status === 'open' ? ticket.waitingSince : now,
+        closedAt: null,
+        updatedAt: now
+    }));
+}
+
+// Réponse de l'équipe ; `status` permet de répondre et résoudre en une fois.
+// Le ticket non assigné revient à celui qui répond.
+function replyAsStaff(staff, id, message, { status = 'answered' } = {}) {
+    const ticket = findById(id);
+    if (!ticket) throw new AppError(404, "Ticket introuvable", 'TICKET_NOT_FOUND');
+    if (!['answered', 'resolved', 'closed'].includes(status)) throw new AppError(400, "Statut inconnu", 'UNKNOWN_STATUS');
+    const text = cleanText(message, MAX_MESSAGE_LENGTH, 'message');
+
+    const now = new Date().toISOString();
+    const updated = db.update(TABLE, ticket.id, {
+        status,
+        assigneeId: ticket.assigneeId || staff.id,
+        messages: [...ticket.messages, { authorId: staff.id, from: 'staff', text, at: now }],
+        firstResponseAt: ticket.firstResponseAt || now,
+        playerUnread: true,
+        closedAt: status === 'answered' ? null : now,
+        updatedAt: now
+    });
+
+    // Comme publishUpdate : annoncé seulement si la réponse est bien enregistrée
+    db.afterCommit(() => events.publish(events.EVENTS.TICKET_REPLIED, { userId: ticket.userId, ticketId: ticket.id, subject: ticket.subject }));
+    return updated;
+}
+
+// Changement de statut sans message (ex : fermer un doublon, rouvrir)
+function setStatus(id, status) {
+    const ticket = findById(id);
+    if (!ticket) throw new AppError(404, "Ticket introuvable", 'TICKET_NOT_FOUND');
+    if (!STATUSES.includes(status)) throw new AppError(400, "Statut inconnu", 'UNKNOWN_STATUS');
+
+    const now = new Date().toISOString();
+    return publishUpdate(db.update(TABLE, ticket.id, {
+        status,
+        waitingSince: status === 'open' && ticket.status !== 'open' ? now : ticket.waitingSince,
+        closedAt: ['resolved', 'closed'].includes(status) ? now : null,
+        updatedAt: now
+    }));
+}
+
+// `assigneeId` null = désassigner ; sinon un membre de l'équipe support
+function assign(id, assigneeId) {
+    const ticket = findById(id);
+    if (!ticket) throw new AppError(404, "Ticket introuvable", 'TICKET_NOT_FOUND');
+    if (assigneeId !== null && !roles.can(users.findById(assigneeId), 'tickets.handle')) {
+        throw new AppError(400, "Ce compte ne peut pas traiter les tickets", 'INVALID_ASSIGNEE');
+    }
+    return publishUpdate(db.update(TABLE, ticket.id, { assigneeId, updatedAt: new Date().toISOString() }));
+}
+
+// Le joueur a lu les dernières réponses
+function markRead(ticket) {
+    return ticket.playerUnread ? db.update(TABLE, ticket.id, { playerUnread: false }) : ticket;
+}
+
+function cannedResponses(ticket) {
+    const user = ticket ? users.findById(ticket.userId) : null;
+    return CANNED_RESPONSES.map(canned => ({
+        ...canned,
+        text: canned.text.replace(/\{username\}/g, user ? user.username : 'joueur')
+    }));
+}
+
+function transactionOf(ticket) {
+    const transaction = ticket.transactionId ? ledger.findTransaction(ticket.transactionId) : null;
+    return transaction
+        ? { id: transaction.id, type: transaction.type, amount: transaction.amount, status: transaction.status, label: transaction.description, date: transaction.createdAt }
+        : null;
+}
+
+// Ce que le joueur voit (les auteurs côté équipe restent anonymes : "Support")
+function toPublic(ticket, { withMessages = false } = {}) {
+    return {
+        id: ticket.id,
+        category: ticket.category,
+        subject: ticket.subject,
+        status: ticket.status,
+        transaction: transactionOf(ticket),
+        unread: Boolean(ticket.playerUnread),
+        messageCount: ticket.messages.length,
+        messages: withMessages ? ticket.messages.map(({ from, text, at }) => ({ from, text, at })) : undefined,
+        createdAt: ticket.createdAt,
+        updatedAt: ticket.updatedAt
+    };
+}
+
+// Vue complète pour l'équipe, avec l'échéance SLA
+function toAdmin(ticket, { withMessages = false } = {}) {
+    const user = users.findById(ticket.userId);
+    const assignee = ticket.assigneeId ? users.findById(ticket.assigneeId) : null;
+    const dueAt = slaDueAt(ticket);
+    return {
+        ...toPublic(ticket),
+        user: user ? { id: user.id, username: user.username, email: user.email, account: sanctions.statusOf(user) } : null,
+        assignee: assignee ? { id: assignee.id, username: assignee.username } : null,
+        slaDueAt: dueAt,
+        slaBreached: Boolean(dueAt && Date.parse(dueAt) < Date.now()),
+        firstResponseAt: ticket.firstResponseAt,
+        lastMessage: ticket.messages[ticket.messages.length - 1],
+        messages: withMessages
+            ? ticket.messages.map(m => ({ ...m, author: users.findById(m.authorId)?.username || null }))
+            : undefined,
+        conversation: withMessages ? ticket.conversation : undefined
+    };
+}
+
+module.exports = {
+    SLA_HOURS,
+    CATEGORIES,
+    STATUSES,
+    ACTIVE_STATES,
+    findById,
+    listForUser,
+    listAll,
+    countByStatus,
+    findForUser,
+    create,
+    replyAsPlayer,
+    replyAsStaff,
+    setStatus,
+    assign,
+    markRead,
+    cannedResponses,
+    toPublic,
+    toAdmin
+};
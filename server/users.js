@@ -0,0 +1,326 @@
+// --- COMPTES JOUEURS ---
+// Un compte LootQuest est identifié en interne par son `id`. Chaque moyen de
+// connexion (Google, Discord...) est une "identité" rattachée à ce compte :
+// un joueur peut en lier plusieurs, mais une identité n'appartient qu'à un compte.
+const db = require('./db');
+const ledger = require('./ledger');
+const roles = require('./roles');
+const events = require('./events');
+const { AppError } = require('./errors');
+
+const TABLE = 'users';
+const IDENTITIES = 'identities';
+
+// Migration : les comptes créés avant la liaison multi-providers portaient
+// provider/providerId directement sur leur fiche.
+db.transaction(() => {
+    db.findAll(TABLE, u => u.provider && u.providerId).forEach(u => {
+        db.insert(IDENTITIES, {
+            userId: u.id,
+            provider: u.provider,
+            providerId: u.providerId,
+            email: u.email || null,
+            linkedAt: u.createdAt
+        });
+        db.update(TABLE, u.id, { provider: undefined, providerId: undefined });
+    });
+});
+
+// Premier admin : les comptes listés dans ADMIN_EMAILS sont promus au démarrage
+db.transaction(() => {
+    const emails = roles.bootstrapAdminEmails();
+    db.findAll(TABLE, u => emails.includes(u.email) && u.role !== 'admin').forEach(u => {
+        console.log(`[ROLES] ${u.email} promu admin (ADMIN_EMAILS)`);
+        db.update(TABLE, u.id, { role: 'admin' });
+    });
+});
+
+function normalizeEmail(email) {
+    return email ? String(email).trim().toLowerCase() : null;
+}
+
+function findById(id) {
+    return db.findById(TABLE, id);
+}
+
+function findByEmail(email) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return null;
+    return db.findOne(TABLE, u => normalizeEmail(u.email) === normalized);
+}
+
+function findIdentity(provider, providerId) {
+    return db.findOne(IDENTITIES, i => i.provider === provider && i.providerId === providerId);
+}
+
+function listIdentities(userId) {
+    return db.findAll(IDENTITIES, i => i.userId === userId);
+}
+
+// `context` : d'où vient l'inscription ({ referralCode, ip, deviceId }), transmis
+// aux abonnés de l'événement "user.signed_up" (parrainage, anti-fraude...)
+function createFromProfile({ provider, providerId, username, email, avatar }, context = {}) {
+    const now = new Date().toISOString();
+    const created = db.transaction(() => {
+        const user = db.insert(TABLE, {
+            username,
+            email: normalizeEmail(email),
+            avatar,
+            xp: 0,
+            level: 1,
+            rank: 'NOVICE',
+            verified: false, // Passe à true au premier retrait livré
+            role: roles.bootstrapAdminEmails().includes(normalizeEmail(email)) ? 'admin' : 'player',
+            signupIp: context.ip || null,
+            knownIps: context.ip ? [context.ip] : [],
+            knownDevices: context.deviceId ? [context.deviceId] : [],
+            createdAt: now,
+            lastLoginAt: now
+        });
+        db.insert(IDENTITIES, { userId: user.id, provider, providerId, email: normalizeEmail(email), linkedAt: now });
+        return user;
+    });
+
+    events.publish(events.EVENTS.USER_SIGNED_UP, { userId: created.id, ...context });
+    return created;
+}
+
+// Connexion classique via un provider. Trois cas :
+// - identité connue : on retourne le compte associé ;
+// - email déjà utilisé par un autre compte : on propose une fusion (mergeCandidate)
+//   plutôt que de créer un doublon (CGU 2.2 : un compte par personne) ;
+// - sinon : nouveau compte.
+function resolveLogin(profile, context) {
+    const identity = findIdentity(profile.provider, profile.providerId);
+    if (identity) {
+        const user = findById(identity.userId);
+        return {
+            user: db.update(TABLE, user.id, {
+                avatar: user.avatar || profile.avatar,
+                email: user.email || normalizeEmail(profile.email),
+                lastLoginAt: new Date().toISOString()
+            })
+        };
+    }
+
+    const sameEmail = findByEmail(profile.email);
+    if (sameEmail) return { mergeCandidate: sameEmail };
+
+    return { user: createFromProfile(profile, context) };
+}
+
+// Pseudo d'un compte créé par lien magique : partie locale de l'email réduite
+// aux caractères sûrs (une partie locale entre guillemets peut contenir du HTML)
+const EMAIL_USERNAME_MAX_LENGTH = 24;
+function usernameFromEmail(email) {
+    const local = email.slice(0, email.lastIndexOf('@'));
+    return local.replace(/[^a-z0-9._-]/g, '').slice(0, EMAIL_USERNAME_MAX_LENGTH) || 'joueur';
+}
+
+// Connexion par lien magique, mêmes trois cas que resolveLogin :
+// - identité "email" connue : on retourne le compte associé ;
+// - adresse portée par un compte sans identité "email" : fusion explicite
+//   (mergeCandidate). Recevoir le lien ne prouve pas que ce compte appartient
+//   au joueur : l'adresse a pu y être enregistrée par quelqu'un d'autre ;
+// - sinon : nouveau compte.
+function resolveEmailLogin(email, context) {
+    const normalized = normalizeEmail(email);
+    const identity = findIdentity('email', normalized);
+
+    if (identity) {
+        return { user: db.update(TABLE, identity.userId, { lastLoginAt: new Date().toISOString() }) };
+    }
+
+    const profile = {
+        provider: 'email',
+        providerId: normalized,
+        username: usernameFromEmail(normalized),
+        email: normalized,
+        avatar: null
+    };
+    const sameEmail = findByEmail(normalized);
+    if (sameEmail) return { mergeCandidate: sameEmail, profile };
+
+    return { user: createFromProfile(profile, context) };
+}
+
+// Rattache une identité à un compte existant (depuis le dashboard ou après fusion)
+function linkIdentity(userId, { provider, providerId, email }) {
+    const existing = findIdentity(provider, providerId);
+    if (existing) {
+        if (existing.userId === userId) return existing;
+        throw new AppError(409, "Ce compte est déjà lié à un autre joueur LootQuest.", 'IDENTITY_TAKEN');
+    }
+    if (listIdentities(userId).some(i => i.provider === provider)) {
+        throw new AppError(409, `Un compte ${provider} est déjà lié. Délie-le d'abord.`, 'PROVIDER_ALREADY_LINKED', { provider });
+    }
+
+    return db.insert(IDENTITIES, {
+        userId,
+        provider,
+        providerId,
+        email: normalizeEmail(email),
+        linkedAt: new Date().toISOString()
+    });
+}
+
+// Garde les N dernières valeurs distinctes (IPs / appareils vus pour un compte)
+const KNOWN_LIMIT = 20;
+function isNew(list, value) {
+    return Boolean(value) && !(list || []).includes(value);
+}
+function remember(list, value) {
+    return isNew(list, value) ? [...(list || []), value].slice(-KNOWN_LIMIT) : list || [];
+}
+
+// Appelé à chaque requête d'un joueur connecté : mémorise ses IPs / appareils
+// (contrôles anti-abus) et, à la première requête de la journée (UTC), annonce
+// la connexion quotidienne (quêtes, bonus...). N'écrit que si quelque chose change.
+// Compte bloqué (blocked, voir sanctions.isBlocked) : IPs / appareils toujours
+// mémorisés, mais aucune connexion quotidienne (elle reste due s'il est débloqué
+// dans la journée).
+function recordActivity(user, { ip, deviceId, blocked = false } = {}) {
+    const day = new Date().toISOString().slice(0, 10);
+    const newDay = !blocked && user.lastActiveDay !== day;
+    if (!newDay && !isNew(user.knownIps, ip) && !isNew(user.knownDevices, deviceId)) return false;
+
+    db.update(TABLE, user.id, {
+        lastActiveDay: blocked ? user.lastActiveDay : day,
+        knownIps: remember(user.knownIps, ip),
+        knownDevices: remember(user.knownDevices, deviceId)
+    });
+    if (newDay) events.publish(events.EVENTS.DAILY_LOGIN, { userId: user.id, day });
+    return newDay;
+}
+
+// Autres comptes vus sur les mêmes IPs / appareils (détection multi-comptes)
+function listSharingNetwork(userId, { ips = [], devices = [] }) {
+    const others = db.findAll(TABLE, u => u.id !== userId);
+    return {
+        byIp: others.filter(u => (u.knownIps || []).some(ip => ips.includes(ip))),
+        byDevice: others.filter(u => (u.knownDevices || []).some(device => devices.includes(device)))
+    };
+}
+
+// Code de parrainage (généré une fois, voir referrals.js)
+function findByReferralCode(code) {
+    if (!code) return null;
+    return db.findOne(TABLE, u => u.referralCode === String(code).toUpperCase());
+}
+
+function setReferralCode(id, referralCode) {
+    return db.update(TABLE, id, { referralCode });
+}
+
+function setReferredBy(id, referrerId) {
+    return db.update(TABLE, id, { referredBy: referrerId });
+}
+
+// XP / niveau / rang calculés par progression.js
+function setProgress(id, { xp, level, rank }) {
+    return db.update(TABLE, id, { xp, level, rank });
+}
+
+// Le joueur a vu l'animation de passage de niveau
+function markLevelCelebrated(id) {
+    return db.update(TABLE, id, { celebratedLevel: findById(id).level });
+}
+
+// Comptes d'équipe pouvant recevoir une tâche (ex : assignation d'un ticket)
+function listWithPermission(permission) {
+    return db.findAll(TABLE, u => roles.can(u, permission));
+}
+
+function setRole(id, role) {
+    if (!roles.ROLES.includes(role)) throw new AppError(400, `Rôle inconnu : ${role}`, 'UNKNOWN_ROLE', { role });
+    if (!findById(id)) throw new AppError(404, "Joueur introuvable", 'USER_NOT_FOUND');
+    return db.update(TABLE, id, { role });
+}
+
+// Fuseau horaire du joueur (jour calendaire du bonus quotidien, voir dailyBonus.js)
+function setTimezone(id, timezone) {
+    return db.update(TABLE, id, { timezone });
+}
+
+// Langue de l'interface choisie par le joueur (voir locale.js)
+function setLocale(id, locale) {
+    return db.update(TABLE, id, { locale });
+}
+
+// Statut du compte et sanction en cours (voir sanctions.js)
+function setStatus(id, { status, statusReason, statusUntil, statusSetAt, statusSetBy }) {
+    return db.update(TABLE, id, { status, statusReason, statusUntil, statusSetAt, statusSetBy });
+}
+
+// Recherche du panel admin : id exact, ou morceau de pseudo / email
+function search(query, { limit = 50 } = {}) {
+    const q = String(query || '').trim().toLowerCase();
+    const matches = db.findAll(TABLE, u => !q
+        || String(u.id) === q.replace(/^#/, '')
+        || (u.username || '').toLowerCase().includes(q)
+        || (normalizeEmail(u.email) || '').includes(q));
+    return matches.reverse().slice(0, limit);
+}
+
+// Compte "Humain" vérifié : les retraits suivants ne passent plus par les 7 jours
+function markVerified(id) {
+    const user = findById(id);
+    if (user.verified) return user;
+    return db.update(TABLE, id, { verified: true, verifiedAt: new Date().toISOString() });
+}
+
+function unlinkIdentity(userId, provider) {
+    const identities = listIdentities(userId);
+    const identity = identities.find(i => i.provider === provider);
+    if (!identity) throw new AppError(404, "Aucun compte de ce type n'est lié.", 'IDENTITY_NOT_FOUND');
+    if (identities.length === 1) {
+        throw new AppError(400, "Impossible de délier ta dernière méthode de connexion.", 'LAST_LOGIN_METHOD');
+    }
+    db.remove(IDENTITIES, identity.id);
+}
+
+// Ce que le frontend a le droit de voir
+function toPublic(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        avatar: user.avatar,
+        pixels: ledger.getBalance(user.id), // Jamais stocké sur la fiche : déduit du grand livre
+        xp: user.xp,
+        level: user.level,
+        rank: user.rank,
+        verified: Boolean(user.verified),
+        role: roles.roleOf(user),
+        permissions: roles.permissionsOf(user),
+        identities: listIdentities(user.id).map(i => ({ provider: i.provider, linkedAt: i.linkedAt })),
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt
+    };
+}
+
+module.exports = {
+    normalizeEmail,
+    findById,
+    findByEmail,
+    listIdentities,
+    createFromProfile,
+    resolveLogin,
+    resolveEmailLogin,
+    linkIdentity,
+    unlinkIdentity,
+    markVerified,
+    recordActivity,
+    listSharingNetwork,
+    findByReferralCode,
+    setReferralCode,
+    setReferredBy,
+    setProgress,
+    markLevelCelebrated,
+    listWithPermission,
+    setRole,
+    setStatus,
+    setTimezone,
+    setLocale,
+    search,
+    toPublic
+};
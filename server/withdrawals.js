@@ -0,0 +1,290 @@
+// --- RETRAITS (échange de Pixels contre une récompense du Loot Shop) ---
+// Cycle de vie : pending -> in_review -> approved -> delivered
+//                                     \-> rejected (Pixels remboursés)
+// Les Pixels sont réservés dès la demande : la transaction "withdrawal" du grand
+// livre reste "pending" jusqu'à la livraison.
+const db = require('./db');
+const ledger = require('./ledger');
+const catalog = require('./catalog');
+const users = require('./users');
+const codes = require('./codes');
+const mailer = require('./mailer');
+const progression = require('./progression');
+const risk = require('./risk');
+const sanctions = require('./sanctions');
+const events = require('./events');
+const { AppError } = require('./errors');
+
+const TABLE = 'withdrawals';
+
+// Premier retrait d'un compte non vérifié : contrôle manuel (CGU 5.1)
+const FIRST_HOLD_DAYS = Number(process.env.FIRST_WITHDRAWAL_HOLD_DAYS) || 7;
+
+const TRANSITIONS = {
+    pending: ['in_review', 'rejected'],
+    in_review: ['approved', 'rejected'],
+    approved: ['delivered'],
+    rejected: [],
+    delivered: []
+};
+
+const OPEN_STATES = ['pending', 'in_review', 'approved'];
+
+function findById(id) {
+    return db.findById(TABLE, id);
+}
+
+function listForUser(userId) {
+    return db.findAll(TABLE, w => w.userId === userId).reverse();
+}
+
+// File d'attente admin : plus anciens d'abord (premier arrivé, premier servi)
+function listAll({ statuses } = {}) {
+    return db.findAll(TABLE, w => !statuses || statuses.includes(w.status));
+}
+
+function countByStatus() {
+    const counts = Object.fromEntries(Object.keys(TRANSITIONS).map(status => [status, 0]));
+    db.findAll(TABLE).forEach(w => { counts[w.status]++; });
+    return counts;
+}
+
+// Retrait en cours le plus récent (carte "PROCHAIN RETRAIT" du dashboard)
+function findOpenForUser(userId) {
+    return listForUser(userId).find(w => OPEN_STATES.includes(w.status)) || null;
+}
+
+// Unités encore achetables : codes libres une fois servies les demandes en
+// attente de validation, plafonnés par le stock de l'article s'il est limité.
+// Un article livré à la main n'a que son stock (null : illimité).
+function availableStock(item) {
+    if (!codes.isCodeDelivered(item.id)) return item.stock;
+    const waiting = db.findAll(TABLE, w => w.itemId === item.id && ['pending', 'in_review'].includes(w.status)).length;
+    const codeStock = Math.max(0, codes.countAvailable(item.id) - waiting);
+    return item.stock === null ? codeStock : Math.min(item.stock, codeStock);
+}
+
+// Achats comptant pour la limite par joueur (un retrait refusé ne compte pas)
+function countPurchases(userId, itemId) {
+    return db.findAll(TABLE, w => w.userId === userId && w.itemId === itemId && w.status !== 'rejected').length;
+}
+
+// Durée de vérification pour ce joueur (raccourcie par les avantages de niveau)
+function holdDaysFor(user) {
+    return progression.holdDaysFor(user, FIRST_HOLD_DAYS);
+}
+
+// Période de vérification d'un compte non vérifié (aucun retrait livré) : elle
+// démarre au premier retrait non refusé et couvre aussi les demandes faites
+// pendant qu'elle court (même échéance, pas une nouvelle période). Une fois
+// échue, les demandes suivantes n'attendent plus. Un retrait refusé ne compte
+// pas : la demande suivante ouvre une nouvelle période.
+function holdUntilFor(user, now) {
+    if (user.verified) return null;
+    const first = db.findOne(TABLE, w => w.userId === user.id && w.status !== 'rejected' && w.holdUntil);
+    if (first) return Date.parse(first.holdUntil) > now ? first.holdUntil : null;
+    return new Date(now + holdDaysFor(user) * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Crée la demande de retrait et réserve les Pixels.
+// `requestKey` (en-tête Idempotency-Key) évite le double achat sur double clic.
+// `country` : pays du joueur, pour les articles réservés à certains pays.
+// `ip` / `deviceId` : origine de la demande, pour le score de risque fraude
+// (un score élevé envoie directement la demande en vérification manuelle).
+function redeem(user, itemId, requestKey, { country = null, ip = null, deviceId = null } = {}) {
+    if (!sanctions.canWithdraw(user)) {
+        throw new AppError(403, "Les retraits sont bloqués sur ton compte. Contacte le support pour en savoir plus.", 'WITHDRAWALS_RESTRICTED');
+    }
+    const item = catalog.findItem(itemId);
+    if (!item || !item.enabled) throw new AppError(404, "Article introuvable", 'ITEM_NOT_FOUND');
+    if (!catalog.acceptsCountry(item, country)) {
+        throw new AppError(403, `"${item.name}" n'est pas disponible dans ton pays`, 'ITEM_NOT_IN_COUNTRY', { item: item.name });
+    }
+    if ((user.level || 1) < item.minLevel) {
+        throw new AppError(403, `"${item.name}" est réservé aux joueurs niveau ${item.minLevel}+`, 'LEVEL_REQUIRED', { item: item.name, level: item.minLevel });
+    }
+
+    return db.transaction(() => {
+        if (requestKey) {
+            const existing = db.findOne(TABLE, w => w.userId === user.id && w.requestKey === requestKey);
+            if (existing) return existing;
+        }
+
+        if (availableStock(item) === 0) {
+            throw new AppError(409, `"${item.name}" est en rupture de stock`, 'OUT_OF_STOCK', { item: item.name });
+        }
+        if (item.purchaseLimit && countPurchases(user.id, item.id) >= item.purchaseLimit) {
+            throw new AppError(409, `Limite atteinte : ${item.purchaseLimit} achat(s) maximum pour "${item.name}"`, 'PURCHASE_LIMIT', { item: item.name, limit: item.purchaseLimit });
+        }
+
+        const price = catalog.currentPrice(item);
+
+        const now = Date.now();
+        const createdAt = new Date(now).toISOString();
+        const withdrawal = db.insert(TABLE, {
+            userId: user.id,
+            itemId: item.id,
+            itemName: item.name,
+            price,
+            status: 'pending',
+            holdUntil: holdUntilFor(user, now),
+            requestKey: requestKey || null,
+            ledgerTransactionId: null,
+            history: [{ status: 'pending', at: createdAt, by: user.id }],
+            createdAt,
+            updatedAt: createdAt
+        });
+
+        // Lève INSUFFICIENT_FUNDS si le solde ne suffit pas : la transaction
+        // db est alors annulée et la demande n'existe pas.
+        const { transaction } = ledger.post({
+            userId: user.id,
+            type: 'withdrawal',
+            amount: -price,
+            status: 'pending',
+            idempotencyKey: `withdrawal:${withdrawal.id}`,
+            description: `Retrait: ${item.name}`,
+            meta: { withdrawalId: withdrawal.id, itemId: item.id }
+        });
+
+        catalog.adjustStock(item.id, -1);
+
+        const assessment = risk.evaluate(user, { withdrawal, ip, deviceId });
+        const flagged = assessment.level === 'high';
+        if (flagged) {
+            console.warn(`[RISQUE] Retrait #${withdrawal.id} de #${user.id} envoyé en vérification (score ${assessment.score})`);
+        }
+        const created = db.update(TABLE, withdrawal.id, {
+            ledgerTransactionId: transaction.id,
+            risk: assessment,
+            status: flagged ? 'in_review' : withdrawal.status,
+            history: flagged
+                ? [...withdrawal.history, { status: 'in_review', at: createdAt, by: null, note: `Risque fraude élevé (${assessment.score}/100)` }]
+                : withdrawal.history
+        });
+        publishUpdate(created);
+        return created;
+    });
+}
+
+// Nouvelle demande ou changement de statut, annoncé une fois enregistré
+// (joueur et file admin en direct, voir realtime.js)
+function publishUpdate(withdrawal) {
+    db.afterCommit(() => events.publish(events.EVENTS.WITHDRAWAL_UPDATED, {
+        userId: withdrawal.userId,
+        withdrawalId: withdrawal.id,
+        itemName: withdrawal.itemName,
+        status: withdrawal.status
+    }));
+}
+
+// Fait avancer un retrait dans la machine à états
+function transition(id, to, { actorId = null, note = null } = {}) {
+    const withdrawal = findById(id);
+    if (!withdrawal) throw new AppError(404, "Retrait introuvable", 'WITHDRAWAL_NOT_FOUND');
+    if (!TRANSITIONS[withdrawal.status].includes(to)) {
+        throw new AppError(409, `Transition impossible : ${withdrawal.status} -> ${to}`, 'INVALID_TRANSITION', { from: withdrawal.status, to });
+    }
+    if (to === 'rejected' && !(note && String(note).trim())) {
+        throw new AppError(400, "Une raison est obligatoire pour refuser un retrait", 'REJECT_REASON_REQUIRED');
+    }
+    if (to === 'approved' && withdrawal.holdUntil && Date.parse(withdrawal.holdUntil) > Date.now()) {
+        throw new AppError(409, `Période de vérification en cours jusqu'au ${new Date(withdrawal.holdUntil).toLocaleDateString('fr-FR')}`, 'WITHDRAWAL_ON_HOLD', { date: withdrawal.holdUntil });
+    }
+
+    let deliveredCode = null;
+    const updated = db.transaction(() => {
+        const now = new Date().toISOString();
+
+        if (to === 'approved') {
+            // Lève OUT_OF_STOCK s'il n'y a plus de code : le retrait reste en vérification
+            codes.reserveFor(withdrawal);
+        }
+
+        if (to === 'rejected') {
+            ledger.setStatus(withdrawal.ledgerTransactionId, 'failed');
+            ledger.post({
+                userId: withdrawal.userId,
+                type: 'refund',
+                amount: withdrawal.price,
+                idempotencyKey: `withdrawal:${withdrawal.id}:refund`,
+                description: `Remboursement: ${withdrawal.itemName}`,
+                meta: { withdrawalId: withdrawal.id }
+            });
+            catalog.adjustStock(withdrawal.itemId, 1);
+        }
+
+        if (to === 'delivered') {
+            deliveredCode = codes.deliverFor(withdrawal);
+            ledger.setStatus(withdrawal.ledgerTransactionId, 'completed');
+            // Premier retrait livré : le joueur passe en "Speed Run" (24-48h)
+            users.markVerified(withdrawal.userId);
+        }
+
+        const changed = db.update(TABLE, withdrawal.id, {
+            status: to,
+            updatedAt: now,
+            history: [...withdrawal.history, { status: to, at: now, by: actorId, note }]
+        });
+        publishUpdate(changed);
+        return changed;
+    });
+
+    if (deliveredCode) sendCode(updated, deliveredCode);
+    return updated;
+}
+
+// Le code reste consultable dans "Mes codes" : un échec d'envoi est seulement loggé
+function sendCode(withdrawal, code) {
+    const user = users.findById(withdrawal.userId);
+    if (!user.email) return;
+    mailer.sendMail({
+        to: user.email,
+        subject: `Ta récompense LootQuest : ${withdrawal.itemName}`,
+        text: `Salut ${user.username} !\n\nVoici ton code pour "${withdrawal.itemName}" :\n${code}\n\nTu le retrouves aussi à tout moment dans ton Coffre, section "Mes codes".`,
+        html: `<p>Salut ${mailer.escapeHtml(user.username)} !</p><p>Voici ton code pour "${mailer.escapeHtml(withdrawal.itemName)}" :</p><p><strong style="font-family:monospace;font-size:18px">${mailer.escapeHtml(code)}</strong></p><p>Tu le retrouves aussi à tout moment dans ton Coffre, section "Mes codes".</p>`
+    }).catch(err => console.error(`[RETRAIT] Envoi du code #${withdrawal.id} impossible`, err));
+}
+
+// Vue complète pour le panel admin
+function toAdmin(withdrawal) {
+    const user = users.findById(withdrawal.userId);
+    return {
+        ...toPublic(withdrawal),
+        user: user ? { id: user.id, username: user.username, verified: Boolean(user.verified), account: sanctions.statusOf(user) } : null,
+        risk: withdrawal.risk || null,
+        history: withdrawal.history
+    };
+}
+
+// Ce que le joueur voit de ses retraits
+function toPublic(withdrawal) {
+    return {
+        id: withdrawal.id,
+        itemId: withdrawal.itemId,
+        itemName: withdrawal.itemName,
+        price: withdrawal.price,
+        status: withdrawal.status,
+        holdUntil: withdrawal.holdUntil,
+        createdAt: withdrawal.createdAt,
+        updatedAt: withdrawal.updatedAt
+    };
+}
+
+module.exports = {
+    FIRST_HOLD_DAYS,
+    OPEN_STATES,
+    holdDaysFor,
+    STATUSES: Object.keys(TRANSITIONS),
+    findById,
+    listForUser,
+    listAll,
+    countByStatus,
+    findOpenForUser,
+    availableStock,
+    countPurchases,
+    redeem,
+    transition,
+    toPublic,
+    toAdmin
+};
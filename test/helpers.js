@@ -0,0 +1,25 @@
+// --- OUTILS DES TESTS ---
+// À requérir avant tout module du serveur : la base (DB_FILE) et les secrets
+// sont lus au chargement des modules. Chaque fichier de test tourne dans son
+// propre processus (node --test), avec une base JSON jetable.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lootquest-test-'));
+process.env.DB_FILE = path.join(dir, 'db.json');
+process.env.SESSION_SECRET = 'test-secret';
+process.env.AI_PROVIDER = 'fake';
+process.env.MAIL_TRANSPORT = 'console';
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+let count = 0;
+
+// Joueur inscrit par email (même chemin que la connexion par lien magique)
+function createPlayer(username = `joueur${++count}`) {
+    const users = require('../server/users');
+    const email = `${username}@test.lootquest.gg`;
+    return users.createFromProfile({ provider: 'email', providerId: email, username, email });
+}
+
+module.exports = { createPlayer };
@@ -0,0 +1,132 @@
+// Postbacks offerwall : signature / IP, crédit unique par transaction réseau,
+// chargebacks, sur les exemples de server/postbacks/samples
+const { createPlayer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLES_DIR = path.join(__dirname, '../server/postbacks/samples');
+const samples = {};
+fs.readdirSync(SAMPLES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+    samples[file.replace(/\.json$/, '')] = JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, file), 'utf8'));
+});
+Object.values(samples).forEach(sample => {
+    if (sample.config.secret) process.env[`POSTBACK_${sample.network.toUpperCase()}_SECRET`] = sample.config.secret;
+});
+
+const postbacks = require('../server/postbacks');
+const ledger = require('../server/ledger');
+const events = require('../server/events');
+const { signSubId } = require('../server/offerwalls');
+
+// Les exemples créditent le joueur #1
+const player = createPlayer();
+const other = createPlayer();
+
+const published = [];
+events.subscribe(events.EVENTS.OFFER_COMPLETED, payload => published.push({ type: 'completed', ...payload }));
+events.subscribe(events.EVENTS.OFFER_REVERSED, payload => published.push({ type: 'reversed', ...payload }));
+
+function send(name, overrides = {}, ip) {
+    const sample = samples[name];
+    return postbacks.handle(sample.network, { ...sample.params, ...overrides }, ip || sample.ip);
+}
+
+test('les exemples sont attribués au premier joueur', () => {
+    assert.equal(player.id, 1);
+});
+
+test('un postback valide crédite le joueur une fois', () => {
+    const before = ledger.getBalance(player.id);
+    const result = send('01-adgate-credit');
+
+    assert.deepEqual(result, { status: 200, body: '1' });
+    assert.equal(ledger.getBalance(player.id), before + 2500);
+    const completion = postbacks.findCompletion('adgate', 'ag-9f2c71');
+    assert.equal(completion.status, 'credited');
+    assert.equal(completion.userId, player.id);
+    assert.equal(published.filter(e => e.transactionId === 'ag-9f2c71').length, 1);
+});
+
+test('un postback rejoué ne crédite pas une deuxième fois', () => {
+    const before = ledger.getBalance(player.id);
+    const result = send('01-adgate-credit');
+
+    // Succès quand même, sinon le réseau réessaie indéfiniment
+    assert.deepEqual(result, { status: 200, body: '1' });
+    assert.equal(ledger.getBalance(player.id), before);
+    assert.equal(postbacks.listCompletionsForUser(player.id).filter(c => c.transactionId === 'ag-9f2c71').length, 1);
+    assert.equal(published.filter(e => e.transactionId === 'ag-9f2c71').length, 1);
+});
+
+test('un chargeback reprend les Pixels du joueur crédité, une seule fois', () => {
+    const before = ledger.getBalance(player.id);
+    const otherBefore = ledger.getBalance(other.id);
+
+    // user_id d'un chargeback non fiable : c'est le joueur crédité qui est débité
+    assert.equal(send('02-adgate-chargeback', { user_id: String(other.id) }).status, 200);
+    assert.equal(ledger.getBalance(player.id), before - 2500);
+    assert.equal(ledger.getBalance(other.id), otherBefore);
+    assert.equal(postbacks.findCompletion('adgate', 'ag-9f2c71').status, 'reversed');
+    assert.deepEqual(published.at(-1), { type: 'reversed', userId: player.id, network: 'adgate', transactionId: 'ag-9f2c71', payout: 2500 });
+
+    assert.equal(send('02-adgate-chargeback').status, 200);
+    assert.equal(ledger.getBalance(player.id), before - 2500);
+    assert.equal(published.filter(e => e.type === 'reversed').length, 1);
+});
+
+test('un chargeback sans crédit connu est sans effet', () => {
+    const before = ledger.getBalance(player.id);
+    assert.equal(send('02-adgate-chargeback', { tx_id: 'ag-inconnue' }).status, 200);
+    assert.equal(ledger.getBalance(player.id), before);
+    assert.equal(postbacks.findCompletion('adgate', 'ag-inconnue'), null);
+});
+
+test('les adaptateurs signés créditent puis annulent', () => {
+    const before = ledger.getBalance(player.id);
+
+    assert.deepEqual(send('04-offertoro-credit'), { status: 200, body: '1' });
+    assert.equal(send('07-cpx-credit').status, 200);
+    assert.equal(ledger.getBalance(player.id), before + 1200 + 180);
+
+    assert.equal(send('05-offertoro-chargeback').status, 200);
+    assert.equal(send('08-cpx-reversal').status, 200);
+    assert.equal(ledger.getBalance(player.id), before);
+    assert.equal(postbacks.findCompletion('offertoro', 'ot-771204').status, 'reversed');
+    assert.equal(postbacks.findCompletion('cpx', 'cpx-55810').status, 'reversed');
+});
+
+test('une signature falsifiée est refusée sans créditer', () => {
+    const before = ledger.getBalance(player.id);
+
+    assert.deepEqual(send('06-offertoro-bad-signature'), { status: 403, body: 'Invalid signature' });
+    assert.equal(send('07-cpx-credit', { trans_id: 'cpx-forge' }).status, 403);
+    assert.equal(send('04-offertoro-credit', { user_id: String(other.id) }).status, 403);
+    assert.equal(ledger.getBalance(player.id), before);
+    assert.equal(ledger.getBalance(other.id), 0);
+    assert.equal(postbacks.findCompletion('offertoro', 'ot-771205'), null);
+});
+
+test('une IP hors liste blanche est refusée', () => {
+    assert.equal(send('03-adgate-wrong-ip').status, 403);
+    assert.equal(send('04-offertoro-credit', { id: 'ot-autre-ip' }, '203.0.113.10').status, 403);
+    assert.equal(postbacks.findCompletion('offertoro', 'ot-autre-ip'), null);
+});
+
+test('AdGate contrôle le subid signé quand il est présent', () => {
+    const params = { tx_id: 'ag-s2', user_id: String(other.id) };
+
+    assert.equal(send('01-adgate-credit', { ...params, s2: signSubId('adgate', player.id) }).status, 403);
+    assert.equal(ledger.getBalance(other.id), 0);
+
+    assert.equal(send('01-adgate-credit', { ...params, s2: signSubId('adgate', other.id) }).status, 200);
+    assert.equal(ledger.getBalance(other.id), 2500);
+});
+
+test('réseau inconnu et paramètres invalides', () => {
+    assert.equal(postbacks.handle('inconnu', {}, '127.0.0.1').status, 404);
+    assert.equal(send('01-adgate-credit', { tx_id: 'ag-zero', points: '0' }).status, 400);
+    assert.equal(send('01-adgate-credit', { tx_id: 'ag-sans-joueur', user_id: '999' }).status, 400);
+    assert.equal(send('01-adgate-credit', { tx_id: '' }).status, 400);
+});
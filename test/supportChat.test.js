@@ -0,0 +1,130 @@
+// Assistant support : appels d'outils avec le fournisseur IA local ("fake",
+// voir server/ai.js), qui appelle l'outil évoqué par des mots-clés puis
+// résume son résultat
+const { createPlayer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ai = require('../server/ai');
+const supportChat = require('../server/supportChat');
+const ledger = require('../server/ledger');
+const postbacks = require('../server/postbacks');
+const withdrawals = require('../server/withdrawals');
+
+// Résultat d'un outil tel que le fournisseur local l'a résumé dans sa réponse
+function toolResult(reply, name) {
+    const line = reply.text.split('\n').find(l => l.startsWith(`- ${name} : `));
+    assert.ok(line, `outil ${name} non appelé :\n${reply.text}`);
+    return JSON.parse(line.slice(`- ${name} : `.length));
+}
+
+async function rejectsWithCode(promise, code) {
+    await assert.rejects(promise, err => err.code === code);
+}
+
+test('le solde et les mouvements viennent du grand livre du joueur', async () => {
+    const player = createPlayer();
+    ledger.post({ userId: player.id, type: 'admin_adjustment', amount: 500, idempotencyKey: `test:${player.id}`, description: 'Geste commercial' });
+
+    const reply = await supportChat.chat(player, 'Quel est mon solde ?');
+    const result = toolResult(reply, 'get_recent_transactions');
+    assert.equal(result.balance, 500);
+    assert.deepEqual(result.transactions.map(t => t.amount), [500]);
+    assert.equal(reply.suggestTicket, false);
+});
+
+test('les offres créditées sont regroupées par réseau', async () => {
+    const player = createPlayer();
+    postbacks.handle('adgate', { user_id: String(player.id), tx_id: `ag-chat-${player.id}`, offer_name: 'Rise of Kingdoms', points: '2500', status: '1' }, '52.42.57.125');
+
+    const result = toolResult(await supportChat.chat(player, 'Mon offre est bien arrivée ?'), 'get_offer_completions');
+    assert.deepEqual(result.byNetwork, { adgate: { credited: 1, reversed: 0, pixels: 2500 } });
+    assert.equal(result.recent[0].offerName, 'Rise of Kingdoms');
+    assert.equal(result.recent[0].network, 'AdGate Media');
+});
+
+test('les outils ne voient que le compte du joueur connecté', async () => {
+    const player = createPlayer();
+    const other = createPlayer();
+    ledger.post({ userId: other.id, type: 'admin_adjustment', amount: 800, idempotencyKey: `test:${other.id}`, description: 'Geste commercial' });
+    postbacks.handle('adgate', { user_id: String(other.id), tx_id: `ag-chat-${other.id}`, points: '300', status: '1' }, '52.42.57.125');
+
+    assert.deepEqual(toolResult(await supportChat.chat(player, 'Mon historique ?'), 'get_recent_transactions'), { balance: 0, transactions: [] });
+    assert.deepEqual(toolResult(await supportChat.chat(player, 'Et mes offres ?'), 'get_offer_completions'), { byNetwork: {}, recent: [] });
+});
+
+test('les retraits indiquent la période de vérification', async () => {
+    const player = createPlayer();
+
+    const result = toolResult(await supportChat.chat(player, 'Où en est mon retrait ?'), 'get_withdrawals');
+    assert.equal(result.verified, false);
+    assert.equal(result.holdDays, withdrawals.holdDaysFor(player));
+    assert.deepEqual(result.open, []);
+});
+
+test('suggest_ticket propose d\'ouvrir un ticket', async () => {
+    const player = createPlayer();
+
+    const reply = await supportChat.chat(player, 'Je veux parler à un humain');
+    assert.equal(reply.suggestTicket, true);
+    assert.deepEqual(toolResult(reply, 'suggest_ticket'), { suggested: true, reason: 'Je veux parler à un humain' });
+});
+
+test('seules la question et la réponse finale sont conservées', async () => {
+    const player = createPlayer();
+
+    const reply = await supportChat.chat(player, 'Quel est mon solde ?');
+    const messages = supportChat.getMessages(player.id);
+    assert.deepEqual(messages.map(m => m.role), ['user', 'model']);
+    assert.equal(messages[0].text, 'Quel est mon solde ?');
+    assert.equal(messages[1].text, reply.text);
+    assert.ok(messages.every(m => !m.toolCalls && !m.results));
+
+    supportChat.clear(player.id);
+    assert.deepEqual(supportChat.getMessages(player.id), []);
+});
+
+test('un outil en erreur est signalé au modèle sans faire échouer la réponse', async () => {
+    const player = createPlayer();
+    const original = ledger.listHistory;
+    ledger.listHistory = () => {
+        throw new Error('panne simulée');
+    };
+    try {
+        const reply = await supportChat.chat(player, 'Mon solde ?');
+        assert.deepEqual(toolResult(reply, 'get_recent_transactions'), { error: 'Données indisponibles' });
+    } finally {
+        ledger.listHistory = original;
+    }
+});
+
+test('message vide ou trop long refusé', async () => {
+    const player = createPlayer();
+
+    await rejectsWithCode(supportChat.chat(player, '   '), 'MESSAGE_REQUIRED');
+    await rejectsWithCode(supportChat.chat(player, 'x'.repeat(supportChat.MAX_MESSAGE_LENGTH + 1)), 'MESSAGE_TOO_LONG');
+    assert.deepEqual(supportChat.getMessages(player.id), []);
+});
+
+// Dernier test du fichier : remplace le fournisseur local
+test('fournisseur en panne ou qui boucle sur les outils : rien n\'est enregistré', async () => {
+    const player = createPlayer();
+    ai.registerProvider('fake', () => ({
+        async generate() {
+            throw new Error('fournisseur injoignable');
+        }
+    }));
+    await rejectsWithCode(supportChat.chat(player, 'Bonjour'), 'AI_UNAVAILABLE');
+
+    let calls = 0;
+    ai.registerProvider('fake', () => ({
+        async generate() {
+            calls++;
+            return { text: null, toolCalls: [{ name: 'get_withdrawals', args: {} }] };
+        }
+    }));
+    await rejectsWithCode(supportChat.chat(player, 'Mon retrait ?'), 'AI_UNAVAILABLE');
+    // Premier appel + 4 allers-retours d'outils (MAX_TOOL_ROUNDS)
+    assert.equal(calls, 5);
+    assert.deepEqual(supportChat.getMessages(player.id), []);
+});